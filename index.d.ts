@@ -0,0 +1,1696 @@
+// Type definitions for @bcoders.gr/eth-provider
+/// <reference types="node" />
+
+import { EventEmitter } from 'events';
+
+// ---------------------------------------------------------------------------
+// Primitives
+// ---------------------------------------------------------------------------
+
+export type Hex = `0x${string}`;
+export type Address = `0x${string}`;
+export type Hash = `0x${string}`;
+
+export type BlockTagName = 'latest' | 'earliest' | 'pending' | 'safe' | 'finalized';
+/** Block reference accepted by typed methods: a tag, a number or an EIP-1898 object */
+export type BlockTag = BlockTagName | number | bigint | Hex | { blockHash: Hash; requireCanonical?: boolean } | { blockNumber: BlockTagName | number | bigint | Hex };
+/** Numeric input accepted by typed methods (hex, decimal string, number or bigint) */
+export type Numberish = number | bigint | string;
+
+export type Logger = Pick<Console, 'log' | 'warn' | 'error'>;
+
+// ---------------------------------------------------------------------------
+// Raw JSON-RPC shapes (as returned by request())
+// ---------------------------------------------------------------------------
+
+export interface AccessListEntry {
+    address: Address;
+    storageKeys: Hash[];
+}
+
+export interface RpcAuthorization {
+    chainId: Hex;
+    address: Address;
+    nonce: Hex;
+    yParity: Hex;
+    r: Hex;
+    s: Hex;
+}
+
+export interface RpcTransaction {
+    hash: Hash;
+    type: Hex;
+    nonce: Hex;
+    blockHash: Hash | null;
+    blockNumber: Hex | null;
+    transactionIndex: Hex | null;
+    from: Address;
+    to: Address | null;
+    value: Hex;
+    gas: Hex;
+    input: Hex;
+    gasPrice?: Hex;
+    maxFeePerGas?: Hex;
+    maxPriorityFeePerGas?: Hex;
+    maxFeePerBlobGas?: Hex;
+    blobVersionedHashes?: Hash[];
+    accessList?: AccessListEntry[];
+    authorizationList?: RpcAuthorization[];
+    chainId?: Hex;
+    v?: Hex;
+    yParity?: Hex;
+    r: Hex;
+    s: Hex;
+}
+
+export interface RpcWithdrawal {
+    index: Hex;
+    validatorIndex: Hex;
+    address: Address;
+    amount: Hex;
+}
+
+export interface RpcBlock<TTransaction = Hash | RpcTransaction> {
+    number: Hex | null;
+    hash: Hash | null;
+    parentHash: Hash;
+    nonce: Hex | null;
+    sha3Uncles: Hash;
+    logsBloom: Hex | null;
+    transactionsRoot: Hash;
+    stateRoot: Hash;
+    receiptsRoot: Hash;
+    miner: Address;
+    difficulty: Hex;
+    totalDifficulty?: Hex | null;
+    extraData: Hex;
+    size: Hex;
+    gasLimit: Hex;
+    gasUsed: Hex;
+    timestamp: Hex;
+    transactions: TTransaction[];
+    uncles: Hash[];
+    baseFeePerGas?: Hex;
+    withdrawalsRoot?: Hash;
+    withdrawals?: RpcWithdrawal[];
+    blobGasUsed?: Hex;
+    excessBlobGas?: Hex;
+    parentBeaconBlockRoot?: Hash;
+    mixHash?: Hash;
+}
+
+export interface RpcLog {
+    address: Address;
+    topics: Hash[];
+    data: Hex;
+    blockNumber: Hex | null;
+    blockHash: Hash | null;
+    transactionHash: Hash | null;
+    transactionIndex: Hex | null;
+    logIndex: Hex | null;
+    removed: boolean;
+}
+
+export interface RpcReceipt {
+    transactionHash: Hash;
+    transactionIndex: Hex;
+    blockHash: Hash;
+    blockNumber: Hex;
+    from: Address;
+    to: Address | null;
+    contractAddress: Address | null;
+    cumulativeGasUsed: Hex;
+    gasUsed: Hex;
+    effectiveGasPrice: Hex;
+    blobGasUsed?: Hex;
+    blobGasPrice?: Hex;
+    logs: RpcLog[];
+    logsBloom: Hex;
+    status?: Hex;
+    root?: Hash;
+    type: Hex;
+}
+
+export interface RpcFeeHistory {
+    oldestBlock: Hex;
+    baseFeePerGas: Hex[];
+    gasUsedRatio: number[];
+    reward?: Hex[][];
+    baseFeePerBlobGas?: Hex[];
+    blobGasUsedRatio?: number[];
+}
+
+export interface RpcSyncStatus {
+    startingBlock: Hex;
+    currentBlock: Hex;
+    highestBlock: Hex;
+    [key: string]: unknown;
+}
+
+export interface RpcAccessListResult {
+    accessList: AccessListEntry[];
+    gasUsed: Hex;
+    error?: string;
+}
+
+export interface RpcProof {
+    address: Address;
+    balance: Hex;
+    codeHash: Hash;
+    nonce: Hex;
+    storageHash: Hash;
+    accountProof: Hex[];
+    storageProof: Array<{ key: Hex; value: Hex; proof: Hex[] }>;
+}
+
+/** Transaction/call request; numeric fields may be numbers, bigints, decimal or hex strings */
+export interface TransactionRequest {
+    from?: Address;
+    to?: Address | null;
+    gas?: Numberish;
+    gasPrice?: Numberish;
+    maxFeePerGas?: Numberish;
+    maxPriorityFeePerGas?: Numberish;
+    maxFeePerBlobGas?: Numberish;
+    value?: Numberish;
+    nonce?: Numberish;
+    chainId?: Numberish;
+    type?: Numberish;
+    data?: Hex;
+    input?: Hex;
+    accessList?: AccessListEntry[];
+    blobVersionedHashes?: Hash[];
+    authorizationList?: RpcAuthorization[];
+}
+
+export type TopicFilter = Array<Hash | Hash[] | null>;
+
+export interface LogFilter {
+    fromBlock?: BlockTag;
+    toBlock?: BlockTag;
+    blockHash?: Hash;
+    address?: Address | Address[];
+    topics?: TopicFilter;
+}
+
+/** Wire-format transaction request (what request() sends) */
+export interface RpcTransactionRequest {
+    from?: Address;
+    to?: Address | null;
+    gas?: Hex;
+    gasPrice?: Hex;
+    maxFeePerGas?: Hex;
+    maxPriorityFeePerGas?: Hex;
+    maxFeePerBlobGas?: Hex;
+    value?: Hex;
+    nonce?: Hex;
+    data?: Hex;
+    input?: Hex;
+    accessList?: AccessListEntry[];
+    [key: string]: unknown;
+}
+
+export type RpcBlockRef = BlockTagName | Hex | { blockHash: Hash; requireCanonical?: boolean } | { blockNumber: Hex | BlockTagName };
+
+// ---------------------------------------------------------------------------
+// Formatted shapes (returned by typed methods unless formatResults: false)
+// ---------------------------------------------------------------------------
+
+export interface Authorization {
+    chainId: number;
+    address: Address;
+    nonce: number;
+    yParity: number;
+    r: Hex;
+    s: Hex;
+}
+
+export interface Transaction {
+    hash: Hash;
+    type: number;
+    nonce: number;
+    blockHash: Hash | null;
+    blockNumber: number | null;
+    transactionIndex: number | null;
+    from: Address;
+    to: Address | null;
+    value: bigint;
+    gas: bigint;
+    input: Hex;
+    gasPrice?: bigint;
+    maxFeePerGas?: bigint;
+    maxPriorityFeePerGas?: bigint;
+    maxFeePerBlobGas?: bigint;
+    blobVersionedHashes?: Hash[];
+    accessList?: AccessListEntry[];
+    authorizationList?: Authorization[];
+    chainId?: number;
+    v?: bigint;
+    yParity?: number;
+    r: Hex;
+    s: Hex;
+}
+
+export interface Withdrawal {
+    index: number;
+    validatorIndex: number;
+    address: Address;
+    /** Amount in gwei */
+    amount: bigint;
+}
+
+export interface Block<TTransaction = Hash | Transaction> {
+    number: number | null;
+    hash: Hash | null;
+    parentHash: Hash;
+    nonce: Hex | null;
+    sha3Uncles: Hash;
+    logsBloom: Hex | null;
+    transactionsRoot: Hash;
+    stateRoot: Hash;
+    receiptsRoot: Hash;
+    miner: Address;
+    difficulty: bigint;
+    totalDifficulty?: bigint | null;
+    extraData: Hex;
+    size: number;
+    gasLimit: bigint;
+    gasUsed: bigint;
+    timestamp: number;
+    transactions: TTransaction[];
+    uncles: Hash[];
+    baseFeePerGas?: bigint;
+    withdrawalsRoot?: Hash;
+    withdrawals?: Withdrawal[];
+    blobGasUsed?: bigint;
+    excessBlobGas?: bigint;
+    parentBeaconBlockRoot?: Hash;
+    mixHash?: Hash;
+}
+
+export interface Log {
+    address: Address;
+    topics: Hash[];
+    data: Hex;
+    blockNumber: number | null;
+    blockHash: Hash | null;
+    transactionHash: Hash | null;
+    transactionIndex: number | null;
+    logIndex: number | null;
+    removed: boolean;
+}
+
+export interface TransactionReceipt {
+    transactionHash: Hash;
+    transactionIndex: number;
+    blockHash: Hash;
+    blockNumber: number;
+    from: Address;
+    to: Address | null;
+    contractAddress: Address | null;
+    cumulativeGasUsed: bigint;
+    gasUsed: bigint;
+    effectiveGasPrice: bigint;
+    blobGasUsed?: bigint;
+    blobGasPrice?: bigint;
+    logs: Log[];
+    logsBloom: Hex;
+    status?: number;
+    root?: Hash;
+    type: number;
+}
+
+export interface FeeHistory {
+    oldestBlock: number;
+    baseFeePerGas: bigint[];
+    gasUsedRatio: number[];
+    reward?: bigint[][];
+    baseFeePerBlobGas?: bigint[];
+    blobGasUsedRatio?: number[];
+}
+
+export interface SyncStatus {
+    startingBlock: number;
+    currentBlock: number;
+    highestBlock: number;
+    [key: string]: unknown;
+}
+
+export interface AccessListResult {
+    accessList: AccessListEntry[];
+    gasUsed: bigint;
+    error?: string;
+}
+
+export interface AccountProof {
+    address: Address;
+    balance: bigint;
+    codeHash: Hash;
+    nonce: number;
+    storageHash: Hash;
+    accountProof: Hex[];
+    storageProof: Array<{ key: Hex; value: bigint; proof: Hex[] }>;
+}
+
+// ---------------------------------------------------------------------------
+// request() method map
+// ---------------------------------------------------------------------------
+
+/** Parameters and raw results of JSON-RPC methods, used to type request() */
+export interface RpcMethods {
+    eth_accounts: { params: []; result: Address[] };
+    eth_requestAccounts: { params: []; result: Address[] };
+    eth_blobBaseFee: { params: []; result: Hex };
+    eth_blockNumber: { params: []; result: Hex };
+    eth_call: { params: [RpcTransactionRequest, RpcBlockRef?]; result: Hex };
+    eth_chainId: { params: []; result: Hex };
+    eth_coinbase: { params: []; result: Address };
+    eth_createAccessList: { params: [RpcTransactionRequest, RpcBlockRef?]; result: RpcAccessListResult };
+    eth_estimateGas: { params: [RpcTransactionRequest, RpcBlockRef?]; result: Hex };
+    eth_feeHistory: { params: [Hex, RpcBlockRef, number[]?]; result: RpcFeeHistory };
+    eth_gasPrice: { params: []; result: Hex };
+    eth_getBalance: { params: [Address, RpcBlockRef?]; result: Hex };
+    eth_getBlockByHash: { params: [Hash, boolean]; result: RpcBlock | null };
+    eth_getBlockByNumber: { params: [RpcBlockRef, boolean]; result: RpcBlock | null };
+    eth_getBlockReceipts: { params: [RpcBlockRef]; result: RpcReceipt[] | null };
+    eth_getBlockTransactionCountByHash: { params: [Hash]; result: Hex | null };
+    eth_getBlockTransactionCountByNumber: { params: [RpcBlockRef]; result: Hex | null };
+    eth_getCode: { params: [Address, RpcBlockRef?]; result: Hex };
+    eth_getFilterChanges: { params: [Hex]; result: RpcLog[] | Hash[] };
+    eth_getFilterLogs: { params: [Hex]; result: RpcLog[] };
+    eth_getLogs: { params: [LogFilter]; result: RpcLog[] };
+    eth_getProof: { params: [Address, Hash[], RpcBlockRef]; result: RpcProof };
+    eth_getStorageAt: { params: [Address, Hex, RpcBlockRef?]; result: Hex };
+    eth_getTransactionByBlockHashAndIndex: { params: [Hash, Hex]; result: RpcTransaction | null };
+    eth_getTransactionByBlockNumberAndIndex: { params: [RpcBlockRef, Hex]; result: RpcTransaction | null };
+    eth_getTransactionByHash: { params: [Hash]; result: RpcTransaction | null };
+    eth_getTransactionCount: { params: [Address, RpcBlockRef?]; result: Hex };
+    eth_getTransactionReceipt: { params: [Hash]; result: RpcReceipt | null };
+    eth_getUncleByBlockHashAndIndex: { params: [Hash, Hex]; result: RpcBlock<Hash> | null };
+    eth_getUncleByBlockNumberAndIndex: { params: [RpcBlockRef, Hex]; result: RpcBlock<Hash> | null };
+    eth_getUncleCountByBlockHash: { params: [Hash]; result: Hex | null };
+    eth_getUncleCountByBlockNumber: { params: [RpcBlockRef]; result: Hex | null };
+    eth_hashrate: { params: []; result: Hex };
+    eth_maxPriorityFeePerGas: { params: []; result: Hex };
+    eth_mining: { params: []; result: boolean };
+    eth_newBlockFilter: { params: []; result: Hex };
+    eth_newFilter: { params: [LogFilter]; result: Hex };
+    eth_newPendingTransactionFilter: { params: []; result: Hex };
+    eth_protocolVersion: { params: []; result: string };
+    eth_sendRawTransaction: { params: [Hex]; result: Hash };
+    eth_sendTransaction: { params: [RpcTransactionRequest]; result: Hash };
+    eth_sign: { params: [Address, Hex]; result: Hex };
+    eth_signTransaction: { params: [RpcTransactionRequest]; result: Hex };
+    eth_subscribe: { params: [SubscriptionType, ...unknown[]]; result: Hex };
+    eth_syncing: { params: []; result: false | RpcSyncStatus };
+    eth_uninstallFilter: { params: [Hex]; result: boolean };
+    eth_unsubscribe: { params: [Hex]; result: boolean };
+    net_listening: { params: []; result: boolean };
+    net_peerCount: { params: []; result: Hex };
+    net_version: { params: []; result: string };
+    web3_clientVersion: { params: []; result: string };
+    web3_sha3: { params: [Hex]; result: Hash };
+    debug_traceBlockByHash: { params: [Hash, object?]; result: unknown[] };
+    debug_traceBlockByNumber: { params: [RpcBlockRef, object?]; result: unknown[] };
+    debug_traceCall: { params: [RpcTransactionRequest, RpcBlockRef, object?]; result: unknown };
+    debug_traceTransaction: { params: [Hash, object?]; result: unknown };
+    evm_mine: { params: [] | [number]; result: Hex | string };
+    evm_snapshot: { params: []; result: Hex };
+    evm_revert: { params: [Hex]; result: boolean };
+    hardhat_reset: { params: [] | [{ forking?: { jsonRpcUrl: string; blockNumber?: number } }]; result: boolean };
+}
+
+export type RpcMethod = keyof RpcMethods;
+
+export interface RequestArguments<M extends string = string> {
+    method: M;
+    params?: M extends RpcMethod ? RpcMethods[M]['params'] : unknown[] | object;
+}
+
+/** Per-request options accepted as the last argument of request(); invalid values reject with InvalidParamsError */
+export interface RequestOptions {
+    /** Cancels the request; it then rejects with AbortError */
+    signal?: AbortSignal;
+    /** Timeout in ms for this request instead of `requestTimeout` */
+    timeout?: number;
+    /** Batch queue the request joins (default 'normal') */
+    priority?: 'high' | 'normal' | 'low';
+    /** false: bypass the cache; 'only': never hit the node (CacheMissError on a miss); number: cache the result for that many ms */
+    cache?: boolean | 'only' | number;
+    /** Replaces the method's block parameter (eth_getLogs is pinned to that single block) */
+    blockTag?: BlockTag;
+}
+
+// ---------------------------------------------------------------------------
+// Errors
+// ---------------------------------------------------------------------------
+
+export declare const PROVIDER_ERROR_CODES: {
+    readonly USER_REJECTED: 4001;
+    readonly UNAUTHORIZED: 4100;
+    readonly UNSUPPORTED_METHOD: 4200;
+    readonly DISCONNECTED: 4900;
+    readonly CHAIN_DISCONNECTED: 4901;
+};
+
+export declare class ProviderRpcError extends Error {
+    constructor(code: number, message: string, data?: unknown);
+    code: number;
+    data?: unknown;
+}
+
+export interface RpcErrorContext {
+    id?: string;
+    method?: string;
+    params?: unknown;
+}
+
+export declare class RpcError extends ProviderRpcError {
+    constructor(code: number, message: string, data?: unknown, context?: RpcErrorContext);
+    method?: string;
+    params?: unknown;
+    requestId?: string;
+    static from(error?: { code?: number; message?: string; data?: unknown }, context?: RpcErrorContext): RpcError;
+}
+
+export declare class ParseError extends RpcError {}
+export declare class InvalidRequestError extends RpcError {}
+export declare class MethodNotFoundError extends RpcError {}
+export declare class InvalidParamsError extends RpcError {}
+export declare class InternalRpcError extends RpcError {}
+export declare class ExecutionRevertedError extends RpcError {
+    /** Set for eth_call/eth_estimateGas reverts: decoded revert, or null without revert data */
+    revert?: DecodedRevert | null;
+    reason?: string | null;
+    errorName?: string | null;
+    errorArgs?: Record<string, unknown>;
+}
+export declare class NonceTooLowError extends RpcError {}
+export declare class NonceTooHighError extends RpcError {}
+export declare class InsufficientFundsError extends RpcError {}
+export declare class TransactionUnderpricedError extends RpcError {}
+export declare class IntrinsicGasTooLowError extends RpcError {}
+export declare class ResourceNotFoundError extends RpcError {}
+export declare class RateLimitError extends RpcError {}
+/** EIP-1474 -32002 or HTTP 503 */
+export declare class ServiceUnavailableError extends RpcError {}
+
+/** Raised when a request is cancelled through its AbortSignal */
+export declare class AbortError extends Error {
+    constructor(reason?: unknown, context?: RpcErrorContext);
+    code: 'ABORTED';
+    reason: unknown;
+    method?: string;
+    requestId?: string;
+}
+
+/** The connection dropped before the request was answered; 'RECONNECT_FAILED' once reconnecting was given up */
+export declare class ConnectionLostError extends Error {
+    constructor(message: string, context?: RpcErrorContext & { reconnectFailed?: boolean });
+    code: 'CONNECTION_LOST' | 'RECONNECT_FAILED';
+    method?: string;
+    requestId?: string;
+}
+
+/** Raised without sending the request when the offline queue is full while reconnecting */
+export declare class OfflineQueueFullError extends Error {
+    constructor(limit: number, context?: { endpoint?: string });
+    code: 'OFFLINE_QUEUE_FULL';
+    limit: number;
+}
+
+/** Raised without sending the request when the connection already buffers `limit` bytes */
+export declare class WriteBufferFullError extends Error {
+    constructor(bufferedBytes: number, limit: number);
+    code: 'WRITE_BUFFER_FULL';
+    bufferedBytes: number;
+    limit: number;
+}
+
+/** Raised without sending the request while the circuit breaker is open */
+export declare class CircuitOpenError extends Error {
+    constructor(context?: { method?: string; state?: CircuitState; nextProbeAt?: number | null });
+    code: 'CIRCUIT_OPEN';
+    method?: string;
+    state?: CircuitState;
+    nextProbeAt?: number | null;
+}
+
+/** Raised by a `cache: 'only'` request whose result is not cached */
+export declare class CacheMissError extends Error {
+    constructor(method: string, params?: unknown[]);
+    code: 'CACHE_MISS';
+    method: string;
+    params?: unknown[];
+}
+
+export interface QuorumResponse {
+    url: string;
+    result?: unknown;
+    error?: Error;
+}
+
+export declare class QuorumError extends Error {
+    constructor(message: string, context?: { method?: string; params?: unknown[]; quorum?: number; responses?: QuorumResponse[] });
+    code: 'QUORUM_NOT_REACHED';
+    method?: string;
+    params?: unknown[];
+    quorum?: number;
+    responses: QuorumResponse[];
+}
+
+export declare class TimeoutError extends Error {
+    constructor(timeout: number, context?: RpcErrorContext & { queued?: boolean });
+    code: 'TIMEOUT';
+    timeout: number;
+    method?: string;
+    requestId?: string;
+    /** The request timed out in the rate limiter queue and was never sent */
+    queued: boolean;
+}
+
+// ---------------------------------------------------------------------------
+// ABI / revert decoding, hashing, units, validation, formatting
+// ---------------------------------------------------------------------------
+
+export interface AbiParameter {
+    name?: string;
+    type: string;
+    components?: AbiParameter[];
+}
+
+export interface AbiItem {
+    type: string;
+    name?: string;
+    inputs?: AbiParameter[];
+    [key: string]: unknown;
+}
+
+export interface DecodedRevert {
+    selector: Hex;
+    /** 'Error', 'Panic', the custom error name, or null when the selector is unknown */
+    name: string | null;
+    signature: string | null;
+    args: unknown[];
+    namedArgs: Record<string, unknown>;
+    reason: string | null;
+    panicCode: bigint | null;
+    description: string;
+}
+
+export declare const PANIC_CODES: Record<number, string>;
+
+export declare class RevertDecoder {
+    constructor(abi?: AbiItem[] | string);
+    errors: Map<Hex, { name: string; signature: string; inputs: AbiParameter[] }>;
+    addAbi(abi: AbiItem[] | string): void;
+    decode(data: string): DecodedRevert | null;
+}
+
+export declare function decodeRevertData(data: string, abi?: AbiItem[] | string): DecodedRevert | null;
+export declare function decodeParameters(params: AbiParameter[], data: string | Uint8Array): unknown[];
+export declare function keccak256(input: string | Uint8Array): Hash;
+
+export declare const UNITS: {
+    wei: 0;
+    kwei: 3;
+    mwei: 6;
+    gwei: 9;
+    szabo: 12;
+    finney: 15;
+    ether: 18;
+};
+export type Unit = keyof typeof UNITS | number;
+export declare function toWei(value: string | number | bigint, unit?: Unit): string;
+export declare function fromWei(value: string | number | bigint, unit?: Unit): string;
+
+export declare const BLOCK_TAGS: Set<BlockTagName>;
+export declare function toQuantity(value: Numberish, name?: string): Hex;
+export declare function validateAddress<T extends string>(address: T, name?: string): T;
+export declare function validateHash<T extends string>(hash: T, name?: string): T;
+export declare function validateData<T extends string>(data: T, name?: string): T;
+export declare function normalizeBlockTag(blockTag?: BlockTag): RpcBlockRef;
+export declare function normalizeTransaction(transaction: TransactionRequest): RpcTransactionRequest;
+export declare function normalizeFilter(filter?: LogFilter): LogFilter;
+
+export declare function formatQuantity(value: Hex | string | null | undefined): bigint | null;
+export declare function formatNumber(value: Hex | string | null | undefined): number | null;
+export declare function toChecksumAddress(address: string): Address;
+export declare function formatBlock(block: RpcBlock | null): Block | null;
+export declare function formatTransaction(transaction: RpcTransaction | Hash | null): Transaction | Hash | null;
+export declare function formatReceipt(receipt: RpcReceipt | null): TransactionReceipt | null;
+export declare function formatLog(log: RpcLog): Log;
+export declare function formatFeeHistory(history: RpcFeeHistory): FeeHistory;
+
+// ---------------------------------------------------------------------------
+// Components
+// ---------------------------------------------------------------------------
+
+/** Socket-like connection produced by a transport */
+export interface TransportConnection extends EventEmitter {
+    write(data: string | Uint8Array): boolean;
+    destroy(): void;
+}
+
+export interface Transport {
+    name: string;
+    target: string;
+    supportsSubscriptions: boolean;
+    createConnection(): TransportConnection;
+}
+
+export interface IPCTransportOptions {
+    socketTimeout?: number;
+    keepAlive?: boolean;
+    keepAliveInitialDelay?: number;
+    /** Socket buffer size in bytes past which write() returns false (default 1MB) */
+    writableHighWaterMark?: number;
+}
+
+export declare class IPCTransport implements Transport {
+    constructor(ipcPath: string, options?: IPCTransportOptions);
+    name: 'IPC';
+    target: string;
+    supportsSubscriptions: boolean;
+    createConnection(): TransportConnection;
+}
+
+export interface WebSocketTransportOptions {
+    /** Extra handshake headers (e.g. Authorization) */
+    headers?: Record<string, string>;
+    pingInterval?: number;
+    pongTimeout?: number;
+    handshakeTimeout?: number;
+    maxPayload?: number;
+    /** Socket buffer size in bytes past which write() returns false (default 1MB) */
+    writableHighWaterMark?: number;
+}
+
+export declare class WebSocketConnection extends EventEmitter implements TransportConnection {
+    constructor(url: string, options?: WebSocketTransportOptions);
+    open: boolean;
+    /** Bytes buffered on the underlying socket */
+    readonly writableLength: number;
+    write(data: string | Uint8Array): boolean;
+    close(code?: number, reason?: string): void;
+    destroy(): void;
+}
+
+export declare class WebSocketTransport implements Transport {
+    constructor(url: string, options?: WebSocketTransportOptions);
+    name: 'WebSocket';
+    target: string;
+    supportsSubscriptions: boolean;
+    createConnection(): WebSocketConnection;
+}
+
+export interface HTTPTransportOptions {
+    headers?: Record<string, string>;
+    /** Per-POST timeout (defaults to requestTimeout) */
+    httpTimeout?: number;
+    requestTimeout?: number;
+    maxPayload?: number;
+    /** Keep-alive sockets per endpoint (ignored when `agent` is given) */
+    maxSockets?: number;
+    agent?: import('http').Agent;
+    /** Bytes of unanswered POSTs past which write() returns false (default 1MB) */
+    writableHighWaterMark?: number;
+}
+
+export declare class HTTPConnection extends EventEmitter implements TransportConnection {
+    constructor(url: string, options?: HTTPTransportOptions);
+    destroyed: boolean;
+    /** Bytes of unanswered POSTs */
+    writableLength: number;
+    write(data: string | Uint8Array): boolean;
+    destroy(): void;
+}
+
+export declare class HTTPTransport implements Transport {
+    constructor(url: string, options?: HTTPTransportOptions);
+    name: 'HTTP';
+    target: string;
+    supportsSubscriptions: false;
+    agent: import('http').Agent;
+    createConnection(): HTTPConnection;
+}
+
+/** Pick a transport from the endpoint scheme (plain path or ipc://, ws://, wss://, http://, https://) */
+export declare function createTransport(endpoint: string, options?: IPCTransportOptions & WebSocketTransportOptions & HTTPTransportOptions): Transport;
+
+export interface ConnectionOptions extends IPCTransportOptions, WebSocketTransportOptions, HTTPTransportOptions {
+    maxRetries?: number;
+    retryDelay?: number;
+    maxRetryDelay?: number;
+    backoffMultiplier?: number;
+    autoReconnect?: boolean;
+    /** Bytes that may wait for a saturated socket before write() throws (default 64MB) */
+    maxBufferedBytes?: number;
+    /** Custom transport; defaults to one chosen from the endpoint scheme */
+    transport?: Transport;
+    /** Circuit breaker settings; false disables it */
+    circuitBreaker?: CircuitBreakerOptions | false;
+    logger?: Logger;
+}
+
+export type CircuitState = 'closed' | 'open' | 'half-open';
+
+export declare const CIRCUIT_STATES: { CLOSED: 'closed'; OPEN: 'open'; HALF_OPEN: 'half-open' };
+
+export interface CircuitBreakerOptions {
+    enabled?: boolean;
+    /** Consecutive timeouts/connection errors that open the circuit (default 5) */
+    failureThreshold?: number;
+    /** Time open before the half-open probe in ms (default 30000) */
+    resetTimeout?: number;
+    /** Timeout of the web3_clientVersion probe in ms (default 5000) */
+    probeTimeout?: number;
+    logger?: Logger;
+}
+
+export interface CircuitStatus {
+    enabled: boolean;
+    state: CircuitState;
+    failures: number;
+    failureThreshold: number;
+    /** Requests failed fast with CircuitOpenError */
+    rejected: number;
+    openedAt: number | null;
+    nextProbeAt: number | null;
+}
+
+export interface CircuitStateChange {
+    from: CircuitState;
+    to: CircuitState;
+    reason: string;
+}
+
+export declare class CircuitBreaker extends EventEmitter {
+    constructor(options?: CircuitBreakerOptions);
+    enabled: boolean;
+    failureThreshold: number;
+    resetTimeout: number;
+    probeTimeout: number;
+    state: CircuitState;
+    failures: number;
+    rejected: number;
+    allowRequest(): boolean;
+    isFailure(error: unknown): boolean;
+    recordSuccess(): void;
+    recordFailure(error: unknown): void;
+    open(reason: string): void;
+    reset(): void;
+    getStatus(): CircuitStatus;
+
+    on(event: 'stateChange', listener: (change: CircuitStateChange) => void): this;
+    on(event: string | symbol, listener: (...args: any[]) => void): this;
+}
+
+export interface ConnectionStatus {
+    connected: boolean;
+    reconnecting: boolean;
+    disconnecting: boolean;
+    retries: number;
+    maxRetries: number;
+    transport: string;
+    /** Bytes in the socket buffer plus writes queued behind it */
+    bufferedBytes: number;
+    queuedWrites: number;
+    /** Whether writes are held back until 'drain' */
+    saturated: boolean;
+    circuit: CircuitStatus;
+}
+
+export declare class ConnectionManager extends EventEmitter {
+    constructor(ipcPath: string, options?: ConnectionOptions);
+    ipcPath: string;
+    transport: Transport;
+    isConnected: boolean;
+    isReconnecting: boolean;
+    isDisconnecting: boolean;
+    circuitBreaker: CircuitBreaker;
+    maxBufferedBytes: number;
+    saturated: boolean;
+    readonly bufferedBytes: number;
+    connect(): Promise<void>;
+    /** Returns false when the write was queued or filled the socket buffer; throws WriteBufferFullError past maxBufferedBytes */
+    write(data: string | Uint8Array): boolean;
+    disconnect(): Promise<void>;
+    getStatus(): ConnectionStatus;
+
+    on(event: 'connected' | 'disconnected' | 'reconnecting' | 'reconnected' | 'maxRetriesReached' | 'timeout', listener: () => void): this;
+    on(event: 'data', listener: (data: Buffer) => void): this;
+    on(event: 'error', listener: (error: Error) => void): this;
+    on(event: 'circuitStateChange', listener: (change: CircuitStateChange) => void): this;
+    on(event: 'backpressure', listener: (bufferedBytes: number) => void): this;
+    on(event: 'drain', listener: () => void): this;
+}
+
+export interface CacheOptions {
+    enabled?: boolean;
+    /** Entry count limit (default 1000) */
+    maxSize?: number;
+    /** Estimated byte budget for keys and values (default unlimited) */
+    maxBytes?: number;
+    /** On-disk tier for entries stored with `persist: true` */
+    persistent?: DiskCache | null;
+    defaultTTL?: number;
+    cleanupInterval?: number;
+    logger?: Logger;
+}
+
+export interface CacheMemoryUsage {
+    totalBytes: number;
+    keyBytes: number;
+    valueBytes: number;
+    entriesCount: number;
+}
+
+export interface CacheStats {
+    enabled: boolean;
+    size: number;
+    maxSize: number;
+    maxBytes: number;
+    hits: number;
+    misses: number;
+    /** LRU entries dropped to stay within maxSize/maxBytes */
+    evictions: number;
+    evictedBytes: number;
+    /** Entries dropped after their TTL */
+    expirations: number;
+    /** Entries dropped on new blocks and reorgs */
+    invalidations: number;
+    /** Entries larger than maxBytes on their own, never stored */
+    oversized: number;
+    hitRatio: number;
+    memoryUsage: CacheMemoryUsage;
+    persistent: DiskCacheStats | null;
+}
+
+export interface DiskCacheOptions {
+    /** Directory holding one sub-directory per chain id */
+    directory: string;
+    /** File size that triggers compaction (default 256 MiB) */
+    maxBytes?: number;
+    logger?: Logger;
+}
+
+export interface DiskCacheStats {
+    directory: string;
+    /** Decimal chain id of the open file, null until a chain is open */
+    chainId: string | null;
+    genesisHash: Hex | null;
+    entries: number;
+    bytes: number;
+    maxBytes: number;
+    hits: number;
+    misses: number;
+    writes: number;
+    /** Damaged or truncated records skipped */
+    corrupted: number;
+    compactions: number;
+}
+
+export declare class DiskCache {
+    constructor(options: DiskCacheOptions);
+    directory: string;
+    maxBytes: number;
+    chainId: string | null;
+    /** Genesis block hash the open log belongs to */
+    genesisHash: Hex | null;
+    /** Entries written for a different `genesisHash` are dropped on open */
+    open(chainId: Hex | number, options?: { genesisHash?: Hex }): Promise<void>;
+    get<T = unknown>(key: string): Promise<T | null>;
+    set(key: string, data: unknown): Promise<void>;
+    entries(options?: { limit?: number; filter?: (key: string) => boolean }): Promise<Array<[string, unknown]>>;
+    clear(): Promise<void>;
+    close(): Promise<void>;
+    getStats(): DiskCacheStats;
+}
+
+export declare class CacheManager {
+    constructor(options?: CacheOptions);
+    enabled: boolean;
+    maxSize: number;
+    maxBytes: number;
+    defaultTTL: number;
+    persistent: DiskCache | null;
+    get<T = unknown>(key: string): T | null;
+    /**
+     * `ttl` Infinity keeps the entry until evicted; `blockTagged` entries go on the next invalidateBlockTagged(),
+     * entries with a `blockHash` on an invalidateBlockHashes() naming it
+     */
+    set(key: string, data: unknown, ttl?: number, options?: { blockTagged?: boolean; blockHash?: Hex | null; persist?: boolean }): void;
+    /** Look a key up in the persistent tier, keeping a hit in memory */
+    getPersistent<T = unknown>(key: string): Promise<T | null>;
+    /** Load the most recently persisted entries (default up to maxSize) into memory */
+    warm(options?: { methods?: string[]; limit?: number }): Promise<number>;
+    has(key: string): boolean;
+    delete(key: string): void;
+    invalidateBlockTagged(): number;
+    invalidateBlockHashes(blockHashes: Hex[]): number;
+    clear(): void;
+    cleanupExpired(): void;
+    getStats(): CacheStats;
+    getMemoryUsage(): CacheMemoryUsage;
+    setEnabled(enabled: boolean): void;
+    destroy(): Promise<void>;
+}
+
+export type CacheStrategy = 'never' | 'forever' | 'block' | 'ttl';
+
+export declare const CACHE_STRATEGIES: {
+    readonly NEVER: 'never';
+    readonly FOREVER: 'forever';
+    readonly BLOCK: 'block';
+    readonly TTL: 'ttl';
+};
+
+export interface CacheRule {
+    /** 'block' entries go on the next head unless pinned to a final block (default 'ttl') */
+    strategy?: CacheStrategy;
+    /** Lifetime in ms for 'ttl' (and the upper bound for 'block'), default cacheTTL */
+    ttl?: number;
+    /** Do not cache null results, e.g. the receipt of a pending transaction (default false) */
+    nonNull?: boolean;
+}
+
+/** A strategy name, a TTL in ms, false/null to never cache, or a full rule */
+export type CacheRuleInput = CacheStrategy | number | false | null | CacheRule;
+
+export interface ResolvedCacheRule {
+    strategy: CacheStrategy;
+    ttl: number | undefined;
+    nonNull: boolean;
+}
+
+export declare const DEFAULT_CACHE_POLICIES: Readonly<Record<string, CacheRuleInput>>;
+
+export declare class CachePolicy {
+    constructor(overrides?: Record<string, CacheRuleInput>);
+    policies: Map<string, ResolvedCacheRule>;
+    set(method: string, policy: CacheRuleInput): this;
+    get(method: string): ResolvedCacheRule;
+    isCacheable(method: string): boolean;
+    accepts(policy: ResolvedCacheRule, result: unknown): boolean;
+    toJSON(): Record<string, ResolvedCacheRule>;
+}
+
+export interface ParserOptions {
+    bufferSize?: number;
+    logger?: Logger;
+}
+
+export interface ParserStats {
+    parsedMessages: number;
+    parseErrors: number;
+    totalParseTime: number;
+    avgParseTime: number;
+    bufferSize: number;
+    maxBufferSize: number;
+    errorRate: number;
+}
+
+export declare class JSONParser {
+    constructor(options?: ParserOptions);
+    processData(data: Buffer): any[];
+    getStats(): ParserStats;
+    reset(): void;
+    getBufferSize(): number;
+    hasPendingData(): boolean;
+}
+
+export type RequestPriority = 'high' | 'normal' | 'low';
+
+export interface JsonRpcRequest {
+    jsonrpc: '2.0';
+    id: string | number;
+    method: string;
+    params?: unknown;
+}
+
+export interface BatchOptions {
+    enabled?: boolean;
+    batchSize?: number;
+    batchTimeout?: number;
+    maxConcurrentBatches?: number;
+    requestTimeout?: number;
+    deduplicationEnabled?: boolean;
+    logger?: Logger;
+}
+
+export interface BatchStats {
+    enabled: boolean;
+    totalBatches: number;
+    totalRequests: number;
+    avgBatchSize: number;
+    avgProcessingTime: number;
+    activeBatches: number;
+    queueSizes: { high: number; normal: number; low: number; total: number };
+    deduplicationEnabled: boolean;
+    pendingDeduplications: number;
+}
+
+export declare class BatchProcessor extends EventEmitter {
+    constructor(options?: BatchOptions);
+    enabled: boolean;
+    /** `timeout` is the item's timeout in ms (default requestTimeout) */
+    addRequest<T = unknown>(request: JsonRpcRequest, priority?: RequestPriority, options?: { deduplicate?: boolean; timeout?: number }): Promise<T>;
+    processBatch(force?: boolean): Promise<void>;
+    /** Id of the in-flight batch a JSON-RPC array response answers */
+    findBatchId(responses: Array<{ id: string | number }>): number | undefined;
+    handleBatchResponse(batchId: number, responses: Array<{ id: string | number; result?: unknown; error?: unknown }>): void;
+    failBatch(batchId: number, error: Error): void;
+    hasRequest(id: string | number): boolean;
+    removeRequest(id: string | number, error: Error): boolean;
+    getTotalQueueSize(): number;
+    getStats(): BatchStats;
+    clear(): void;
+    setEnabled(enabled: boolean): void;
+    destroy(): void;
+
+    on(event: 'batchReady', listener: (batch: { batchId: number; requests: JsonRpcRequest[]; items: Array<JsonRpcRequest & { priority: RequestPriority }> }) => void): this;
+    on(event: 'singleRequest', listener: (request: JsonRpcRequest) => void): this;
+}
+
+export interface MetricsOptions {
+    enabled?: boolean;
+    trackResponseTimes?: boolean;
+    trackMemoryUsage?: boolean;
+    historySize?: number;
+    maxErrorHistory?: number;
+    sampleRate?: number;
+    logger?: Logger;
+}
+
+export interface MethodMetrics {
+    count: number;
+    totalTime: number;
+    avgTime: number;
+    errors: number;
+    errorCodes: Record<string, number>;
+    minTime: number | null;
+    maxTime: number | null;
+}
+
+export interface ErrorRecord {
+    timestamp: number;
+    type: string;
+    code?: number | string;
+    message: string;
+    method: string | null;
+    stack?: string;
+}
+
+export interface RequestTracking {
+    tracked: boolean;
+    method?: string;
+    requestId?: string;
+    startTime?: number;
+    methodStats?: MethodMetrics;
+}
+
+export interface Metrics {
+    enabled: true;
+    timestamp: number;
+    uptime: number;
+    requests: { total: number; successful: number; failed: number; timeouts: number; retries: number; aborted: number };
+    responses: {
+        totalTime: number;
+        minTime: number | null;
+        maxTime: number | null;
+        avgTime: number;
+        p50: number;
+        p95: number;
+        p99: number;
+    };
+    connection: { connects: number; disconnects: number; reconnects: number; errors: number; uptime: number; downtime: number;
+        bufferedBytes: number; peakBufferedBytes: number; backpressureEvents: number;
+    };
+    cache: { hits: number; misses: number; evictions: number; hitRatio: number };
+    batch: { totalBatches: number; totalBatchedRequests: number; avgBatchSize: number; batchProcessingTime: number };
+    memory: { bufferSize: number; cacheSize: number; poolSize: number; heapUsed: number; heapTotal: number };
+    quorum: { agreements: number; divergences: number };
+    /** How many requests used each per-request option */
+    requestOptions: {
+        timeout: number;
+        priority: { high: number; normal: number; low: number };
+        cacheBypass: number;
+        cacheOnly: number;
+        cacheTtl: number;
+        blockTag: number;
+    };
+    /** Rate limiter queue: current/peak depth, waits of queued requests and queue timeouts */
+    rateLimit: {
+        queueDepth: number;
+        maxQueueDepth: number;
+        queued: number;
+        totalWaitTime: number;
+        avgWaitTime: number;
+        maxWaitTime: number;
+        queueTimeouts: number;
+    };
+    derived: {
+        successRate: number;
+        errorRate: number;
+        requestsPerSecond: number;
+        connectionUptime: number;
+        connectionUptimeRatio: number;
+    };
+    methods: Record<string, MethodMetrics>;
+    errorCodes: Record<string, number>;
+    recentErrors: ErrorRecord[];
+}
+
+export declare class MetricsManager {
+    constructor(options?: MetricsOptions);
+    enabled: boolean;
+    recordRequestStart(method: string, requestId: string): RequestTracking;
+    recordRequestSuccess(tracking: RequestTracking): void;
+    recordRequestFailure(tracking: RequestTracking, error: Error, errorType?: string): void;
+    recordRequestAborted(tracking: RequestTracking): void;
+    recordRetry(): void;
+    recordQuorumResult(method: string, agreed: boolean): void;
+    recordConnectionEvent(event: 'connect' | 'disconnect' | 'reconnect' | 'error' | string): void;
+    recordCacheMetrics(cacheStats: Partial<CacheStats>): void;
+    recordBatchMetrics(batchStats: Partial<BatchStats>): void;
+    recordMemoryMetrics(memoryStats: { bufferSize?: number; cacheSize?: number; poolSize?: number }): void;
+    recordError(error: Error, type: string, method?: string | null): void;
+    getMetrics(): Metrics | { enabled: false };
+    getMethodMetrics(method: string): MethodMetrics | null;
+    getTopMethods(limit?: number): Array<MethodMetrics & { method: string }>;
+    reset(): void;
+    printSummary(): void;
+    setEnabled(enabled: boolean): void;
+}
+
+export interface PoolOptions {
+    poolSize?: number;
+    maxPoolSize?: number;
+    growthFactor?: number;
+    logger?: Logger;
+}
+
+export interface PoolStats {
+    created: number;
+    reused: number;
+    destroyed: number;
+    currentSize: number;
+    maxSizeReached: number;
+    poolHits: number;
+    poolMisses: number;
+    requestPoolSize: number;
+    timeoutPoolSize: number;
+    totalPoolSize: number;
+    hitRatio: number;
+    efficiency: { reuseRatio: number; wasteRatio: number };
+}
+
+export interface PooledRequest extends JsonRpcRequest {
+    _pooled: boolean;
+    _timestamp: number | null;
+    _priority: RequestPriority;
+}
+
+export declare class RequestPool {
+    constructor(options?: PoolOptions);
+    getRequest(id: string, method: string, params?: unknown[], priority?: RequestPriority): PooledRequest;
+    returnRequest(request: PooledRequest): void;
+    getTimeout(requestId: string, duration: number, callback: () => void): object;
+    returnTimeout(timeout: object): void;
+    shrinkPool(targetSize?: number): void;
+    getStats(): PoolStats;
+    optimize(): void;
+    clear(): void;
+    validatePool(): object;
+    destroy(): void;
+}
+
+export interface RetryRule {
+    /** Attempts including the first one (default 3) */
+    maxAttempts?: number;
+    /** Delay before the first retry in ms, doubled per attempt (default 100) */
+    baseDelay?: number;
+    /** Upper bound for a delay, including Retry-After hints (default 2000) */
+    maxDelay?: number;
+    /** Fraction of each delay that is randomized, 0-1 (default 0.5) */
+    jitter?: number;
+    /** Error codes that are retried (default 4900, -32002, -32005) */
+    retryableCodes?: Array<number | string>;
+    /** Error messages that are retried (default: header not found, unknown block, socket resets) */
+    retryableMessages?: RegExp[];
+    /** Also retry methods that are not idempotent, such as eth_sendRawTransaction (default false) */
+    retryNonIdempotent?: boolean;
+}
+
+export interface RetryOptions extends RetryRule {
+    /** Overrides per method name */
+    methods?: Record<string, RetryRule>;
+}
+
+export declare class RetryPolicy {
+    constructor(options?: RetryOptions);
+    defaults: Required<RetryRule>;
+    methods: Record<string, RetryRule>;
+    getPolicy(method: string): Required<RetryRule>;
+    isRetryable(error: unknown, policy: Required<RetryRule>): boolean;
+    shouldRetry(error: unknown, attempt: number, policy: Required<RetryRule>, idempotent: boolean): boolean;
+    getDelay(attempt: number, policy: Required<RetryRule>, error?: unknown): number;
+}
+
+export interface RateLimitRule {
+    /** Token bucket refill rate (default unlimited) */
+    requestsPerSecond?: number;
+    /** Bucket size (default requestsPerSecond) */
+    burst?: number;
+    /** Requests in flight at once (default unlimited) */
+    maxConcurrent?: number;
+}
+
+export interface RateLimitOptions extends RateLimitRule {
+    /** Limits per method name, applied on top of the global ones */
+    methods?: Record<string, RateLimitRule>;
+}
+
+export interface RateLimiterStats {
+    enabled: boolean;
+    queued: number;
+    inFlight: number;
+    methods: Record<string, { inFlight: number; tokens: number }>;
+}
+
+export interface RateLimitSlot {
+    release(): void;
+    waitTime: number;
+    queued: boolean;
+}
+
+export declare class RateLimiter {
+    constructor(options?: RateLimitOptions);
+    enabled: boolean;
+    readonly queued: number;
+    acquire(method: string, options?: { priority?: RequestPriority; timeout?: number; signal?: AbortSignal }): Promise<RateLimitSlot>;
+    drain(): void;
+    clear(error: Error): void;
+    getStats(): RateLimiterStats;
+}
+
+export interface BlockTrackerOptions {
+    /** eth_blockNumber polling period where newHeads is unavailable (default pollingInterval) */
+    pollingInterval?: number;
+    /** Blocks below the head after which number-addressed results are cached indefinitely (default 64) */
+    finalityDepth?: number;
+    logger?: Logger;
+}
+
+export interface BlockTrackerStatus {
+    mode: 'subscription' | 'polling' | null;
+    blockNumber: number | null;
+    blockHash: Hex | null;
+    finalityDepth: number;
+    /** Reorgs detected since the tracker was created */
+    reorgs: number;
+}
+
+export interface NewHead {
+    number: number;
+    hash: Hex | null;
+    parentHash: Hex | null;
+}
+
+export interface ReorgEvent {
+    /** Number of known blocks replaced */
+    depth: number;
+    orphanedHashes: Hex[];
+    /** The new head that revealed the reorg */
+    blockNumber: number;
+    blockHash: Hex | null;
+}
+
+export declare class BlockTracker extends EventEmitter {
+    constructor(provider: IPCProvider, options?: BlockTrackerOptions);
+    pollingInterval: number;
+    finalityDepth: number;
+    blockNumber: number | null;
+    blockHash: Hex | null;
+    mode: 'subscription' | 'polling' | null;
+    /** Block number -> hash of the last `finalityDepth` canonical heads */
+    history: Map<number, Hex>;
+    reorgs: number;
+    start(): Promise<void>;
+    stop(): void;
+    update(header: { number: Hex | number; hash?: Hex | null; parentHash?: Hex | null }): Promise<void>;
+    getBlockHash(blockNumber: number): Hex | null;
+    isFinal(blockNumber: number): boolean;
+    getStatus(): BlockTrackerStatus;
+
+    on(event: 'block', listener: (head: NewHead) => void): this;
+    on(event: 'reorg', listener: (reorg: ReorgEvent) => void): this;
+    on(event: string | symbol, listener: (...args: any[]) => void): this;
+}
+
+export type SubscriptionType = 'newHeads' | 'logs' | 'newPendingTransactions' | 'syncing';
+
+export declare const SUBSCRIPTION_TYPES: Set<SubscriptionType>;
+
+export declare class Subscription<T = unknown> extends EventEmitter implements AsyncIterable<T> {
+    constructor(provider: IPCProvider, id: Hex, type: SubscriptionType, params?: unknown, options?: { maxQueueSize?: number });
+    id: Hex;
+    type: SubscriptionType;
+    params?: unknown;
+    active: boolean;
+    unsubscribe(): Promise<boolean>;
+    [Symbol.asyncIterator](): AsyncIterator<T>;
+
+    on(event: 'data', listener: (result: T) => void): this;
+    on(event: 'resubscribed', listener: (change: { oldId: Hex; newId: Hex }) => void): this;
+    on(event: 'end', listener: () => void): this;
+    on(event: 'error', listener: (error: Error) => void): this;
+}
+
+/** Subscription emulated by polling a filter (transports without eth_subscribe) */
+export declare class PollingSubscription<T = unknown> extends Subscription<T> {
+    constructor(provider: IPCProvider, filterId: Hex, type: SubscriptionType, params?: unknown, options?: { maxQueueSize?: number; pollingInterval?: number });
+    polling: true;
+    pollingInterval: number;
+    polls: number;
+    static filterRequest(type: SubscriptionType, params?: unknown): { method: string; params: unknown[] };
+    start(): this;
+    poll(): Promise<void>;
+    close(): void;
+}
+
+// ---------------------------------------------------------------------------
+// Provider
+// ---------------------------------------------------------------------------
+
+export interface IPCProviderOptions extends ConnectionOptions {
+    requestTimeout?: number;
+    reconnectPolicy?: 'replay' | 'fail';
+    offlineQueueSize?: number;
+    /** Retries of transient failures; false disables them */
+    retry?: RetryOptions | false;
+    /** Client-side rate and concurrency limits */
+    rateLimit?: RateLimitOptions;
+
+    bufferSize?: number;
+    poolSize?: number;
+    maxPoolSize?: number;
+
+    cacheEnabled?: boolean;
+    cacheSize?: number;
+    /** Estimated byte budget of the cache (default unlimited) */
+    cacheMaxBytes?: number;
+    /** On-disk tier for immutable results (hash-addressed or below the finality depth), off by default */
+    persistentCache?: DiskCacheOptions | DiskCache;
+    cacheTTL?: number;
+    /** Cache policies per method, replacing or adding to DEFAULT_CACHE_POLICIES */
+    cachePolicies?: Record<string, CacheRuleInput>;
+    /** Head tracking for block-aware cache invalidation; false disables it */
+    blockTracker?: BlockTrackerOptions | false;
+
+    batchRequests?: boolean;
+    batchSize?: number;
+    batchTimeout?: number;
+    maxConcurrentBatches?: number;
+    deduplicationEnabled?: boolean;
+
+    subscriptionQueueSize?: number;
+    /** Filter polling period for subscriptions over HTTP (default 4000) */
+    pollingInterval?: number;
+    /** ABI(s) whose custom errors are decoded in eth_call/eth_estimateGas reverts */
+    errorAbi?: AbiItem[] | string;
+    /** Typed methods return bigint/number/checksummed values; false keeps raw hex (default true) */
+    formatResults?: boolean;
+
+    metricsEnabled?: boolean;
+    trackResponseTimes?: boolean;
+    trackMemoryUsage?: boolean;
+}
+
+export interface ProviderStats {
+    connection: ConnectionStatus;
+    cache: CacheStats;
+    batch: BatchStats;
+    pool: PoolStats;
+    parser: ParserStats;
+    metrics: Metrics | { enabled: false };
+    rateLimit: RateLimiterStats;
+    blockTracker: BlockTrackerStatus | null;
+    subscriptions: number;
+    filters: number;
+    offlineQueue: number;
+}
+
+export type HealthCheckResult =
+    | { status: 'healthy'; connected: boolean; latency: number; blockNumber: number; timestamp: number }
+    | { status: 'unhealthy'; connected: boolean; latency: null; error: string; timestamp: number };
+
+export interface ProviderMessage {
+    type: 'eth_subscription';
+    data: { subscription: Hex; result: unknown };
+}
+
+/**
+ * Typed methods are declared with their formatted results; with `formatResults: false`
+ * they resolve to the node's raw hex values instead
+ */
+export declare class IPCProvider extends EventEmitter {
+    constructor(ipcPath?: string, options?: IPCProviderOptions);
+
+    ipcPath: string;
+    logger: Logger;
+    connection: ConnectionManager;
+    cache: CacheManager;
+    jsonParser: JSONParser;
+    batchProcessor: BatchProcessor;
+    metrics: MetricsManager;
+    requestPool: RequestPool;
+    retryPolicy: RetryPolicy;
+    rateLimiter: RateLimiter;
+    blockTracker: BlockTracker | null;
+    cachePolicy: CachePolicy;
+    revertDecoder: RevertDecoder;
+    subscriptions: Map<Hex, Subscription>;
+    /** Subscriptions the provider opened for itself (the block tracker's newHeads); not in `subscriptions` or getStats() */
+    internalSubscriptions: Map<Hex, Subscription>;
+    currentChainId: Hex | null;
+    currentAccounts: Address[] | null;
+    reconnectPolicy: 'replay' | 'fail';
+    formatResults: boolean;
+
+    // Lifecycle
+    connect(): Promise<void>;
+    disconnect(): Promise<void>;
+
+    // EIP-1193
+    request<M extends RpcMethod>(args: { method: M; params?: RpcMethods[M]['params'] }, options?: RequestOptions): Promise<RpcMethods[M]['result']>;
+    request<M extends RpcMethod>(method: M, params?: RpcMethods[M]['params'], options?: RequestOptions): Promise<RpcMethods[M]['result']>;
+    request<T = unknown>(args: RequestArguments, options?: RequestOptions): Promise<T>;
+    request<T = unknown>(method: string, params?: unknown[] | object, options?: RequestOptions): Promise<T>;
+
+    on(event: 'connect', listener: (info: { chainId: Hex }) => void): this;
+    on(event: 'disconnect', listener: (error: ProviderRpcError) => void): this;
+    on(event: 'chainChanged', listener: (chainId: Hex) => void): this;
+    on(event: 'accountsChanged', listener: (accounts: Address[]) => void): this;
+    on(event: 'message', listener: (message: ProviderMessage) => void): this;
+    on(event: 'resubscribed', listener: (change: { subscriptions: Record<string, Hex>; filters: Record<string, Hex> }) => void): this;
+    on(event: 'retry', listener: (event: { method: string; attempt: number; delay: number; error: Error }) => void): this;
+    on(event: 'circuitStateChange', listener: (change: CircuitStateChange) => void): this;
+    on(event: 'reorg', listener: (reorg: ReorgEvent) => void): this;
+    on(event: string | symbol, listener: (...args: any[]) => void): this;
+
+    // Subscriptions
+    subscribe<T = unknown>(type: SubscriptionType, params?: unknown): Promise<Subscription<T>>;
+    unsubscribe(id: Hex): Promise<boolean>;
+    /** Open a subscription for the provider's own use, kept out of `subscriptions` */
+    subscribeInternal<T = unknown>(type: SubscriptionType): Promise<Subscription<T>>;
+    /** Send a request for the provider's own use, outside the rate limiter, circuit breaker and metrics */
+    requestInternal<T = unknown>(method: string, params: unknown[]): Promise<T>;
+    subscribeNewHeads(): Promise<Subscription<RpcBlock<never>>>;
+    subscribeLogs(filter?: { address?: Address | Address[]; topics?: TopicFilter }): Promise<Subscription<RpcLog>>;
+    subscribePendingTransactions(fullTransactions?: boolean): Promise<Subscription<Hash | RpcTransaction>>;
+
+    // Revert decoding
+    registerErrorAbi(abi: AbiItem[] | string): void;
+    decodeRevert(data: string): DecodedRevert | null;
+
+    // Statistics
+    getStats(): ProviderStats;
+    printStats(): void;
+    healthCheck(): Promise<HealthCheckResult>;
+    batchRequest<T extends unknown[] = unknown[]>(requests: Array<{ method: string; params?: unknown[] }>): Promise<T>;
+
+    // Account
+    getBalance(address: Address, blockTag?: BlockTag): Promise<bigint>;
+    getTransactionCount(address: Address, blockTag?: BlockTag): Promise<number>;
+    getCode(address: Address, blockTag?: BlockTag): Promise<Hex>;
+    getStorageAt(address: Address, slot: Numberish, blockTag?: BlockTag): Promise<Hex>;
+    getProof(address: Address, storageKeys?: Hash[], blockTag?: BlockTag): Promise<AccountProof>;
+    accounts(): Promise<Address[]>;
+
+    // Blocks
+    getBlockNumber(): Promise<number>;
+    getBlockByNumber(blockTag?: BlockTag, fullTransactions?: false): Promise<Block<Hash> | null>;
+    getBlockByNumber(blockTag: BlockTag, fullTransactions: true): Promise<Block<Transaction> | null>;
+    getBlockByHash(blockHash: Hash, fullTransactions?: false): Promise<Block<Hash> | null>;
+    getBlockByHash(blockHash: Hash, fullTransactions: true): Promise<Block<Transaction> | null>;
+    getBlockReceipts(blockTag?: BlockTag): Promise<TransactionReceipt[] | null>;
+    getBlockTransactionCountByNumber(blockTag?: BlockTag): Promise<number | null>;
+    getBlockTransactionCountByHash(blockHash: Hash): Promise<number | null>;
+    getUncleCountByBlockNumber(blockTag?: BlockTag): Promise<number | null>;
+    getUncleCountByBlockHash(blockHash: Hash): Promise<number | null>;
+    getUncleByBlockNumberAndIndex(blockTag: BlockTag, index: Numberish): Promise<Block<Hash> | null>;
+    getUncleByBlockHashAndIndex(blockHash: Hash, index: Numberish): Promise<Block<Hash> | null>;
+
+    // Transactions
+    sendTransaction(transaction: TransactionRequest): Promise<Hash>;
+    sendRawTransaction(signedTransaction: Hex): Promise<Hash>;
+    getTransactionByHash(transactionHash: Hash): Promise<Transaction | null>;
+    getTransactionReceipt(transactionHash: Hash): Promise<TransactionReceipt | null>;
+    getTransactionByBlockNumberAndIndex(blockTag: BlockTag, index: Numberish): Promise<Transaction | null>;
+    getTransactionByBlockHashAndIndex(blockHash: Hash, index: Numberish): Promise<Transaction | null>;
+    sign(address: Address, data: Hex): Promise<Hex>;
+    signTransaction(transaction: TransactionRequest): Promise<Hex>;
+
+    // Gas and fees
+    getGasPrice(): Promise<bigint>;
+    maxPriorityFeePerGas(): Promise<bigint>;
+    blobBaseFee(): Promise<bigint>;
+    estimateGas(transaction: TransactionRequest, blockTag?: BlockTag): Promise<bigint>;
+    feeHistory(blockCount: Numberish, newestBlock?: BlockTag, rewardPercentiles?: number[]): Promise<FeeHistory>;
+
+    // Contract interaction
+    call(transaction: TransactionRequest, blockTag?: BlockTag): Promise<Hex>;
+    call(to: Address, data: Hex, blockTag?: BlockTag): Promise<Hex>;
+    createAccessList(transaction: TransactionRequest, blockTag?: BlockTag): Promise<AccessListResult>;
+
+    // Filters and logs
+    getLogs(filter?: LogFilter): Promise<Log[]>;
+    newFilter(filter?: LogFilter): Promise<Hex>;
+    newBlockFilter(): Promise<Hex>;
+    newPendingTransactionFilter(): Promise<Hex>;
+    getFilterChanges(filterId: Hex): Promise<Log[] | Hash[]>;
+    getFilterLogs(filterId: Hex): Promise<Log[]>;
+    uninstallFilter(filterId: Hex): Promise<boolean>;
+    getPastLogs(address: Address | Address[], fromBlock?: BlockTag, toBlock?: BlockTag, topics?: TopicFilter): Promise<Log[]>;
+    getMint(tokenAddress: Address, fromBlock?: BlockTag, toBlock?: BlockTag): Promise<Log[]>;
+
+    // Network and node
+    chainId(): Promise<number>;
+    netVersion(): Promise<string>;
+    netListening(): Promise<boolean>;
+    netPeerCount(): Promise<number>;
+    syncing(): Promise<false | SyncStatus>;
+    clientVersion(): Promise<string>;
+    protocolVersion(): Promise<string>;
+    coinbase(): Promise<Address>;
+    mining(): Promise<boolean>;
+    hashrate(): Promise<bigint>;
+
+    // Debug
+    debugTraceTransaction<T = unknown>(transactionHash: Hash, options?: object): Promise<T>;
+    debugTraceCall<T = unknown>(transaction: TransactionRequest, blockTag?: BlockTag, options?: object): Promise<T>;
+    debugTraceBlockByNumber<T = unknown>(blockTag?: BlockTag, options?: object): Promise<T[]>;
+    debugTraceBlockByHash<T = unknown>(blockHash: Hash, options?: object): Promise<T[]>;
+
+    // Development nodes
+    mine(blocks?: number): Promise<number>;
+    snapshot(): Promise<Hex>;
+    revert(snapshotId: Hex): Promise<boolean>;
+    reset(forking?: { jsonRpcUrl: string; blockNumber?: number }): Promise<boolean>;
+    snapreset(): Promise<Hex>;
+    snapdelete(): void;
+
+    // Utilities
+    toWei(value: string | number | bigint, unit?: Unit): string;
+    fromWei(value: string | number | bigint, unit?: Unit): string;
+    toHex(value: Numberish): Hex | BlockTagName;
+    fromHex(hexString: string): number;
+}
+
+// ---------------------------------------------------------------------------
+// Multiple endpoints
+// ---------------------------------------------------------------------------
+
+export interface FallbackEndpointConfig {
+    url: string;
+    /** Lower wins when endpoints are equally healthy (default 0) */
+    priority?: number;
+    /** IPCProvider options for this endpoint only */
+    options?: IPCProviderOptions;
+}
+
+export interface FallbackProviderOptions extends IPCProviderOptions {
+    healthCheckInterval?: number;
+    healthCheckTimeout?: number;
+    maxBlockLag?: number;
+    /** Percent of requests failed since the previous check */
+    maxErrorRate?: number;
+    /** Milliseconds (moving average of health-check round-trips) */
+    maxLatency?: number;
+    /** EWMA weight (0-1] of the newest health-check round-trip in `latency` (default 0.3) */
+    latencySmoothing?: number;
+    /** Agreeing answers a quorum request needs (default: majority of the queried endpoints) */
+    quorum?: number;
+    /** Endpoints queried by a quorum request (default: all) */
+    quorumEndpoints?: number;
+    /** Methods that request() always sends as quorum requests */
+    quorumMethods?: string[];
+}
+
+export interface FallbackEndpointStatus {
+    url: string;
+    transport: string;
+    connected: boolean;
+    circuit: CircuitState;
+    healthy: boolean;
+    priority: number;
+    blockNumber: number | null;
+    blockLag: number;
+    latency: number;
+    errorRate: number;
+    failures: number;
+    divergences: number;
+    lastError: string | null;
+    lastCheck: number | null;
+}
+
+export interface FallbackStatus {
+    active: string;
+    healthy: number;
+    total: number;
+    endpoints: FallbackEndpointStatus[];
+}
+
+export declare class FallbackProvider extends EventEmitter {
+    constructor(endpoints: Array<string | FallbackEndpointConfig>, options?: FallbackProviderOptions);
+
+    endpoints: Array<{ url: string; priority: number; provider: IPCProvider; healthy: boolean }>;
+    healthCheckInterval: number;
+    maxBlockLag: number;
+    maxErrorRate: number;
+    maxLatency: number;
+
+    connect(): Promise<void>;
+    disconnect(): Promise<void>;
+    checkHealth(): Promise<FallbackStatus>;
+    getStatus(): FallbackStatus;
+
+    request<M extends RpcMethod>(args: { method: M; params?: RpcMethods[M]['params'] }, options?: RequestOptions): Promise<RpcMethods[M]['result']>;
+    request<M extends RpcMethod>(method: M, params?: RpcMethods[M]['params'], options?: RequestOptions): Promise<RpcMethods[M]['result']>;
+    request<T = unknown>(args: RequestArguments, options?: RequestOptions): Promise<T>;
+    request<T = unknown>(method: string, params?: unknown[] | object, options?: RequestOptions): Promise<T>;
+    quorumRequest<M extends RpcMethod>(method: M, params?: RpcMethods[M]['params'], options?: RequestOptions & { quorum?: number; endpoints?: number }): Promise<RpcMethods[M]['result']>;
+    quorumRequest<T = unknown>(method: string, params?: unknown[], options?: RequestOptions & { quorum?: number; endpoints?: number }): Promise<T>;
+    subscribe<T = unknown>(type: SubscriptionType, params?: unknown): Promise<Subscription<T>>;
+
+    on(event: 'failover', listener: (event: { from: string; to: string; reason: string }) => void): this;
+    on(event: 'endpointDown', listener: (event: { url: string; reason: string }) => void): this;
+    on(event: 'endpointUp', listener: (event: { url: string }) => void): this;
+    on(event: 'health', listener: (status: FallbackStatus) => void): this;
+    on(event: 'divergence', listener: (event: { method: string; params: unknown[]; url: string; result: unknown; expected: unknown }) => void): this;
+    on(event: string | symbol, listener: (...args: any[]) => void): this;
+}
+
+export default IPCProvider;
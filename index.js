@@ -1,10 +1,72 @@
 export { IPCProvider } from './src/ipc-provider.js';
 export { IPCProvider as default } from './src/ipc-provider.js';
+export { FallbackProvider } from './src/fallback-provider.js';
 
 // Export individual components for advanced usage
-export { ConnectionManager } from './src/connection-manager.js';
+export { ConnectionManager, createTransport } from './src/connection-manager.js';
+export { IPCTransport } from './src/ipc-transport.js';
+export { WebSocketTransport, WebSocketConnection } from './src/websocket-transport.js';
+export { HTTPTransport, HTTPConnection } from './src/http-transport.js';
 export { CacheManager } from './src/cache-manager.js';
+export { DiskCache } from './src/disk-cache.js';
+export { CachePolicy, CACHE_STRATEGIES, DEFAULT_CACHE_POLICIES } from './src/cache-policy.js';
 export { JSONParser } from './src/json-parser.js';
 export { BatchProcessor } from './src/batch-processor.js';
 export { MetricsManager } from './src/metrics-manager.js';
 export { RequestPool } from './src/request-pool.js';
+export { RetryPolicy } from './src/retry-policy.js';
+export { CircuitBreaker, CIRCUIT_STATES } from './src/circuit-breaker.js';
+export { RateLimiter } from './src/rate-limiter.js';
+export { BlockTracker } from './src/block-tracker.js';
+export { Subscription, PollingSubscription } from './src/subscription.js';
+export {
+    ProviderRpcError,
+    PROVIDER_ERROR_CODES,
+    RpcError,
+    ParseError,
+    InvalidRequestError,
+    MethodNotFoundError,
+    InvalidParamsError,
+    InternalRpcError,
+    ExecutionRevertedError,
+    NonceTooLowError,
+    NonceTooHighError,
+    InsufficientFundsError,
+    TransactionUnderpricedError,
+    IntrinsicGasTooLowError,
+    ResourceNotFoundError,
+    RateLimitError,
+    ServiceUnavailableError,
+    TimeoutError,
+    AbortError,
+    ConnectionLostError,
+    OfflineQueueFullError,
+    WriteBufferFullError,
+    CacheMissError,
+    CircuitOpenError,
+    QuorumError
+} from './src/errors.js';
+export { RevertDecoder, PANIC_CODES, decodeRevertData } from './src/revert-decoder.js';
+export { decodeParameters } from './src/abi-decoder.js';
+export { keccak256 } from './src/keccak.js';
+export {
+    BLOCK_TAGS,
+    toQuantity,
+    validateAddress,
+    validateHash,
+    validateData,
+    normalizeBlockTag,
+    normalizeTransaction,
+    normalizeFilter
+} from './src/validators.js';
+export { toWei, fromWei, UNITS } from './src/units.js';
+export {
+    formatQuantity,
+    formatNumber,
+    toChecksumAddress,
+    formatBlock,
+    formatTransaction,
+    formatReceipt,
+    formatLog,
+    formatFeeHistory
+} from './src/formatters.js';
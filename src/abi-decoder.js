@@ -0,0 +1,187 @@
+/**
+ * Minimal Solidity ABI decoder
+ * Decodes elementary types, dynamic bytes/string, fixed and dynamic arrays and tuples
+ */
+
+const WORD_SIZE = 32;
+const ARRAY_PATTERN = /^(.*)\[(\d*)\]$/;
+
+/**
+ * Build the canonical type string of an ABI parameter (tuples expanded)
+ * @param {object} param - ABI parameter { type, components }
+ * @returns {string} Canonical type, e.g. "(uint256,address)[]"
+ */
+export function canonicalType(param) {
+    if (param.type.startsWith('tuple')) {
+        const suffix = param.type.slice('tuple'.length);
+        return `(${param.components.map(canonicalType).join(',')})${suffix}`;
+    }
+    return param.type;
+}
+
+/**
+ * Build the canonical signature of an ABI item
+ * @param {object} item - ABI item { name, inputs }
+ * @returns {string} Signature, e.g. "InsufficientBalance(uint256,uint256)"
+ */
+export function formatSignature(item) {
+    return `${item.name}(${(item.inputs || []).map(canonicalType).join(',')})`;
+}
+
+/**
+ * Whether a parameter is encoded out-of-line
+ * @param {object} param - ABI parameter
+ * @returns {boolean}
+ */
+function isDynamic(param) {
+    const array = param.type.match(ARRAY_PATTERN);
+    if (array) {
+        return array[2] === '' || isDynamic({ ...param, type: array[1] });
+    }
+    if (param.type === 'tuple') {
+        return param.components.some(isDynamic);
+    }
+    return param.type === 'string' || param.type === 'bytes';
+}
+
+/**
+ * Inline size of a static parameter in bytes
+ * @param {object} param - ABI parameter
+ * @returns {number}
+ */
+function staticSize(param) {
+    const array = param.type.match(ARRAY_PATTERN);
+    if (array) {
+        return Number(array[2]) * staticSize({ ...param, type: array[1] });
+    }
+    if (param.type === 'tuple') {
+        return param.components.reduce((size, component) => size + staticSize(component), 0);
+    }
+    return WORD_SIZE;
+}
+
+/**
+ * Read a 32-byte word
+ * @param {Buffer} data - Encoded data
+ * @param {number} position - Byte offset
+ * @returns {Buffer}
+ */
+function readWord(data, position) {
+    if (position < 0 || position + WORD_SIZE > data.length) {
+        throw new Error(`ABI decoding out of bounds at offset ${position}`);
+    }
+    return data.subarray(position, position + WORD_SIZE);
+}
+
+function readUint(data, position) {
+    return BigInt('0x' + readWord(data, position).toString('hex'));
+}
+
+function readLength(data, position) {
+    const length = readUint(data, position);
+    if (length > BigInt(data.length)) {
+        throw new Error(`ABI decoding length ${length} exceeds data size`);
+    }
+    return Number(length);
+}
+
+/**
+ * Decode a list of parameters laid out as a tuple starting at `start`
+ * @param {Array<object>} params - ABI parameters
+ * @param {Buffer} data - Encoded data
+ * @param {number} start - Byte offset of the tuple head
+ * @returns {Array} Decoded values
+ */
+function decodeTuple(params, data, start) {
+    const values = [];
+    let cursor = start;
+
+    for (const param of params) {
+        if (isDynamic(param)) {
+            const offset = readLength(data, cursor);
+            values.push(decodeValue(param, data, start + offset));
+            cursor += WORD_SIZE;
+        } else {
+            values.push(decodeValue(param, data, cursor));
+            cursor += staticSize(param);
+        }
+    }
+
+    return values;
+}
+
+/**
+ * Decode a single parameter at `position`
+ * @param {object} param - ABI parameter
+ * @param {Buffer} data - Encoded data
+ * @param {number} position - Byte offset
+ * @returns {any} Decoded value
+ */
+function decodeValue(param, data, position) {
+    const { type } = param;
+
+    const array = type.match(ARRAY_PATTERN);
+    if (array) {
+        const element = { ...param, type: array[1] };
+        if (array[2] === '') {
+            const length = readLength(data, position);
+            return decodeTuple(new Array(length).fill(element), data, position + WORD_SIZE);
+        }
+        return decodeTuple(new Array(Number(array[2])).fill(element), data, position);
+    }
+
+    if (type === 'tuple') {
+        const values = decodeTuple(param.components, data, position);
+        const named = param.components.every(component => component.name);
+        return named
+            ? Object.fromEntries(param.components.map((component, index) => [component.name, values[index]]))
+            : values;
+    }
+
+    if (type === 'string' || type === 'bytes') {
+        const length = readLength(data, position);
+        const start = position + WORD_SIZE;
+        if (start + length > data.length) {
+            throw new Error(`ABI decoding out of bounds at offset ${start}`);
+        }
+        const bytes = data.subarray(start, start + length);
+        return type === 'string' ? bytes.toString('utf8') : '0x' + bytes.toString('hex');
+    }
+
+    const word = readWord(data, position);
+
+    if (type === 'address') {
+        return '0x' + word.subarray(12).toString('hex');
+    }
+
+    if (type === 'bool') {
+        return word.some(byte => byte !== 0);
+    }
+
+    const fixedBytes = type.match(/^bytes(\d+)$/);
+    if (fixedBytes) {
+        return '0x' + word.subarray(0, Number(fixedBytes[1])).toString('hex');
+    }
+
+    const integer = type.match(/^(u?)int(\d*)$/);
+    if (integer) {
+        const value = BigInt('0x' + word.toString('hex'));
+        const bits = Number(integer[2] || 256);
+        return integer[1] === 'u' ? BigInt.asUintN(bits, value) : BigInt.asIntN(bits, value);
+    }
+
+    throw new Error(`Unsupported ABI type: ${type}`);
+}
+
+/**
+ * Decode ABI-encoded parameters
+ * @param {Array<object>} params - ABI parameters ({ type, name, components })
+ * @param {string|Buffer} data - 0x-prefixed hex string or bytes (without selector)
+ * @returns {Array} Decoded values in parameter order
+ */
+export function decodeParameters(params, data) {
+    const bytes = typeof data === 'string' ? Buffer.from(data.replace(/^0x/, ''), 'hex') : Buffer.from(data);
+    return decodeTuple(params, bytes, 0);
+}
+
+export default decodeParameters;
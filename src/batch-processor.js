@@ -1,3 +1,5 @@
+import { RpcError, TimeoutError } from './errors.js';
+
 /**
  * High-Performance Batch Processor for JSON-RPC requests
  * Optimized for throughput with intelligent batching and priority handling
@@ -7,6 +9,7 @@ export class BatchProcessor {
         this.batchSize = options.batchSize || 10;
         this.batchTimeout = options.batchTimeout || 10; // ms
         this.maxConcurrentBatches = options.maxConcurrentBatches || 5;
+        this.requestTimeout = options.requestTimeout || 30000; // ms, per item
         this.enabled = options.enabled || false;
         
         // Request queues with priority support
@@ -15,7 +18,8 @@ export class BatchProcessor {
         this.lowPriorityQueue = [];
         
         // Batch management
-        this.activeBatches = new Set();
+        this.activeBatches = new Map(); // batchId -> items awaiting a response
+        this.requestBatchIds = new Map(); // request id -> batchId
         this.batchTimer = null;
         this.batchCounter = 0;
         
@@ -36,9 +40,12 @@ export class BatchProcessor {
      * Add request to batch queue with priority
      * @param {object} request - Request object
      * @param {string} priority - Priority level: 'high', 'normal', 'low'
+     * @param {object} options - Per-request options
+     * @param {boolean} options.deduplicate - Share the response with identical queued requests
+     * @param {number} options.timeout - Item timeout in ms (defaults to requestTimeout)
      * @returns {Promise} Promise that resolves with the response
      */
-    addRequest(request, priority = 'normal') {
+    addRequest(request, priority = 'normal', options = {}) {
         if (!this.enabled) {
             // If batching is disabled, return a promise that will be resolved externally
             return new Promise((resolve, reject) => {
@@ -48,23 +55,30 @@ export class BatchProcessor {
             });
         }
 
+        const deduplicate = this.deduplicationEnabled && options.deduplicate !== false;
+        const requestKey = deduplicate ? this.getRequestKey(request, priority, options.timeout) : null;
+
         // Check for duplicate requests if deduplication is enabled
-        if (this.deduplicationEnabled) {
-            const requestKey = this.getRequestKey(request);
-            if (this.pendingRequests.has(requestKey)) {
-                return this.pendingRequests.get(requestKey);
-            }
+        if (deduplicate && this.pendingRequests.has(requestKey)) {
+            return this.pendingRequests.get(requestKey);
         }
 
-        return new Promise((resolve, reject) => {
+        const promise = new Promise((resolve, reject) => {
             const batchItem = {
                 ...request,
                 resolve,
                 reject,
                 priority,
+                requestKey,
                 timestamp: Date.now()
             };
 
+            // Per-item timeout covers both the queued and the in-flight phase
+            const timeout = options.timeout || this.requestTimeout;
+            batchItem.timeout = setTimeout(() => {
+                this.removeRequest(batchItem.id, new TimeoutError(timeout, batchItem));
+            }, timeout);
+
             // Add to appropriate priority queue
             switch (priority) {
                 case 'high':
@@ -77,24 +91,29 @@ export class BatchProcessor {
                     this.normalPriorityQueue.push(batchItem);
             }
 
-            // Track for deduplication
-            if (this.deduplicationEnabled) {
-                const requestKey = this.getRequestKey(request);
-                this.pendingRequests.set(requestKey, batchItem.resolve);
-            }
-
             // Process batch if conditions are met
             this.checkBatchConditions();
         });
+
+        // Track for deduplication
+        if (deduplicate) {
+            this.pendingRequests.set(requestKey, promise);
+        }
+
+        return promise;
     }
 
     /**
      * Generate unique key for request deduplication
+     * Priority and timeout are part of it, so a duplicate never inherits another caller's
+     * queue position or deadline.
      * @param {object} request - Request object
+     * @param {string} priority - Priority level
+     * @param {number} timeout - Item timeout in ms, if the request set one
      * @returns {string} Unique request key
      */
-    getRequestKey(request) {
-        return `${request.method}:${JSON.stringify(request.params || [])}`;
+    getRequestKey(request, priority = 'normal', timeout = this.requestTimeout) {
+        return `${request.method}:${JSON.stringify(request.params || [])}:${priority}:${timeout}`;
     }
 
     /**
@@ -127,11 +146,11 @@ export class BatchProcessor {
 
     /**
      * Process batch with priority ordering
+     * @param {boolean} force - Ignore the concurrent batch limit
      */
-    async processBatch() {
-        if (this.activeBatches.size >= this.maxConcurrentBatches) {
-            // Too many concurrent batches, defer processing
-            setTimeout(() => this.processBatch(), 5);
+    async processBatch(force = false) {
+        if (!force && this.activeBatches.size >= this.maxConcurrentBatches) {
+            // Too many concurrent batches: the queue is drained when one of them finishes
             return;
         }
 
@@ -146,7 +165,8 @@ export class BatchProcessor {
         if (batch.length === 0) return;
 
         const batchId = ++this.batchCounter;
-        this.activeBatches.add(batchId);
+        this.activeBatches.set(batchId, batch);
+        batch.forEach(item => this.requestBatchIds.set(item.id, batchId));
 
         const startTime = Date.now();
 
@@ -171,13 +191,7 @@ export class BatchProcessor {
 
         } catch (error) {
             // Reject all batch items on error
-            batch.forEach(item => {
-                if (item.timeout) clearTimeout(item.timeout);
-                item.reject(error);
-                this.cleanupDeduplication(item);
-            });
-        } finally {
-            this.activeBatches.delete(batchId);
+            this.failBatch(batchId, error);
         }
     }
 
@@ -210,13 +224,28 @@ export class BatchProcessor {
         return batch;
     }
 
+    /**
+     * Find the in-flight batch a response array belongs to
+     * @param {Array} responses - Array of responses
+     * @returns {number|undefined} Batch identifier
+     */
+    findBatchId(responses) {
+        for (const response of responses) {
+            const batchId = response && this.requestBatchIds.get(response.id);
+            if (batchId !== undefined) {
+                return batchId;
+            }
+        }
+        return undefined;
+    }
+
     /**
      * Handle batch response
      * @param {number} batchId - Batch identifier
      * @param {Array} responses - Array of responses
-     * @param {Array} items - Original batch items
+     * @param {Array} items - Original batch items (defaults to the items still in flight)
      */
-    handleBatchResponse(batchId, responses, items) {
+    handleBatchResponse(batchId, responses, items = this.activeBatches.get(batchId)) {
         if (!this.activeBatches.has(batchId)) {
             this.logger.warn(`⚠️ Received response for unknown batch ${batchId}`);
             return;
@@ -236,7 +265,7 @@ export class BatchProcessor {
             
             if (response) {
                 if (response.error) {
-                    item.reject(new Error(response.error.message));
+                    item.reject(RpcError.from(response.error, item));
                 } else {
                     item.resolve(response.result);
                 }
@@ -247,9 +276,144 @@ export class BatchProcessor {
             // Cleanup
             if (item.timeout) clearTimeout(item.timeout);
             this.cleanupDeduplication(item);
+            this.requestBatchIds.delete(item.id);
         });
 
+        this.releaseBatch(batchId);
+    }
+
+    /**
+     * Forget a finished batch and send queued requests that were waiting for a free slot
+     * @param {number} batchId - Batch identifier
+     */
+    releaseBatch(batchId) {
         this.activeBatches.delete(batchId);
+        this.drainQueues();
+    }
+
+    drainQueues() {
+        if (this.getTotalQueueSize() > 0) {
+            this.checkBatchConditions();
+        }
+    }
+
+    /**
+     * Reject every item of an in-flight batch (e.g. when the write failed)
+     * @param {number} batchId - Batch identifier
+     * @param {Error} error - Error to reject with
+     */
+    failBatch(batchId, error) {
+        const items = this.activeBatches.get(batchId) || [];
+        items.forEach(item => this.rejectItem(item, error));
+        this.releaseBatch(batchId);
+    }
+
+    /**
+     * Detach in-flight batch items, e.g. after the connection dropped
+     * and their responses can no longer arrive
+     * @param {Function} filter - Selects the items to detach (all by default)
+     * @returns {Array} Items that were awaiting a response
+     */
+    takeInflightItems(filter = () => true) {
+        const taken = [];
+
+        for (const [batchId, items] of this.activeBatches) {
+            const remaining = [];
+            for (const item of items) {
+                if (filter(item)) {
+                    taken.push(item);
+                    this.requestBatchIds.delete(item.id);
+                } else {
+                    remaining.push(item);
+                }
+            }
+
+            if (remaining.length === 0) {
+                this.activeBatches.delete(batchId);
+            } else {
+                this.activeBatches.set(batchId, remaining);
+            }
+        }
+
+        this.drainQueues();
+        return taken;
+    }
+
+    /**
+     * Check whether a request is queued or awaiting its batch response
+     * @param {string} id - Request identifier
+     * @returns {boolean}
+     */
+    hasRequest(id) {
+        return this.requestBatchIds.has(id) ||
+            [this.highPriorityQueue, this.normalPriorityQueue, this.lowPriorityQueue]
+                .some(queue => queue.some(item => item.id === id));
+    }
+
+    /**
+     * Put a detached item back on its priority queue ahead of newer requests
+     * @param {object} item - Batch item (keeps its promise callbacks and timeout)
+     */
+    requeue(item) {
+        switch (item.priority) {
+            case 'high':
+                this.highPriorityQueue.unshift(item);
+                break;
+            case 'low':
+                this.lowPriorityQueue.unshift(item);
+                break;
+            default:
+                this.normalPriorityQueue.unshift(item);
+        }
+        this.checkBatchConditions();
+    }
+
+    /**
+     * Clear an item's timer and deduplication entry, then reject it
+     * @param {object} item - Batch item
+     * @param {Error} error - Error to reject with
+     */
+    rejectItem(item, error) {
+        if (item.timeout) clearTimeout(item.timeout);
+        this.cleanupDeduplication(item);
+        this.requestBatchIds.delete(item.id);
+        item.reject(error);
+    }
+
+    /**
+     * Remove a single request, whether still queued or already in flight,
+     * and reject it. A late response for it is ignored.
+     * @param {string} id - Request identifier
+     * @param {Error} error - Error to reject with
+     * @returns {boolean} True if the request was found
+     */
+    removeRequest(id, error) {
+        let item = null;
+
+        for (const queue of [this.highPriorityQueue, this.normalPriorityQueue, this.lowPriorityQueue]) {
+            const index = queue.findIndex(queued => queued.id === id);
+            if (index !== -1) {
+                item = queue.splice(index, 1)[0];
+                break;
+            }
+        }
+
+        const batchId = this.requestBatchIds.get(id);
+        if (!item && batchId !== undefined) {
+            const items = this.activeBatches.get(batchId) || [];
+            const index = items.findIndex(inflight => inflight.id === id);
+            if (index !== -1) {
+                item = items.splice(index, 1)[0];
+            }
+            if (items.length === 0) {
+                this.releaseBatch(batchId);
+            }
+        }
+
+        if (!item) return false;
+
+        this.rejectItem(item, error);
+        return true;
     }
 
     /**
@@ -266,9 +430,8 @@ export class BatchProcessor {
      * @param {object} item - Batch item
      */
     cleanupDeduplication(item) {
-        if (this.deduplicationEnabled) {
-            const requestKey = this.getRequestKey(item);
-            this.pendingRequests.delete(requestKey);
+        if (item.requestKey) {
+            this.pendingRequests.delete(item.requestKey);
         }
     }
 
@@ -319,7 +482,8 @@ export class BatchProcessor {
         const allItems = [
             ...this.highPriorityQueue,
             ...this.normalPriorityQueue,
-            ...this.lowPriorityQueue
+            ...this.lowPriorityQueue,
+            ...Array.from(this.activeBatches.values()).flat()
         ];
 
         allItems.forEach(item => {
@@ -341,6 +505,7 @@ export class BatchProcessor {
         // Clear deduplication
         this.pendingRequests.clear();
         this.activeBatches.clear();
+        this.requestBatchIds.clear();
     }
 
     /**
@@ -352,7 +517,7 @@ export class BatchProcessor {
         if (!enabled) {
             // Process any remaining batches immediately
             while (this.getTotalQueueSize() > 0) {
-                this.processBatch();
+                this.processBatch(true);
             }
         }
     }
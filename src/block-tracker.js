@@ -0,0 +1,233 @@
+import { EventEmitter } from 'events';
+
+/**
+ * Follows the chain head for block-aware caching
+ * Fetches the latest block on start, then uses a newHeads subscription where the transport has
+ * one (opened with provider.subscribeInternal(), so it is not one of the user's subscriptions)
+ * and falls back to polling the latest block every `pollingInterval` ms. Emits 'block' with
+ * { number, hash, parentHash } for every new head.
+ *
+ * The hashes of the last `finalityDepth` heads are kept; a head whose parent hash does not match
+ * them is a reorg. The replaced ancestors are walked back with eth_getBlockByHash and 'reorg' is
+ * emitted with { depth, orphanedHashes, blockNumber, blockHash } before the head's 'block'.
+ * Its requests go through provider.requestInternal(), outside the rate limiter and metrics.
+ */
+export class BlockTracker extends EventEmitter {
+    constructor(provider, options = {}) {
+        super();
+        this.provider = provider;
+        this.pollingInterval = options.pollingInterval || 4000;
+        this.finalityDepth = options.finalityDepth ?? 64; // blocks below the head treated as final
+
+        this.blockNumber = null;
+        this.blockHash = null;
+        this.history = new Map(); // block number -> hash of the recent canonical chain
+        this.reorgs = 0;
+        this.updating = Promise.resolve(); // heads are processed one at a time
+        this.mode = null; // 'subscription' | 'polling' while running
+        this.subscription = null;
+        this.timer = null;
+        this.startPromise = null;
+        this.epoch = 0; // bumped by stop() so a start or poll in progress does not resume
+
+        this.logger = options.logger || console;
+    }
+
+    /**
+     * Start following the head; repeated calls share the first start
+     * @returns {Promise<void>}
+     */
+    start() {
+        if (this.mode !== null) {
+            return Promise.resolve();
+        }
+        if (!this.startPromise) {
+            this.startPromise = this.subscribeOrPoll().finally(() => {
+                this.startPromise = null;
+            });
+        }
+        return this.startPromise;
+    }
+
+    async subscribeOrPoll() {
+        const epoch = this.epoch;
+
+        if (this.provider.connection.transport.supportsSubscriptions) {
+            try {
+                const subscription = await this.provider.subscribeInternal('newHeads');
+                if (epoch !== this.epoch) {
+                    await this.provider.unsubscribe(subscription.id);
+                    return;
+                }
+                this.subscription = subscription;
+                this.mode = 'subscription';
+                subscription.on('data', (header) => this.update(header));
+                await this.fetchHead(epoch);
+                return;
+            } catch (error) {
+                if (epoch !== this.epoch) return;
+                this.logger.warn(`⚠️ newHeads subscription failed, polling the latest block instead: ${error.message}`);
+            }
+        }
+
+        this.mode = 'polling';
+        await this.poll(epoch);
+    }
+
+    schedulePoll(epoch) {
+        this.timer = setTimeout(() => this.poll(epoch), this.pollingInterval);
+        this.timer.unref();
+    }
+
+    async poll(epoch) {
+        await this.fetchHead(epoch);
+
+        if (epoch === this.epoch) {
+            this.schedulePoll(epoch);
+        }
+    }
+
+    async fetchHead(epoch) {
+        try {
+            const block = await this.provider.requestInternal('eth_getBlockByNumber', ['latest', false]);
+            if (block && epoch === this.epoch) await this.update(block);
+        } catch (error) {
+            this.logger.warn(`⚠️ Fetching the latest block failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Record a head from a newHeads notification or a polled block
+     * @param {object} header - { number, hash, parentHash } with hex values
+     * @returns {Promise<void>} Settles once the head (and any reorg it reveals) is processed
+     */
+    update(header) {
+        this.updating = this.updating
+            .then(() => this.processHead(header))
+            .catch(error => this.logger.warn(`⚠️ Failed to process block ${header.number}: ${error.message}`));
+        return this.updating;
+    }
+
+    async processHead({ number, hash = null, parentHash = null }) {
+        const blockNumber = Number(number);
+        if (!Number.isSafeInteger(blockNumber)) return;
+        if (blockNumber === this.blockNumber && hash === this.blockHash) return;
+
+        const epoch = this.epoch;
+        const orphanedHashes = hash === null ? [] : await this.findOrphans(blockNumber, hash, parentHash);
+        if (epoch !== this.epoch) return;
+
+        this.blockNumber = blockNumber;
+        this.blockHash = hash;
+        if (hash !== null) {
+            this.recordHash(blockNumber, hash);
+        }
+
+        if (orphanedHashes.length > 0) {
+            this.reorgs++;
+            this.emit('reorg', { depth: orphanedHashes.length, orphanedHashes, blockNumber, blockHash: hash });
+        }
+        this.emit('block', { number: blockNumber, hash, parentHash });
+    }
+
+    /**
+     * Hashes of the known blocks a new head replaces
+     * Known blocks at or above its height are gone. Below it, ancestors are fetched by parent hash:
+     * heights the tracker never saw (a poll can skip blocks) are filled in down to the highest known
+     * block, then the walk goes on until an ancestor matches the known chain (or history runs out).
+     */
+    async findOrphans(blockNumber, hash, parentHash) {
+        const orphaned = [];
+        let highestKnown = null;
+
+        for (const [number, knownHash] of this.history) {
+            if (number > blockNumber || (number === blockNumber && knownHash !== hash)) {
+                orphaned.push(knownHash);
+                this.history.delete(number);
+            } else if (number < blockNumber) {
+                highestKnown = Math.max(highestKnown ?? number, number);
+            }
+        }
+
+        let number = blockNumber - 1;
+        let ancestorHash = parentHash;
+        const gapFillable = highestKnown !== null && highestKnown > blockNumber - this.finalityDepth;
+        while (ancestorHash && gapFillable && number > highestKnown) {
+            this.history.set(number, ancestorHash);
+            ancestorHash = await this.fetchParentHash(ancestorHash);
+            number--;
+        }
+
+        while (ancestorHash && this.history.has(number) && this.history.get(number) !== ancestorHash) {
+            orphaned.push(this.history.get(number));
+            this.history.set(number, ancestorHash);
+            ancestorHash = await this.fetchParentHash(ancestorHash);
+            number--;
+        }
+
+        return orphaned;
+    }
+
+    async fetchParentHash(blockHash) {
+        const block = await this.provider.requestInternal('eth_getBlockByHash', [blockHash, false]);
+        return block?.parentHash ?? null;
+    }
+
+    recordHash(blockNumber, hash) {
+        this.history.set(blockNumber, hash);
+        for (const number of this.history.keys()) {
+            if (number <= blockNumber - this.finalityDepth) {
+                this.history.delete(number);
+            }
+        }
+    }
+
+    /**
+     * Hash of a recent canonical block
+     * @param {number} blockNumber - Block number
+     * @returns {string|null} null when the block is not among the heads seen in the last `finalityDepth` blocks
+     */
+    getBlockHash(blockNumber) {
+        return this.history.get(blockNumber) ?? null;
+    }
+
+    /**
+     * Whether a block number is at least `finalityDepth` blocks below the current head
+     * @param {number} blockNumber - Block number
+     * @returns {boolean} false while the head is unknown
+     */
+    isFinal(blockNumber) {
+        return this.blockNumber !== null && blockNumber <= this.blockNumber - this.finalityDepth;
+    }
+
+    /**
+     * Stop following the head and forget it (used on disconnect)
+     */
+    stop() {
+        this.epoch++;
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.mode = null;
+        this.blockNumber = null;
+        this.blockHash = null;
+        this.history.clear();
+
+        if (this.subscription) {
+            const { id } = this.subscription;
+            this.subscription = null;
+            this.provider.unsubscribe(id).catch(() => {});
+        }
+    }
+
+    getStatus() {
+        return {
+            mode: this.mode,
+            blockNumber: this.blockNumber,
+            blockHash: this.blockHash,
+            finalityDepth: this.finalityDepth,
+            reorgs: this.reorgs
+        };
+    }
+}
+
+export default BlockTracker;
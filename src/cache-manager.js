@@ -1,21 +1,70 @@
+/**
+ * Approximate in-memory size of a JSON-RPC result in bytes (UTF-16 strings, 8-byte numbers)
+ * @param {any} value - Value to measure
+ * @returns {number}
+ */
+function estimateSize(value) {
+    switch (typeof value) {
+        case 'string':
+            return value.length * 2;
+        case 'number':
+            return 8;
+        case 'bigint':
+            return 8 + Math.ceil(value.toString(16).length / 2);
+        case 'boolean':
+            return 4;
+        case 'object': {
+            if (value === null) return 0;
+
+            let size = 0;
+            if (Array.isArray(value)) {
+                for (const item of value) {
+                    size += estimateSize(item);
+                }
+            } else {
+                for (const key in value) {
+                    size += key.length * 2 + estimateSize(value[key]);
+                }
+            }
+            return size;
+        }
+        default:
+            return 0;
+    }
+}
+
 /**
  * High-Performance Cache Manager with LRU eviction and TTL support
  * Optimized for frequent read operations with minimal memory overhead
+ *
+ * The Map's insertion order is the recency order: get() moves an entry to the end and eviction
+ * takes the first one, so both are O(1). Entries are bounded by count (`maxSize`) and by their
+ * estimated size (`maxBytes`), measured once when they are stored.
+ *
+ * An optional `persistent` tier (a DiskCache) keeps entries stored with `persist: true` across
+ * restarts; getPersistent() and warm() bring them back into memory.
  */
 export class CacheManager {
     constructor(options = {}) {
         this.maxSize = options.maxSize || 1000;
+        this.maxBytes = options.maxBytes || Infinity;
         this.defaultTTL = options.defaultTTL || 5000; // 5 seconds
         this.enabled = options.enabled !== false;
+        this.persistent = options.persistent || null;
         
         // Use Map for O(1) operations with insertion order preservation
         this.cache = new Map();
-        this.accessTimes = new Map();
+        this.keyBytes = 0;
+        this.valueBytes = 0;
         
         // Performance tracking
         this.hits = 0;
         this.misses = 0;
         this.evictions = 0;
+        this.evictedBytes = 0;
+        this.expirations = 0;
+        this.invalidations = 0;
+        this.oversized = 0; // entries larger than maxBytes, never stored
         
         // Cleanup timer for expired entries
         this.cleanupInterval = options.cleanupInterval || 30000; // 30 seconds
@@ -45,18 +94,14 @@ export class CacheManager {
             return null;
         }
 
-        const now = Date.now();
-        if (now - entry.timestamp > entry.ttl) {
+        if (Date.now() - entry.timestamp > entry.ttl) {
             // Entry expired
-            this.cache.delete(key);
-            this.accessTimes.delete(key);
+            this.remove(key, entry);
+            this.expirations++;
             this.misses++;
             return null;
         }
 
-        // Update access time for LRU
-        this.accessTimes.set(key, now);
-        
         // Move to end for LRU (delete and re-insert)
         this.cache.delete(key);
         this.cache.set(key, entry);
@@ -69,49 +114,111 @@ export class CacheManager {
      * Set cache value with TTL
      * @param {string} key - Cache key
      * @param {any} data - Data to cache
-     * @param {number} ttl - Time to live in milliseconds (optional)
+     * @param {number} ttl - Time to live in milliseconds (optional, Infinity keeps it until evicted)
+     * @param {object} options - { blockTagged: true } drops the entry on the next invalidateBlockTagged(),
+     *   { blockHash } on an invalidateBlockHashes() naming the block it was served from,
+     *   { persist: true } also writes it to the persistent tier
      */
-    set(key, data, ttl = this.defaultTTL) {
+    set(key, data, ttl = this.defaultTTL, options = {}) {
         if (!this.enabled) return;
 
+        if (options.persist && this.persistent) {
+            this.persistent.set(key, data).catch(error => {
+                this.logger.warn(`⚠️ Failed to persist cache entry ${key}: ${error.message}`);
+            });
+        }
+
+        // A replaced entry must not count against the limits of its successor
+        this.delete(key);
+
+        const keyBytes = key.length * 2; // Approximate UTF-16 encoding
+        const valueBytes = estimateSize(data);
+        if (keyBytes + valueBytes > this.maxBytes) {
+            this.oversized++;
+            return;
+        }
+
         // Implement LRU eviction if at capacity
-        if (this.cache.size >= this.maxSize) {
+        while (this.cache.size > 0 &&
+            (this.cache.size >= this.maxSize || this.keyBytes + this.valueBytes + keyBytes + valueBytes > this.maxBytes)) {
             this.evictLRU();
         }
 
-        const now = Date.now();
         const entry = {
             data,
-            timestamp: now,
-            ttl
+            timestamp: Date.now(),
+            ttl,
+            keyBytes,
+            valueBytes,
+            blockTagged: options.blockTagged === true,
+            blockHash: options.blockHash ? options.blockHash.toLowerCase() : null
         };
 
         this.cache.set(key, entry);
-        this.accessTimes.set(key, now);
+        this.keyBytes += keyBytes;
+        this.valueBytes += valueBytes;
     }
 
     /**
-     * Evict least recently used entry
+     * Evict least recently used entry (the first one in the Map)
      */
     evictLRU() {
         if (this.cache.size === 0) return;
 
-        // Find the least recently accessed key
-        let oldestKey = null;
-        let oldestTime = Infinity;
+        const [oldestKey, oldestEntry] = this.cache.entries().next().value;
+        this.remove(oldestKey, oldestEntry);
+        this.evictions++;
+        this.evictedBytes += oldestEntry.keyBytes + oldestEntry.valueBytes;
+    }
 
-        for (const [key, accessTime] of this.accessTimes) {
-            if (accessTime < oldestTime) {
-                oldestTime = accessTime;
-                oldestKey = key;
-            }
+    /**
+     * Drop an entry and release its bytes
+     */
+    remove(key, entry) {
+        this.cache.delete(key);
+        this.keyBytes -= entry.keyBytes;
+        this.valueBytes -= entry.valueBytes;
+    }
+
+    /**
+     * Look a key up in the persistent tier, keeping a hit in memory
+     * @param {string} key - Cache key
+     * @returns {Promise<any|null>} Cached value or null if not found
+     */
+    async getPersistent(key) {
+        if (!this.enabled || !this.persistent) return null;
+
+        let data = null;
+        try {
+            data = await this.persistent.get(key);
+        } catch (error) {
+            this.logger.warn(`⚠️ Failed to read persisted cache entry ${key}: ${error.message}`);
         }
 
-        if (oldestKey) {
-            this.cache.delete(oldestKey);
-            this.accessTimes.delete(oldestKey);
-            this.evictions++;
+        if (data !== null) {
+            this.set(key, data, Infinity);
         }
+        return data;
+    }
+
+    /**
+     * Load the most recently persisted entries into memory
+     * @param {object} options - { methods: only these RPC methods, limit: entries (default maxSize) }
+     * @returns {Promise<number>} Number of entries loaded
+     */
+    async warm(options = {}) {
+        if (!this.enabled || !this.persistent) return 0;
+
+        const methods = options.methods ? new Set(options.methods) : null;
+        const entries = await this.persistent.entries({
+            limit: options.limit || this.maxSize,
+            filter: key => methods === null || methods.has(key.slice(0, key.indexOf(':')))
+        });
+
+        for (const [key, data] of entries) {
+            this.set(key, data, Infinity);
+        }
+        return entries.length;
     }
 
     /**
@@ -125,10 +232,9 @@ export class CacheManager {
         const entry = this.cache.get(key);
         if (!entry) return false;
 
-        const now = Date.now();
-        if (now - entry.timestamp > entry.ttl) {
-            this.cache.delete(key);
-            this.accessTimes.delete(key);
+        if (Date.now() - entry.timestamp > entry.ttl) {
+            this.remove(key, entry);
+            this.expirations++;
             return false;
         }
 
@@ -140,8 +246,44 @@ export class CacheManager {
      * @param {string} key - Cache key
      */
     delete(key) {
-        this.cache.delete(key);
-        this.accessTimes.delete(key);
+        const entry = this.cache.get(key);
+        if (entry) {
+            this.remove(key, entry);
+        }
+    }
+
+    /**
+     * Drop every entry that depends on the chain head (used when a new block arrives)
+     * @returns {number} Number of entries removed
+     */
+    invalidateBlockTagged() {
+        let removed = 0;
+        for (const [key, entry] of this.cache) {
+            if (entry.blockTagged) {
+                this.remove(key, entry);
+                removed++;
+            }
+        }
+        this.invalidations += removed;
+        return removed;
+    }
+
+    /**
+     * Drop every entry served from one of the given blocks (used when a reorg orphans them)
+     * @param {Array<string>} blockHashes - Hashes of the orphaned blocks
+     * @returns {number} Number of entries removed
+     */
+    invalidateBlockHashes(blockHashes) {
+        const orphaned = new Set(blockHashes.map(hash => hash.toLowerCase()));
+        let removed = 0;
+        for (const [key, entry] of this.cache) {
+            if (entry.blockHash !== null && orphaned.has(entry.blockHash)) {
+                this.remove(key, entry);
+                removed++;
+            }
+        }
+        this.invalidations += removed;
+        return removed;
     }
 
     /**
@@ -149,7 +291,8 @@ export class CacheManager {
      */
     clear() {
         this.cache.clear();
-        this.accessTimes.clear();
+        this.keyBytes = 0;
+        this.valueBytes = 0;
         this.logger.log('🧹 Cache cleared');
     }
 
@@ -179,21 +322,18 @@ export class CacheManager {
      */
     cleanupExpired() {
         const now = Date.now();
-        const keysToDelete = [];
+        let removed = 0;
 
         for (const [key, entry] of this.cache) {
             if (now - entry.timestamp > entry.ttl) {
-                keysToDelete.push(key);
+                this.remove(key, entry);
+                removed++;
             }
         }
 
-        for (const key of keysToDelete) {
-            this.cache.delete(key);
-            this.accessTimes.delete(key);
-        }
-
-        if (keysToDelete.length > 0) {
-            this.logger.log(`🧹 Cleaned up ${keysToDelete.length} expired cache entries`);
+        this.expirations += removed;
+        if (removed > 0) {
+            this.logger.log(`🧹 Cleaned up ${removed} expired cache entries`);
         }
     }
 
@@ -209,34 +349,29 @@ export class CacheManager {
             enabled: this.enabled,
             size: this.cache.size,
             maxSize: this.maxSize,
+            maxBytes: this.maxBytes,
             hits: this.hits,
             misses: this.misses,
             evictions: this.evictions,
+            evictedBytes: this.evictedBytes,
+            expirations: this.expirations,
+            invalidations: this.invalidations,
+            oversized: this.oversized,
             hitRatio: parseFloat(hitRatio.toFixed(2)),
-            memoryUsage: this.getMemoryUsage()
+            memoryUsage: this.getMemoryUsage(),
+            persistent: this.persistent ? this.persistent.getStats() : null
         };
     }
 
     /**
-     * Estimate memory usage (approximate)
+     * Estimate memory usage (approximate, from the sizes measured when entries were stored)
      * @returns {object} Memory usage statistics
      */
     getMemoryUsage() {
-        let totalSize = 0;
-        let keySize = 0;
-        let valueSize = 0;
-
-        for (const [key, entry] of this.cache) {
-            keySize += key.length * 2; // Approximate UTF-16 encoding
-            valueSize += JSON.stringify(entry.data).length * 2;
-        }
-
-        totalSize = keySize + valueSize;
-
         return {
-            totalBytes: totalSize,
-            keyBytes: keySize,
-            valueBytes: valueSize,
+            totalBytes: this.keyBytes + this.valueBytes,
+            keyBytes: this.keyBytes,
+            valueBytes: this.valueBytes,
             entriesCount: this.cache.size
         };
     }
@@ -257,9 +392,11 @@ export class CacheManager {
 
     /**
      * Destroy cache manager and cleanup resources
+     * @returns {Promise<void>} Settles once the persistent tier is closed
      */
     destroy() {
         this.stopCleanupTimer();
         this.clear();
+        return this.persistent ? this.persistent.close() : Promise.resolve();
     }
 }
@@ -0,0 +1,156 @@
+export const CACHE_STRATEGIES = Object.freeze({
+    NEVER: 'never', // always ask the node
+    FOREVER: 'forever', // keep until evicted or the connection changes
+    BLOCK: 'block', // drop on the next head, unless the request is pinned to a final block
+    TTL: 'ttl' // keep for `ttl` ms (cacheTTL when unset)
+});
+
+const STRATEGY_NAMES = new Set(Object.values(CACHE_STRATEGIES));
+
+// A block or transaction that is not found yet may still appear, so null answers are not kept
+const BY_HASH = { strategy: CACHE_STRATEGIES.FOREVER, nonNull: true };
+
+/**
+ * Default caching of read-only methods; methods not listed are never cached
+ */
+export const DEFAULT_CACHE_POLICIES = Object.freeze({
+    // Block methods
+    eth_blockNumber: 'block',
+    eth_getBlockByNumber: 'block',
+    eth_getBlockByHash: BY_HASH,
+    eth_getBlockTransactionCountByNumber: 'block',
+    eth_getBlockTransactionCountByHash: BY_HASH,
+    eth_getUncleCountByBlockNumber: 'block',
+    eth_getUncleCountByBlockHash: BY_HASH,
+    eth_getUncleByBlockNumberAndIndex: 'block',
+    eth_getUncleByBlockHashAndIndex: BY_HASH,
+
+    // Account methods
+    eth_getBalance: 'block',
+    eth_getCode: 'block',
+    eth_getTransactionCount: 'block',
+    eth_getStorageAt: 'block',
+
+    // Transaction methods: a pending transaction has no receipt yet and still changes with the next block
+    eth_getTransactionByHash: { strategy: 'block', nonNull: true },
+    eth_getTransactionReceipt: BY_HASH,
+    eth_getTransactionByBlockNumberAndIndex: 'block',
+    eth_getTransactionByBlockHashAndIndex: BY_HASH,
+
+    // Gas and fee methods
+    eth_gasPrice: 'block',
+    eth_feeHistory: 'block',
+    eth_maxPriorityFeePerGas: 'block',
+
+    // Contract interaction (read-only)
+    eth_call: 'block',
+    eth_createAccessList: 'block',
+
+    // Network and node info; the chain cannot change without a reconnect
+    eth_chainId: 'forever',
+    net_version: 'forever',
+    net_listening: 'ttl',
+    net_peerCount: 'ttl',
+    eth_protocolVersion: 'forever',
+    eth_syncing: 'block',
+    eth_coinbase: 'ttl',
+    eth_mining: 'ttl',
+    eth_hashrate: 'ttl',
+    eth_accounts: 'ttl',
+
+    // Web3 methods
+    web3_clientVersion: 'forever',
+    web3_sha3: 'forever'
+});
+
+const NEVER = Object.freeze({ strategy: CACHE_STRATEGIES.NEVER, ttl: undefined, nonNull: false });
+
+/**
+ * Normalize a policy: a strategy name, a number of ms, false/null (never) or { strategy, ttl, nonNull }
+ */
+function normalizePolicy(method, policy) {
+    if (policy === false || policy === null) {
+        return NEVER;
+    }
+    if (typeof policy === 'number') {
+        policy = { strategy: CACHE_STRATEGIES.TTL, ttl: policy };
+    } else if (typeof policy === 'string') {
+        policy = { strategy: policy };
+    }
+
+    const { strategy = CACHE_STRATEGIES.TTL, ttl, nonNull = false } = policy;
+    if (!STRATEGY_NAMES.has(strategy)) {
+        throw new TypeError(`Unknown cache strategy "${strategy}" for ${method}`);
+    }
+    if (ttl !== undefined && !(ttl > 0)) {
+        throw new TypeError(`Cache TTL for ${method} must be a positive number of ms`);
+    }
+
+    return Object.freeze({ strategy, ttl, nonNull: nonNull === true });
+}
+
+/**
+ * Per-method cache policy table
+ * Starts from DEFAULT_CACHE_POLICIES; `overrides` (and later set() calls) replace the policy of
+ * a method or add one for a method that is not cached by default.
+ */
+export class CachePolicy {
+    constructor(overrides = {}) {
+        this.policies = new Map(); // method -> { strategy, ttl, nonNull }
+
+        for (const [method, policy] of Object.entries({ ...DEFAULT_CACHE_POLICIES, ...overrides })) {
+            this.set(method, policy);
+        }
+    }
+
+    /**
+     * Set the policy of a method
+     * @param {string} method - RPC method name
+     * @param {string|number|boolean|object|null} policy - Strategy name, TTL in ms, false/null
+     *   to never cache, or { strategy, ttl, nonNull }
+     * @returns {CachePolicy} this
+     */
+    set(method, policy) {
+        this.policies.set(method, normalizePolicy(method, policy));
+        return this;
+    }
+
+    /**
+     * Effective policy for a method
+     * @param {string} method - RPC method name
+     * @returns {object} { strategy, ttl, nonNull }; 'never' for unknown methods
+     */
+    get(method) {
+        return this.policies.get(method) || NEVER;
+    }
+
+    /**
+     * Whether a method's results go through the cache
+     * @param {string} method - RPC method name
+     * @returns {boolean}
+     */
+    isCacheable(method) {
+        return this.get(method).strategy !== CACHE_STRATEGIES.NEVER;
+    }
+
+    /**
+     * Whether a result may be stored under a policy
+     * @param {object} policy - Policy from get()
+     * @param {any} result - Response result
+     * @returns {boolean}
+     */
+    accepts(policy, result) {
+        return policy.strategy !== CACHE_STRATEGIES.NEVER &&
+            !(policy.nonNull && (result === null || result === undefined));
+    }
+
+    /**
+     * The table as plain objects, for inspection
+     * @returns {object} method -> { strategy, ttl, nonNull }
+     */
+    toJSON() {
+        return Object.fromEntries(this.policies);
+    }
+}
+
+export default CachePolicy;
@@ -0,0 +1,150 @@
+import { EventEmitter } from 'events';
+import { RpcError, TimeoutError, ConnectionLostError, PROVIDER_ERROR_CODES } from './errors.js';
+
+export const CIRCUIT_STATES = {
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half-open'
+};
+
+/**
+ * Circuit breaker for a wedged node (socket open, no responses)
+ * Opens after `failureThreshold` consecutive timeouts or connection errors; while open, requests
+ * fail fast. After `resetTimeout` ms it half-opens so the owner can send a probe: a success
+ * closes the circuit, a failure opens it again. Emits 'stateChange' with { from, to, reason }.
+ */
+export class CircuitBreaker extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.enabled = options.enabled !== false;
+        this.failureThreshold = options.failureThreshold || 5;
+        this.resetTimeout = options.resetTimeout || 30000; // ms open before the half-open probe
+        this.probeTimeout = options.probeTimeout || 5000;
+
+        this.state = CIRCUIT_STATES.CLOSED;
+        this.failures = 0; // consecutive
+        this.rejected = 0;
+        this.openedAt = null;
+        this.nextProbeAt = null;
+        this.timer = null;
+
+        this.logger = options.logger || console;
+    }
+
+    /**
+     * Whether a request may be sent; counts the ones that are turned away
+     * @returns {boolean}
+     */
+    allowRequest() {
+        if (!this.enabled || this.state === CIRCUIT_STATES.CLOSED) {
+            return true;
+        }
+        this.rejected++;
+        return false;
+    }
+
+    /**
+     * Whether an error means the node is not answering (as opposed to answering with an error)
+     * @param {Error} error - Error of a failed request
+     * @returns {boolean}
+     */
+    isFailure(error) {
+        return error instanceof TimeoutError ||
+            error?.code === PROVIDER_ERROR_CODES.DISCONNECTED ||
+            error?.code === -32002 ||
+            error instanceof ConnectionLostError;
+    }
+
+    /**
+     * Record a response from the node; closes the circuit if it was not closed
+     */
+    recordSuccess() {
+        if (!this.enabled) return;
+
+        this.failures = 0;
+        if (this.state !== CIRCUIT_STATES.CLOSED) {
+            this.transition(CIRCUIT_STATES.CLOSED, 'node responded');
+        }
+    }
+
+    /**
+     * Record a failed request; only timeouts and connection errors count towards opening
+     * @param {Error} error - Error of the failed request
+     */
+    recordFailure(error) {
+        if (!this.enabled) return;
+
+        if (!this.isFailure(error)) {
+            // An error response still shows the node is answering
+            if (error instanceof RpcError) this.recordSuccess();
+            return;
+        }
+
+        this.failures++;
+        if (this.state === CIRCUIT_STATES.HALF_OPEN ||
+            (this.state === CIRCUIT_STATES.CLOSED && this.failures >= this.failureThreshold)) {
+            this.open(`${this.failures} consecutive failures, last: ${error.message}`);
+        }
+    }
+
+    /**
+     * Open the circuit and schedule the next half-open probe
+     * @param {string} reason - Why the circuit opened
+     */
+    open(reason) {
+        clearTimeout(this.timer);
+        this.openedAt = Date.now();
+        this.nextProbeAt = this.openedAt + this.resetTimeout;
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.nextProbeAt = null;
+            this.transition(CIRCUIT_STATES.HALF_OPEN, `${this.resetTimeout}ms elapsed, probing`);
+        }, this.resetTimeout);
+        this.timer.unref();
+
+        this.transition(CIRCUIT_STATES.OPEN, reason);
+    }
+
+    transition(to, reason) {
+        const from = this.state;
+        if (from === to) return;
+
+        this.state = to;
+        if (to === CIRCUIT_STATES.CLOSED) {
+            clearTimeout(this.timer);
+            this.timer = null;
+            this.failures = 0;
+            this.openedAt = null;
+            this.nextProbeAt = null;
+        }
+
+        this.logger.warn(`⚡ Circuit ${from} → ${to}: ${reason}`);
+        this.emit('stateChange', { from, to, reason });
+    }
+
+    /**
+     * Close the circuit silently and cancel a scheduled probe (used on disconnect)
+     */
+    reset() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.state = CIRCUIT_STATES.CLOSED;
+        this.failures = 0;
+        this.openedAt = null;
+        this.nextProbeAt = null;
+    }
+
+    getStatus() {
+        return {
+            enabled: this.enabled,
+            state: this.state,
+            failures: this.failures,
+            failureThreshold: this.failureThreshold,
+            rejected: this.rejected,
+            openedAt: this.openedAt,
+            nextProbeAt: this.nextProbeAt
+        };
+    }
+}
+
+export default CircuitBreaker;
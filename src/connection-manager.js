@@ -1,14 +1,43 @@
-import net from 'net';
 import { EventEmitter } from 'events';
+import { IPCTransport } from './ipc-transport.js';
+import { WebSocketTransport } from './websocket-transport.js';
+import { HTTPTransport } from './http-transport.js';
+import { CircuitBreaker } from './circuit-breaker.js';
+import { WriteBufferFullError } from './errors.js';
+
+/**
+ * Pick a transport from the endpoint's URL scheme
+ * @param {string} endpoint - IPC path (optionally ipc://), ws:// / wss:// or http:// / https:// URL
+ * @param {Object} options - Transport options
+ * @returns {IPCTransport|WebSocketTransport|HTTPTransport}
+ */
+export function createTransport(endpoint, options = {}) {
+    const match = /^([a-z][a-z0-9+.-]*):\/\//i.exec(endpoint);
+    const scheme = match ? match[1].toLowerCase() : 'ipc';
+
+    switch (scheme) {
+        case 'ipc':
+            return new IPCTransport(endpoint, options);
+        case 'ws':
+        case 'wss':
+            return new WebSocketTransport(endpoint, options);
+        case 'http':
+        case 'https':
+            return new HTTPTransport(endpoint, options);
+        default:
+            throw new Error(`Unsupported transport scheme: ${scheme}://`);
+    }
+}
 
 /**
  * Optimized Connection Manager for IPC communication
- * Handles connection lifecycle, reconnection, and socket optimization
+ * Handles connection lifecycle and reconnection; sockets come from a pluggable transport
  */
 export class ConnectionManager extends EventEmitter {
     constructor(ipcPath, options = {}) {
         super();
         this.ipcPath = ipcPath;
+        this.transport = options.transport || createTransport(ipcPath, options);
         this.socket = null;
         this.isConnected = false;
         this.isReconnecting = false;
@@ -21,13 +50,24 @@ export class ConnectionManager extends EventEmitter {
         this.backoffMultiplier = options.backoffMultiplier || 2;
         this.autoReconnect = options.autoReconnect !== false;
         this.currentRetries = 0;
-        
-        // Socket optimization settings
-        this.socketTimeout = options.socketTimeout || 30000;
-        this.keepAlive = options.keepAlive !== false;
-        this.keepAliveInitialDelay = options.keepAliveInitialDelay || 60000;
+        this.connectPromise = null;
+
+        // Write backpressure: once the socket buffer passes its high-water mark, writes wait
+        // here until 'drain'; beyond maxBufferedBytes they are refused
+        this.maxBufferedBytes = options.maxBufferedBytes || 64 * 1024 * 1024;
+        this.pendingWrites = []; // { data, size }
+        this.pendingBytes = 0;
+        this.saturated = false;
         
         this.logger = options.logger || console;
+
+        // Fails requests fast while the endpoint stops answering; the provider sends the probes
+        this.circuitBreaker = new CircuitBreaker({
+            enabled: options.circuitBreaker !== false,
+            ...options.circuitBreaker,
+            logger: this.logger
+        });
+        this.circuitBreaker.on('stateChange', change => this.emit('circuitStateChange', change));
     }
 
     async connect() {
@@ -35,70 +75,106 @@ export class ConnectionManager extends EventEmitter {
             return Promise.resolve();
         }
 
+        // Share a connection attempt that is already under way
+        if (!this.connectPromise) {
+            this.connectPromise = this.openSocket().finally(() => {
+                this.connectPromise = null;
+            });
+        }
+        return this.connectPromise;
+    }
+
+    /**
+     * Open a fresh socket, replacing any previous one
+     * @returns {Promise} Resolves once the socket is connected
+     */
+    openSocket() {
+        this.releaseSocket();
+
         return new Promise((resolve, reject) => {
-            this.logger.log(`🔌 Connecting to IPC at: ${this.ipcPath}`);
-
-            this.socket = net.connect(this.ipcPath);
-            
-            // Socket performance optimizations
-            this.socket.setNoDelay(true); // Disable Nagle's algorithm
-            this.socket.setTimeout(this.socketTimeout);
-            
-            if (this.keepAlive) {
-                this.socket.setKeepAlive(true, this.keepAliveInitialDelay);
-            }
+            const { name, target } = this.transport;
+            this.logger.log(`🔌 Connecting to ${name} at: ${target}`);
 
-            this.socket.on('connect', () => {
-                this.logger.log('✅ Connected to IPC socket');
+            const socket = this.transport.createConnection();
+            this.socket = socket;
+
+            socket.on('connect', () => {
+                this.logger.log(`✅ Connected to ${name} endpoint`);
                 this.isConnected = true;
                 this.currentRetries = 0;
-                this.isReconnecting = false;
                 this.emit('connected');
                 resolve();
             });
 
-            this.socket.on('error', (error) => {
-                this.logger.error('❌ IPC connection error:', error.message);
+            socket.on('error', (error) => {
+                this.logger.error(`❌ ${name} connection error:`, error.message);
                 this.isConnected = false;
                 this.emit('error', error);
                 reject(error);
             });
 
-            this.socket.on('close', () => {
-                this.logger.log('🔌 IPC connection closed');
-                this.isConnected = false;
-                this.emit('disconnected');
-
-                if (this.autoReconnect && !this.isReconnecting && !this.isDisconnecting) {
-                    this.attemptReconnect();
-                }
+            socket.on('close', () => {
+                this.logger.log(`🔌 ${name} connection closed`);
+                this.handleSocketClosed(socket);
             });
 
-            this.socket.on('data', (data) => {
+            socket.on('data', (data) => {
                 this.emit('data', data);
             });
 
-            this.socket.on('end', () => {
+            socket.on('drain', () => {
+                this.flushWrites();
+            });
+
+            socket.on('end', () => {
                 this.logger.warn('🔚 Socket ended by server');
-                this.isConnected = false;
-                this.emit('disconnected');
-                
-                if (this.autoReconnect && !this.isReconnecting && !this.isDisconnecting) {
-                    this.attemptReconnect();
-                }
+                this.handleSocketClosed(socket);
             });
 
-            this.socket.on('timeout', () => {
+            // An idle socket is normal (no requests, no subscriptions), so the
+            // timeout is only reported; a dead peer surfaces as 'end'/'close'
+            socket.on('timeout', () => {
                 this.logger.warn('⏱️ Socket timeout');
                 this.emit('timeout');
-                
-                if (this.autoReconnect && !this.isReconnecting && !this.isDisconnecting) {
-                    this.attemptReconnect();
-                }
             });
         });
     }
 
+    /**
+     * Detach and destroy the current socket so its late events are ignored
+     */
+    releaseSocket() {
+        if (!this.socket) return;
+
+        const socket = this.socket;
+        this.socket = null;
+        this.clearWrites();
+        socket.removeAllListeners();
+        socket.on('error', () => {});
+        socket.destroy();
+    }
+
+    /**
+     * Handle 'end'/'close' of a socket, reconnecting if configured
+     * @param {net.Socket|WebSocketConnection} socket - Socket that closed
+     */
+    handleSocketClosed(socket) {
+        if (socket !== this.socket) {
+            return;
+        }
+
+        const wasConnected = this.isConnected;
+        this.isConnected = false;
+        this.clearWrites();
+        if (wasConnected) {
+            this.emit('disconnected');
+        }
+
+        if (this.autoReconnect && !this.isReconnecting && !this.isDisconnecting) {
+            this.attemptReconnect();
+        }
+    }
+
     async attemptReconnect() {
         if (this.isReconnecting || this.isDisconnecting) {
             return;
@@ -115,7 +191,8 @@ export class ConnectionManager extends EventEmitter {
 
             try {
                 await new Promise(resolve => setTimeout(resolve, currentDelay));
-                await this.connect();
+                await this.openSocket();
+                this.isReconnecting = false;
                 this.logger.log('✅ Reconnection successful!');
                 this.emit('reconnected');
                 return;
@@ -140,25 +217,82 @@ export class ConnectionManager extends EventEmitter {
         this.isReconnecting = false;
     }
 
+    /**
+     * Write to the socket, or queue the write while the socket is saturated
+     * Queued writes keep their order and go out on 'drain'. Throws WriteBufferFullError once
+     * more than `maxBufferedBytes` would be buffered.
+     * @param {string|Buffer} data - Serialized request or batch
+     * @returns {boolean} false when the write was queued or filled the socket buffer
+     */
     write(data) {
         if (!this.isConnected || !this.socket) {
             throw new Error('Socket not connected');
         }
-        
-        return this.socket.write(data);
+
+        const size = Buffer.byteLength(data);
+        if (this.bufferedBytes + size > this.maxBufferedBytes) {
+            throw new WriteBufferFullError(this.bufferedBytes, this.maxBufferedBytes);
+        }
+
+        if (this.saturated) {
+            this.pendingWrites.push({ data, size });
+            this.pendingBytes += size;
+            return false;
+        }
+
+        if (!this.socket.write(data)) {
+            this.saturated = true;
+            this.emit('backpressure', this.bufferedBytes);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Send queued writes after 'drain' until the socket fills up again
+     */
+    flushWrites() {
+        this.saturated = false;
+
+        while (this.pendingWrites.length > 0) {
+            const { data, size } = this.pendingWrites.shift();
+            this.pendingBytes -= size;
+            if (!this.socket.write(data)) {
+                this.saturated = true;
+                return;
+            }
+        }
+        this.emit('drain');
+    }
+
+    /**
+     * Drop queued writes of a socket that is gone; the provider replays or fails their requests
+     */
+    clearWrites() {
+        this.pendingWrites = [];
+        this.pendingBytes = 0;
+        if (this.saturated) {
+            this.saturated = false;
+            this.emit('drain');
+        }
+    }
+
+    /**
+     * Bytes waiting to be sent: the socket's own buffer plus queued writes
+     */
+    get bufferedBytes() {
+        return (this.socket?.writableLength || 0) + this.pendingBytes;
     }
 
     async disconnect() {
-        this.logger.log('Disconnecting from IPC');
+        this.logger.log(`Disconnecting from ${this.transport.name}`);
         
         this.autoReconnect = false;
         this.isReconnecting = false;
         this.isDisconnecting = true;
 
-        if (this.socket) {
-            this.socket.destroy();
-            this.socket = null;
-        }
+        this.releaseSocket();
+        this.circuitBreaker.reset();
 
         this.isConnected = false;
         this.emit('disconnected');
@@ -171,7 +305,12 @@ export class ConnectionManager extends EventEmitter {
             reconnecting: this.isReconnecting,
             disconnecting: this.isDisconnecting,
             retries: this.currentRetries,
-            maxRetries: this.maxRetries
+            maxRetries: this.maxRetries,
+            transport: this.transport.name,
+            bufferedBytes: this.bufferedBytes,
+            queuedWrites: this.pendingWrites.length,
+            saturated: this.saturated,
+            circuit: this.circuitBreaker.getStatus()
         };
     }
 }
@@ -0,0 +1,348 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+const FILE_NAME = 'cache.log';
+const GENESIS_FILE_NAME = 'genesis';
+const READ_CHUNK_SIZE = 1024 * 1024;
+const COMPACT_RATIO = 0.75; // compaction keeps the newest entries up to this share of maxBytes
+
+function checksum(text) {
+    return crypto.createHash('sha256').update(text).digest('hex').slice(0, 16);
+}
+
+/**
+ * Split a record line into its key and JSON value
+ * @returns {object|null} { key, json }, or null when the line is damaged
+ */
+function parseRecord(line) {
+    const text = line.toString('utf8');
+    const keyStart = text.indexOf('\t');
+    const valueStart = text.indexOf('\t', keyStart + 1);
+    if (keyStart === -1 || valueStart === -1) {
+        return null;
+    }
+
+    const body = text.slice(keyStart + 1);
+    if (checksum(body) !== text.slice(0, keyStart)) {
+        return null;
+    }
+    return { key: text.slice(keyStart + 1, valueStart), json: text.slice(valueStart + 1) };
+}
+
+/**
+ * Append-only on-disk cache tier for immutable chain data
+ * Each chain gets `<directory>/<chainId>/cache.log` with one `<checksum>\t<key>\t<json>` line per
+ * write; a later line for a key replaces the earlier one. The genesis block hash is kept next to
+ * the log, and a log written for another genesis block (a restarted dev chain) is dropped. Opening a chain indexes the file and
+ * skips damaged or truncated lines; once the file outgrows `maxBytes` it is rewritten with the
+ * most recently written entries. Writes, compaction and chain switches run one at a time; reads
+ * are answered from the in-memory key index and do not wait behind them.
+ */
+export class DiskCache {
+    constructor(options = {}) {
+        if (!options.directory) {
+            throw new TypeError('DiskCache requires a directory');
+        }
+
+        this.directory = options.directory;
+        this.maxBytes = options.maxBytes || 256 * 1024 * 1024;
+        this.logger = options.logger || console;
+
+        this.chainId = null;
+        this.genesisHash = null;
+        this.file = null;
+        this.handle = null;
+        this.index = new Map(); // key -> { offset, length }, oldest write first
+        this.fileBytes = 0;
+        this.queue = Promise.resolve();
+        this.reads = new Set(); // reads in flight, settled before the handle they use is closed
+
+        this.hits = 0;
+        this.misses = 0;
+        this.writes = 0;
+        this.corrupted = 0;
+        this.compactions = 0;
+    }
+
+    enqueue(task) {
+        const run = this.queue.then(task);
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Open (or switch to) the file of a chain
+     * @param {string|number} chainId - Chain id, hex or decimal
+     * @param {object} options - { genesisHash }: entries written for another genesis are dropped
+     * @returns {Promise<void>}
+     */
+    open(chainId, { genesisHash = null } = {}) {
+        const namespace = String(Number(chainId));
+        return this.enqueue(async () => {
+            if (this.chainId === namespace && this.genesisHash === genesisHash) return;
+
+            await this.closeHandle();
+            const chainDirectory = path.join(this.directory, namespace);
+            await fs.mkdir(chainDirectory, { recursive: true });
+
+            this.file = path.join(chainDirectory, FILE_NAME);
+            this.handle = await fs.open(this.file, 'a+');
+            this.chainId = namespace;
+            if (genesisHash !== null) {
+                await this.checkGenesis(path.join(chainDirectory, GENESIS_FILE_NAME), genesisHash);
+            }
+            await this.load();
+        });
+    }
+
+    /**
+     * Dev chains reuse chain ids (31337) across restarts, so a log kept for another genesis
+     * block, or for an unknown one, would serve another chain's "final" blocks
+     */
+    async checkGenesis(genesisFile, genesisHash) {
+        const known = await fs.readFile(genesisFile, 'utf8').catch(() => null);
+        if (known !== genesisHash) {
+            const { size } = await this.handle.stat();
+            if (size > 0) {
+                this.logger.warn(`⚠️ Dropping ${this.file}: written for another genesis block`);
+                await this.handle.truncate(0);
+            }
+            await fs.writeFile(genesisFile, genesisHash);
+        }
+        this.genesisHash = genesisHash;
+    }
+
+    /**
+     * Index every intact record; a truncated last record is cut off so appends start on a new line
+     */
+    async load() {
+        const { size } = await this.handle.stat();
+        const chunk = Buffer.alloc(READ_CHUNK_SIZE);
+        let carry = Buffer.alloc(0);
+        let carryOffset = 0;
+        let position = 0;
+        let damaged = 0;
+
+        while (position < size) {
+            const { bytesRead } = await this.handle.read(chunk, 0, chunk.length, position);
+            if (bytesRead === 0) break;
+            position += bytesRead;
+
+            const data = carry.length > 0 ? Buffer.concat([carry, chunk.subarray(0, bytesRead)]) : chunk.subarray(0, bytesRead);
+            let start = 0;
+            let newline;
+            while ((newline = data.indexOf(0x0a, start)) !== -1) {
+                const record = parseRecord(data.subarray(start, newline));
+                if (record === null) {
+                    damaged++;
+                } else {
+                    this.index.delete(record.key);
+                    this.index.set(record.key, { offset: carryOffset + start, length: newline - start });
+                }
+                start = newline + 1;
+            }
+
+            carry = Buffer.from(data.subarray(start));
+            carryOffset += start;
+        }
+
+        this.fileBytes = carryOffset;
+        if (carry.length > 0) {
+            damaged++;
+            await this.handle.truncate(carryOffset);
+        }
+
+        if (damaged > 0) {
+            this.corrupted += damaged;
+            this.logger.warn(`⚠️ Skipped ${damaged} damaged records in ${this.file}`);
+            await this.compact();
+        }
+    }
+
+    /**
+     * Read an entry; a key missing from the index is a miss without touching the file
+     * @param {string} key - Cache key
+     * @returns {Promise<any|null>} null when missing or damaged
+     */
+    get(key) {
+        const location = this.index.get(key);
+        if (!location || !this.handle) {
+            this.misses++;
+            return Promise.resolve(null);
+        }
+
+        const read = this.readRecord(this.handle, key, location);
+        this.reads.add(read);
+        read.finally(() => this.reads.delete(read)).catch(() => {});
+        return read;
+    }
+
+    async readRecord(handle, key, location) {
+        const buffer = Buffer.alloc(location.length);
+        await handle.read(buffer, 0, location.length, location.offset);
+        const record = parseRecord(buffer);
+        if (record === null || record.key !== key) {
+            if (this.index.get(key) === location) {
+                this.index.delete(key);
+            }
+            this.corrupted++;
+            this.misses++;
+            return null;
+        }
+
+        this.hits++;
+        return JSON.parse(record.json);
+    }
+
+    /**
+     * Wait for the reads in flight, before the handle they use is closed or truncated
+     */
+    async settleReads() {
+        while (this.reads.size > 0) {
+            await Promise.allSettled([...this.reads]);
+        }
+    }
+
+    /**
+     * Append an entry; ignored until a chain is open
+     * @param {string} key - Cache key (without tabs or newlines)
+     * @param {any} data - JSON-serializable value
+     * @returns {Promise<void>}
+     */
+    set(key, data) {
+        return this.enqueue(async () => {
+            const json = JSON.stringify(data);
+            if (!this.handle || json === undefined) return;
+
+            const body = `${key}\t${json}`;
+            const line = Buffer.from(`${checksum(body)}\t${body}\n`);
+            if (line.length > this.maxBytes * COMPACT_RATIO) return;
+
+            await this.handle.write(line);
+            this.index.delete(key);
+            this.index.set(key, { offset: this.fileBytes, length: line.length - 1 });
+            this.fileBytes += line.length;
+            this.writes++;
+
+            if (this.fileBytes > this.maxBytes) {
+                await this.compact();
+            }
+        });
+    }
+
+    /**
+     * Rewrite the file with the newest entries that fit in COMPACT_RATIO of maxBytes
+     */
+    async compact() {
+        const budget = Math.floor(this.maxBytes * COMPACT_RATIO);
+        const kept = [];
+        let bytes = 0;
+        for (const entry of [...this.index].reverse()) {
+            if (bytes + entry[1].length + 1 > budget) break;
+            kept.push(entry);
+            bytes += entry[1].length + 1;
+        }
+        kept.reverse();
+
+        const tempFile = `${this.file}.tmp`;
+        const temp = await fs.open(tempFile, 'w');
+        const index = new Map();
+        let offset = 0;
+        try {
+            for (const [key, location] of kept) {
+                const buffer = Buffer.alloc(location.length + 1);
+                await this.handle.read(buffer, 0, buffer.length, location.offset);
+                await temp.write(buffer, 0, buffer.length, offset);
+                index.set(key, { offset, length: location.length });
+                offset += buffer.length;
+            }
+        } finally {
+            await temp.close();
+        }
+
+        // Reads already in flight finish on the old file, which stays readable until closed
+        const previous = this.handle;
+        await fs.rename(tempFile, this.file);
+        this.handle = await fs.open(this.file, 'a+');
+        this.index = index;
+        this.fileBytes = offset;
+        this.compactions++;
+
+        await this.settleReads();
+        await previous.close();
+    }
+
+    /**
+     * Read the newest entries, for warming the memory tier; waits for a pending open()
+     * @param {object} options - { limit, filter(key) }
+     * @returns {Promise<Array>} [key, data] pairs, oldest first
+     */
+    entries({ limit = Infinity, filter = () => true } = {}) {
+        // Queued, so that a chain still being opened is indexed first
+        return this.enqueue(() => {
+            const keys = [];
+            for (const key of [...this.index.keys()].reverse()) {
+                if (keys.length >= limit) break;
+                if (filter(key)) keys.push(key);
+            }
+            return keys.reverse();
+        })
+            .then(keys => Promise.all(keys.map(async key => [key, await this.get(key)])))
+            .then(pairs => pairs.filter(([, data]) => data !== null));
+    }
+
+    /**
+     * Drop every entry of the open chain
+     * @returns {Promise<void>}
+     */
+    clear() {
+        return this.enqueue(async () => {
+            if (!this.handle) return;
+            this.index.clear();
+            await this.settleReads();
+            await this.handle.truncate(0);
+            this.fileBytes = 0;
+        });
+    }
+
+    async closeHandle() {
+        const handle = this.handle;
+        this.handle = null;
+        this.chainId = null;
+        this.genesisHash = null;
+        this.index.clear();
+        this.fileBytes = 0;
+
+        if (handle) {
+            await this.settleReads();
+            await handle.close();
+        }
+    }
+
+    /**
+     * Close the file after pending operations
+     * @returns {Promise<void>}
+     */
+    close() {
+        return this.enqueue(() => this.closeHandle());
+    }
+
+    getStats() {
+        return {
+            directory: this.directory,
+            chainId: this.chainId,
+            genesisHash: this.genesisHash,
+            entries: this.index.size,
+            bytes: this.fileBytes,
+            maxBytes: this.maxBytes,
+            hits: this.hits,
+            misses: this.misses,
+            writes: this.writes,
+            corrupted: this.corrupted,
+            compactions: this.compactions
+        };
+    }
+}
+
+export default DiskCache;
@@ -0,0 +1,312 @@
+/**
+ * EIP-1193 provider error codes
+ */
+export const PROVIDER_ERROR_CODES = {
+    USER_REJECTED: 4001,       // The user rejected the request
+    UNAUTHORIZED: 4100,        // The requested method and/or account has not been authorized
+    UNSUPPORTED_METHOD: 4200,  // The provider does not support the requested method
+    DISCONNECTED: 4900,        // The provider is disconnected from all chains
+    CHAIN_DISCONNECTED: 4901   // The provider is not connected to the requested chain
+};
+
+/**
+ * EIP-1193 ProviderRpcError
+ * Carries a numeric `code` (EIP-1193 or JSON-RPC 2.0) and optional `data`
+ */
+export class ProviderRpcError extends Error {
+    constructor(code, message, data) {
+        super(message);
+        this.name = 'ProviderRpcError';
+        this.code = code;
+        if (data !== undefined) {
+            this.data = data;
+        }
+    }
+}
+
+/**
+ * JSON-RPC error returned by the node
+ * Keeps the server's `code`/`data` together with the request that failed
+ */
+export class RpcError extends ProviderRpcError {
+    constructor(code, message, data, context = {}) {
+        super(code, message, data);
+        this.name = 'RpcError';
+        this.method = context.method;
+        this.params = context.params;
+        this.requestId = context.id;
+    }
+
+    /**
+     * Build the most specific error class for a JSON-RPC error object
+     * @param {object} error - `error` member of a JSON-RPC response
+     * @param {object} context - Request context: { id, method, params }
+     * @returns {RpcError}
+     */
+    static from(error = {}, context = {}) {
+        const code = error.code;
+        const message = error.message || 'Unknown JSON-RPC error';
+        const ErrorClass = resolveErrorClass(code, message);
+        return new ErrorClass(code, message, error.data, context);
+    }
+}
+
+export class ParseError extends RpcError {
+    constructor(...args) {
+        super(...args);
+        this.name = 'ParseError';
+    }
+}
+
+export class InvalidRequestError extends RpcError {
+    constructor(...args) {
+        super(...args);
+        this.name = 'InvalidRequestError';
+    }
+}
+
+export class MethodNotFoundError extends RpcError {
+    constructor(...args) {
+        super(...args);
+        this.name = 'MethodNotFoundError';
+    }
+}
+
+export class InvalidParamsError extends RpcError {
+    constructor(...args) {
+        super(...args);
+        this.name = 'InvalidParamsError';
+    }
+}
+
+export class InternalRpcError extends RpcError {
+    constructor(...args) {
+        super(...args);
+        this.name = 'InternalRpcError';
+    }
+}
+
+/**
+ * Execution reverted (code 3 on Geth/Anvil, revert data in `data`)
+ */
+export class ExecutionRevertedError extends RpcError {
+    constructor(...args) {
+        super(...args);
+        this.name = 'ExecutionRevertedError';
+    }
+}
+
+export class NonceTooLowError extends RpcError {
+    constructor(...args) {
+        super(...args);
+        this.name = 'NonceTooLowError';
+    }
+}
+
+export class NonceTooHighError extends RpcError {
+    constructor(...args) {
+        super(...args);
+        this.name = 'NonceTooHighError';
+    }
+}
+
+export class InsufficientFundsError extends RpcError {
+    constructor(...args) {
+        super(...args);
+        this.name = 'InsufficientFundsError';
+    }
+}
+
+export class TransactionUnderpricedError extends RpcError {
+    constructor(...args) {
+        super(...args);
+        this.name = 'TransactionUnderpricedError';
+    }
+}
+
+export class IntrinsicGasTooLowError extends RpcError {
+    constructor(...args) {
+        super(...args);
+        this.name = 'IntrinsicGasTooLowError';
+    }
+}
+
+/**
+ * Requested block/state is not (yet) available, e.g. Geth's "header not found"
+ */
+export class ResourceNotFoundError extends RpcError {
+    constructor(...args) {
+        super(...args);
+        this.name = 'ResourceNotFoundError';
+    }
+}
+
+export class RateLimitError extends RpcError {
+    constructor(...args) {
+        super(...args);
+        this.name = 'RateLimitError';
+    }
+}
+
+/**
+ * The node or its gateway is temporarily unavailable (EIP-1474 -32002, HTTP 503)
+ */
+export class ServiceUnavailableError extends RpcError {
+    constructor(...args) {
+        super(...args);
+        this.name = 'ServiceUnavailableError';
+    }
+}
+
+/**
+ * Raised when a request gets no response within its timeout
+ */
+export class TimeoutError extends Error {
+    constructor(timeout, context = {}) {
+        super(context.queued ? `Request timeout after ${timeout}ms in the rate limiter queue` : `Request timeout after ${timeout}ms`);
+        this.name = 'TimeoutError';
+        this.code = 'TIMEOUT';
+        this.timeout = timeout;
+        this.method = context.method;
+        this.requestId = context.id;
+        this.queued = context.queued || false;
+    }
+}
+
+/**
+ * Raised when a request is cancelled through its AbortSignal
+ * `reason` is the signal's abort reason
+ */
+export class AbortError extends Error {
+    constructor(reason, context = {}) {
+        super(context.method ? `Request ${context.method} aborted` : 'Request aborted');
+        this.name = 'AbortError';
+        this.code = 'ABORTED';
+        this.reason = reason;
+        this.method = context.method;
+        this.requestId = context.id;
+    }
+}
+
+/**
+ * Raised for a request whose connection dropped before it was answered; it may have reached
+ * the node. `code` is 'RECONNECT_FAILED' instead of 'CONNECTION_LOST' once the provider has
+ * given up reconnecting.
+ */
+export class ConnectionLostError extends Error {
+    constructor(message, context = {}) {
+        super(message);
+        this.name = 'ConnectionLostError';
+        this.code = context.reconnectFailed ? 'RECONNECT_FAILED' : 'CONNECTION_LOST';
+        this.method = context.method;
+        this.requestId = context.id;
+    }
+}
+
+/**
+ * Raised without sending the request when the offline queue is full while reconnecting
+ */
+export class OfflineQueueFullError extends Error {
+    constructor(limit, context = {}) {
+        super(`Offline queue full (${limit} writes) while reconnecting${context.endpoint ? ` to ${context.endpoint}` : ''}`);
+        this.name = 'OfflineQueueFullError';
+        this.code = 'OFFLINE_QUEUE_FULL';
+        this.limit = limit;
+    }
+}
+
+/**
+ * Raised without sending the request when it would take the connection's buffered bytes past
+ * `maxBufferedBytes`
+ */
+export class WriteBufferFullError extends Error {
+    constructor(bufferedBytes, limit) {
+        super(`Write buffer full (${bufferedBytes} bytes buffered, limit ${limit})`);
+        this.name = 'WriteBufferFullError';
+        this.code = 'WRITE_BUFFER_FULL';
+        this.bufferedBytes = bufferedBytes;
+        this.limit = limit;
+    }
+}
+
+/**
+ * Raised without sending the request while the connection's circuit breaker is open
+ */
+export class CircuitOpenError extends Error {
+    constructor(context = {}) {
+        super(context.method ? `Circuit breaker is ${context.state || 'open'}, ${context.method} not sent` : 'Circuit breaker is open');
+        this.name = 'CircuitOpenError';
+        this.code = 'CIRCUIT_OPEN';
+        this.method = context.method;
+        this.state = context.state;
+        this.nextProbeAt = context.nextProbeAt;
+    }
+}
+
+/**
+ * Raised by a `cache: 'only'` request whose result is not cached
+ */
+export class CacheMissError extends Error {
+    constructor(method, params) {
+        super(`No cached result for ${method}`);
+        this.name = 'CacheMissError';
+        this.code = 'CACHE_MISS';
+        this.method = method;
+        this.params = params;
+    }
+}
+
+/**
+ * Raised when not enough endpoints agree on the result of a quorum request
+ * `responses` holds every node's answer: { url, result } or { url, error }
+ */
+export class QuorumError extends Error {
+    constructor(message, context = {}) {
+        super(message);
+        this.name = 'QuorumError';
+        this.code = 'QUORUM_NOT_REACHED';
+        this.method = context.method;
+        this.params = context.params;
+        this.quorum = context.quorum;
+        this.responses = context.responses || [];
+    }
+}
+
+// Geth/Anvil report most transaction-pool and state errors as -32000 with a message
+const MESSAGE_PATTERNS = [
+    [/execution reverted|^reverted|vm exception.*revert/i, ExecutionRevertedError],
+    [/nonce too low/i, NonceTooLowError],
+    [/nonce too high/i, NonceTooHighError],
+    [/insufficient funds/i, InsufficientFundsError],
+    [/underpriced/i, TransactionUnderpricedError],
+    [/intrinsic gas too low/i, IntrinsicGasTooLowError],
+    [/header not found|unknown block|missing trie node/i, ResourceNotFoundError],
+    [/rate limit|limit exceeded|too many requests/i, RateLimitError],
+    [/service unavailable/i, ServiceUnavailableError]
+];
+
+const CODE_CLASSES = new Map([
+    [3, ExecutionRevertedError],
+    [-32700, ParseError],
+    [-32600, InvalidRequestError],
+    [-32601, MethodNotFoundError],
+    [-32602, InvalidParamsError],
+    [-32603, InternalRpcError],
+    [-32001, ResourceNotFoundError],
+    [-32002, ServiceUnavailableError],
+    [-32005, RateLimitError]
+]);
+
+function resolveErrorClass(code, message) {
+    if (CODE_CLASSES.has(code)) {
+        return CODE_CLASSES.get(code);
+    }
+
+    for (const [pattern, ErrorClass] of MESSAGE_PATTERNS) {
+        if (pattern.test(message)) {
+            return ErrorClass;
+        }
+    }
+
+    return RpcError;
+}
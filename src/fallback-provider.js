@@ -0,0 +1,517 @@
+import { EventEmitter } from 'events';
+import { IPCProvider } from './ipc-provider.js';
+import { DiskCache } from './disk-cache.js';
+import {
+    ProviderRpcError,
+    PROVIDER_ERROR_CODES,
+    RpcError,
+    RateLimitError,
+    ServiceUnavailableError,
+    TimeoutError,
+    ConnectionLostError,
+    OfflineQueueFullError,
+    WriteBufferFullError,
+    CircuitOpenError,
+    QuorumError
+} from './errors.js';
+
+// Filter ids only exist on the node that installed them
+const FILTER_INSTALL_METHODS = new Set(['eth_newFilter', 'eth_newBlockFilter', 'eth_newPendingTransactionFilter']);
+const FILTER_ID_METHODS = new Set(['eth_getFilterChanges', 'eth_getFilterLogs', 'eth_uninstallFilter']);
+
+/**
+ * Whether a request failed because of the endpoint rather than the request itself
+ * Decided by error class and code only, never by message text.
+ */
+function isEndpointFailure(error) {
+    return (error instanceof TimeoutError && !error.queued) ||
+        error instanceof CircuitOpenError ||
+        error instanceof RateLimitError ||
+        error instanceof ServiceUnavailableError ||
+        error?.code === PROVIDER_ERROR_CODES.DISCONNECTED ||
+        error instanceof ConnectionLostError ||
+        error instanceof OfflineQueueFullError ||
+        error instanceof WriteBufferFullError;
+}
+
+/**
+ * Whether a request certainly never reached the node (safe to resend anywhere)
+ */
+function isUnsent(error) {
+    if (error instanceof CircuitOpenError || error instanceof OfflineQueueFullError || error instanceof WriteBufferFullError) {
+        return true;
+    }
+    return error instanceof ProviderRpcError && !(error instanceof RpcError) &&
+        error.code === PROVIDER_ERROR_CODES.DISCONNECTED;
+}
+
+/**
+ * Key-order independent serialization used to compare results for deep equality
+ */
+function canonicalize(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalize).join(',')}]`;
+    }
+    if (value !== null && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value) ?? 'undefined';
+}
+
+/**
+ * One logical provider over several endpoints
+ * Each endpoint is an IPCProvider (own ConnectionManager, cache and metrics). Endpoints are
+ * health-checked periodically (block lag, error rate, latency); requests go to the healthiest
+ * one and fail over to the next on connection errors.
+ */
+export class FallbackProvider extends EventEmitter {
+    /**
+     * @param {Array<string|Object>} endpoints - IPC paths/URLs or { url, priority, options }
+     * @param {Object} options - Health settings plus IPCProvider options shared by every endpoint
+     */
+    constructor(endpoints, options = {}) {
+        super();
+        if (!Array.isArray(endpoints) || endpoints.length === 0) {
+            throw new Error('FallbackProvider needs at least one endpoint');
+        }
+
+        this.logger = options.logger || console;
+
+        // Health settings
+        this.healthCheckInterval = options.healthCheckInterval || 10000;
+        this.healthCheckTimeout = options.healthCheckTimeout || 5000;
+        this.maxBlockLag = options.maxBlockLag ?? 2;
+        this.maxErrorRate = options.maxErrorRate ?? 50; // percent of requests since the last check
+        this.maxLatency = options.maxLatency || 2000;   // ms
+        this.latencySmoothing = options.latencySmoothing ?? 0.3; // EWMA weight of the newest health-check round-trip
+
+        // Quorum reads: `quorum` of `quorumEndpoints` nodes must return deep-equal results
+        this.quorum = options.quorum || null; // default: majority of the queried endpoints
+        this.quorumEndpoints = options.quorumEndpoints || endpoints.length;
+        this.quorumMethods = new Set(options.quorumMethods || []);
+
+        // Endpoints serve the same chain, so they share one persistent cache file
+        if (options.persistentCache && !(options.persistentCache instanceof DiskCache)) {
+            options = { ...options, persistentCache: new DiskCache({ ...options.persistentCache, logger: this.logger }) };
+        }
+
+        this.endpoints = endpoints.map((endpoint, index) => {
+            const config = typeof endpoint === 'string' ? { url: endpoint } : endpoint;
+            return this.createEndpoint(config, index, options);
+        });
+
+        this.active = this.endpoints[0];
+        this.filterEndpoints = new Map(); // filter id -> endpoint that installed it
+        this.healthTimer = null;
+        this.closing = false;
+
+        this.startHealthChecks();
+    }
+
+    createEndpoint(config, index, options) {
+        const {
+            healthCheckInterval, healthCheckTimeout, maxBlockLag, maxErrorRate, maxLatency, latencySmoothing,
+            quorum, quorumEndpoints, quorumMethods,
+            ...providerOptions
+        } = options;
+
+        const endpoint = {
+            url: config.url,
+            index,
+            priority: config.priority || 0,
+            provider: new IPCProvider(config.url, {
+                ...providerOptions,
+                ...config.options,
+                logger: this.logger
+            }),
+            healthy: true,
+            blockNumber: null,
+            blockLag: 0,
+            latency: 0,
+            latencySamples: 0,
+            errorRate: 0,
+            failures: 0,
+            divergences: 0,
+            lastError: null,
+            lastCheck: null,
+            counters: { total: 0, failed: 0 }
+        };
+
+        const connection = endpoint.provider.connection;
+        connection.on('error', (error) => this.markDown(endpoint, error.message));
+        connection.on('disconnected', () => this.markDown(endpoint, 'disconnected'));
+        connection.on('maxRetriesReached', () => this.markDown(endpoint, 'maximum reconnection attempts reached'));
+        connection.on('reconnected', () => {
+            this.checkHealth().catch(error => this.logger.warn('Health check failed:', error.message));
+        });
+
+        return endpoint;
+    }
+
+    /**
+     * Connect every endpoint and run a first health check
+     */
+    async connect() {
+        await Promise.allSettled(this.endpoints.map(endpoint => endpoint.provider.connect()));
+        await this.checkHealth();
+    }
+
+    startHealthChecks() {
+        this.stopHealthChecks();
+        this.healthTimer = setInterval(() => {
+            this.checkHealth().catch(error => this.logger.warn('Health check failed:', error.message));
+        }, this.healthCheckInterval);
+        // Health checks alone should not keep the process alive
+        this.healthTimer.unref();
+    }
+
+    stopHealthChecks() {
+        if (this.healthTimer) {
+            clearInterval(this.healthTimer);
+            this.healthTimer = null;
+        }
+    }
+
+    /**
+     * Probe every endpoint and update its health
+     * An endpoint is unhealthy when the probe fails, or when it lags the best head by more than
+     * `maxBlockLag` blocks, exceeds `maxErrorRate` or responds slower than `maxLatency`.
+     * @returns {Promise<object>} getStatus() after the check
+     */
+    async checkHealth() {
+        const results = await Promise.all(this.endpoints.map(endpoint => this.probe(endpoint)));
+
+        const head = Math.max(-1, ...results.filter(result => result.status === 'healthy').map(result => result.blockNumber));
+
+        this.endpoints.forEach((endpoint, i) => {
+            const result = results[i];
+            endpoint.lastCheck = result.timestamp;
+
+            // Error rate over the requests made since the previous check
+            const metrics = endpoint.provider.metrics.getMetrics();
+            if (metrics.enabled) {
+                const { total, failed } = metrics.requests;
+                const sent = total - endpoint.counters.total;
+                endpoint.errorRate = sent > 0 ? Math.round(((failed - endpoint.counters.failed) / sent) * 100) : 0;
+                endpoint.counters = { total, failed };
+            }
+            // Latency follows recent health-check round-trips (EWMA), so a node that recovers from a
+            // slow spell is ranked by how it answers now rather than by its lifetime average
+            if (Number.isFinite(result.latency)) {
+                endpoint.latency = endpoint.latencySamples === 0
+                    ? result.latency
+                    : Math.round(this.latencySmoothing * result.latency + (1 - this.latencySmoothing) * endpoint.latency);
+                endpoint.latencySamples++;
+            }
+
+            if (result.status !== 'healthy') {
+                this.markDown(endpoint, result.error);
+                return;
+            }
+
+            endpoint.blockNumber = result.blockNumber;
+            endpoint.blockLag = head - result.blockNumber;
+
+            const problems = [];
+            if (endpoint.blockLag > this.maxBlockLag) problems.push(`${endpoint.blockLag} blocks behind`);
+            if (endpoint.errorRate > this.maxErrorRate) problems.push(`error rate ${endpoint.errorRate}%`);
+            if (endpoint.latency > this.maxLatency) problems.push(`latency ${endpoint.latency}ms`);
+
+            if (problems.length > 0) {
+                this.markDown(endpoint, problems.join(', '));
+            } else {
+                this.markUp(endpoint);
+            }
+        });
+
+        const status = this.getStatus();
+        this.emit('health', status);
+        return status;
+    }
+
+    /**
+     * healthCheck() of one endpoint, bounded by `healthCheckTimeout`
+     */
+    async probe(endpoint) {
+        const { connection } = endpoint.provider;
+        if (connection.isReconnecting) {
+            return { status: 'unhealthy', error: 'reconnecting', latency: null, timestamp: Date.now() };
+        }
+
+        let timer;
+        const timeout = new Promise(resolve => {
+            timer = setTimeout(() => resolve({
+                status: 'unhealthy',
+                error: `health check timeout after ${this.healthCheckTimeout}ms`,
+                latency: this.healthCheckTimeout,
+                timestamp: Date.now()
+            }), this.healthCheckTimeout);
+        });
+
+        try {
+            return await Promise.race([endpoint.provider.healthCheck(), timeout]);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    markUp(endpoint) {
+        if (!endpoint.healthy) {
+            endpoint.healthy = true;
+            this.logger.log(`✅ Endpoint ${endpoint.url} is healthy again`);
+            this.emit('endpointUp', { url: endpoint.url });
+        }
+        endpoint.lastError = null;
+
+        // Prefer a recovered endpoint when the active one is down
+        if (!this.active.healthy) {
+            this.switchTo(this.rankEndpoints()[0], `${this.active.url} unhealthy`);
+        }
+    }
+
+    markDown(endpoint, reason) {
+        if (this.closing) return;
+
+        endpoint.lastError = reason;
+        if (endpoint.healthy) {
+            endpoint.healthy = false;
+            endpoint.failures++;
+            this.logger.warn(`⚠️ Endpoint ${endpoint.url} marked unhealthy: ${reason}`);
+            this.emit('endpointDown', { url: endpoint.url, reason });
+        }
+
+        if (endpoint === this.active) {
+            const next = this.rankEndpoints()[0];
+            if (next !== endpoint) {
+                this.switchTo(next, reason);
+            }
+        }
+    }
+
+    switchTo(endpoint, reason) {
+        if (endpoint === this.active) return;
+
+        const from = this.active;
+        this.active = endpoint;
+        this.logger.warn(`🔀 Failing over from ${from.url} to ${endpoint.url} (${reason})`);
+        this.emit('failover', { from: from.url, to: endpoint.url, reason });
+    }
+
+    /**
+     * Endpoints ordered best first: healthy before unhealthy, then block lag, priority and latency
+     * @returns {Array<object>}
+     */
+    rankEndpoints() {
+        return [...this.endpoints].sort((a, b) =>
+            (b.healthy - a.healthy) ||
+            (b.provider.connection.isConnected - a.provider.connection.isConnected) ||
+            (a.blockLag - b.blockLag) ||
+            (a.priority - b.priority) ||
+            (a.latency - b.latency) ||
+            (a.index - b.index)
+        );
+    }
+
+    /**
+     * Make an RPC request on the healthiest endpoint, failing over on connection errors
+     * Idempotent methods move to the next endpoint on timeouts, disconnects and 429/503;
+     * other methods only when the request was never written.
+     * @param {Object} options - Per-request options passed to the endpoint (e.g. { signal })
+     */
+    async request(methodOrPayload, params, options) {
+        let method, parameters;
+
+        if (methodOrPayload !== null && typeof methodOrPayload === 'object') {
+            method = methodOrPayload.method;
+            parameters = methodOrPayload.params || [];
+            options = params || {};
+        } else {
+            method = methodOrPayload;
+            parameters = params || [];
+            options = options || {};
+        }
+
+        // Filter calls must reach the node holding the filter
+        if (FILTER_ID_METHODS.has(method) && this.filterEndpoints.has(parameters[0])) {
+            const endpoint = this.filterEndpoints.get(parameters[0]);
+            if (method === 'eth_uninstallFilter') {
+                this.filterEndpoints.delete(parameters[0]);
+            }
+            return endpoint.provider.request(method, parameters, options);
+        }
+
+        if (this.quorumMethods.has(method)) {
+            return this.quorumRequest(method, parameters, options);
+        }
+
+        const candidates = this.rankEndpoints();
+        const idempotent = candidates[0].provider.idempotentMethods.has(method);
+        let lastError;
+
+        for (const endpoint of candidates) {
+            try {
+                const result = await endpoint.provider.request(method, parameters, options);
+                this.active = endpoint;
+                if (FILTER_INSTALL_METHODS.has(method)) {
+                    this.filterEndpoints.set(result, endpoint);
+                }
+                return result;
+            } catch (error) {
+                if (!isEndpointFailure(error) || (!idempotent && !isUnsent(error))) {
+                    throw error;
+                }
+                lastError = error;
+                this.markDown(endpoint, error.message);
+            }
+        }
+
+        throw new ProviderRpcError(
+            PROVIDER_ERROR_CODES.DISCONNECTED,
+            `All ${candidates.length} endpoints failed for ${method}: ${lastError.message}`
+        );
+    }
+
+    /**
+     * Send the same request to several endpoints and resolve once enough of them agree
+     * Each node is queried through its own provider, so per-endpoint metrics include these
+     * requests; answers that differ from the accepted result are counted as divergences.
+     * @param {string} method - RPC method
+     * @param {Array} params - RPC parameters (pin the block for state reads)
+     * @param {Object} options - { quorum, endpoints }: agreeing answers needed / nodes queried,
+     *   plus per-request options passed to every endpoint (e.g. { signal })
+     * @returns {Promise<any>} The agreed result
+     * @throws {QuorumError} With every node's answer when the quorum cannot be reached
+     */
+    async quorumRequest(method, params = [], options = {}) {
+        const { quorum: requiredQuorum, endpoints: endpointCount, ...requestOptions } = options;
+        const candidates = this.rankEndpoints().slice(0, endpointCount || this.quorumEndpoints);
+        const quorum = requiredQuorum || this.quorum || Math.floor(candidates.length / 2) + 1;
+        const context = { method, params, quorum };
+
+        if (quorum > candidates.length) {
+            throw new QuorumError(`Quorum of ${quorum} needs ${quorum} endpoints, only ${candidates.length} available`, context);
+        }
+
+        return new Promise((resolve, reject) => {
+            const responses = new Array(candidates.length);
+            const groups = new Map(); // canonical result -> number of nodes returning it
+            let accepted = null;
+            let settled = 0;
+
+            const onSettled = () => {
+                if (++settled < candidates.length) return;
+
+                const reference = accepted ?? this.largestGroup(groups);
+                this.recordQuorumAnswers(method, params, candidates, responses, reference);
+                responses.forEach(response => delete response.key);
+
+                if (accepted === null) {
+                    const agreeing = Math.max(0, ...groups.values());
+                    const summary = responses
+                        .map(response => `${response.url}: ${'error' in response ? response.error.message : canonicalize(response.result)}`)
+                        .join('; ');
+                    reject(new QuorumError(
+                        `Quorum not reached for ${method}: ${agreeing}/${quorum} endpoints agreed (${summary})`,
+                        { ...context, responses }
+                    ));
+                }
+            };
+
+            candidates.forEach((endpoint, i) => {
+                endpoint.provider.request(method, params, requestOptions).then((result) => {
+                    const key = canonicalize(result);
+                    responses[i] = { url: endpoint.url, result, key };
+                    groups.set(key, (groups.get(key) || 0) + 1);
+
+                    if (accepted === null && groups.get(key) >= quorum) {
+                        accepted = key;
+                        resolve(result);
+                    }
+                }, (error) => {
+                    responses[i] = { url: endpoint.url, error };
+                }).finally(onSettled);
+            });
+        });
+    }
+
+    /**
+     * Result key returned by the most nodes, or null on a tie
+     */
+    largestGroup(groups) {
+        const sorted = [...groups.entries()].sort((a, b) => b[1] - a[1]);
+        if (sorted.length === 0 || (sorted.length > 1 && sorted[0][1] === sorted[1][1])) {
+            return null;
+        }
+        return sorted[0][0];
+    }
+
+    /**
+     * Count agreements/divergences in each endpoint's metrics and emit 'divergence'
+     */
+    recordQuorumAnswers(method, params, endpoints, responses, reference) {
+        if (reference === null) return;
+
+        const expected = responses.find(response => response.key === reference).result;
+        responses.forEach((response, i) => {
+            if (!('key' in response)) return; // failures are already in the endpoint's metrics
+
+            const endpoint = endpoints[i];
+            const agreed = response.key === reference;
+            endpoint.provider.metrics.recordQuorumResult(method, agreed);
+
+            if (!agreed) {
+                endpoint.divergences++;
+                this.logger.warn(`⚠️ Endpoint ${endpoint.url} diverged on ${method}`);
+                this.emit('divergence', { method, params, url: endpoint.url, result: response.result, expected });
+            }
+        });
+    }
+
+    /**
+     * Subscribe on the active endpoint; its provider restores the subscription after reconnects
+     */
+    async subscribe(type, params) {
+        return this.rankEndpoints()[0].provider.subscribe(type, params);
+    }
+
+    /**
+     * Per-endpoint health and the endpoint currently serving requests
+     */
+    getStatus() {
+        return {
+            active: this.active.url,
+            healthy: this.endpoints.filter(endpoint => endpoint.healthy).length,
+            total: this.endpoints.length,
+            endpoints: this.endpoints.map(endpoint => ({
+                url: endpoint.url,
+                transport: endpoint.provider.connection.transport.name,
+                connected: endpoint.provider.connection.isConnected,
+                circuit: endpoint.provider.connection.circuitBreaker.state,
+                healthy: endpoint.healthy,
+                priority: endpoint.priority,
+                blockNumber: endpoint.blockNumber,
+                blockLag: endpoint.blockLag,
+                latency: endpoint.latency,
+                errorRate: endpoint.errorRate,
+                failures: endpoint.failures,
+                divergences: endpoint.divergences,
+                lastError: endpoint.lastError,
+                lastCheck: endpoint.lastCheck
+            }))
+        };
+    }
+
+    /**
+     * Stop health checks and disconnect every endpoint
+     */
+    async disconnect() {
+        this.closing = true;
+        this.stopHealthChecks();
+        await Promise.all(this.endpoints.map(async (endpoint) => {
+            await endpoint.provider.disconnect();
+            await endpoint.provider.cache.destroy();
+        }));
+    }
+}
+
+export default FallbackProvider;
@@ -0,0 +1,241 @@
+import { keccak256 } from './keccak.js';
+
+/**
+ * Response formatters for the typed provider methods
+ * Quantities become bigint, block numbers/indices/counts become numbers and addresses are
+ * EIP-55 checksummed. Unknown fields are passed through untouched.
+ */
+
+// Fields decoded as numbers; everything in QUANTITY_FIELDS becomes a bigint
+const NUMBER_FIELDS = [
+    'number', 'blockNumber', 'transactionIndex', 'logIndex', 'timestamp', 'size', 'type',
+    'status', 'chainId', 'yParity', 'index', 'validatorIndex'
+];
+
+const QUANTITY_FIELDS = [
+    'gas', 'gasPrice', 'gasLimit', 'gasUsed', 'cumulativeGasUsed', 'effectiveGasPrice',
+    'maxFeePerGas', 'maxPriorityFeePerGas', 'maxFeePerBlobGas', 'baseFeePerGas',
+    'blobGasUsed', 'excessBlobGas', 'blobGasPrice', 'difficulty', 'totalDifficulty',
+    'value', 'v', 'amount', 'balance'
+];
+
+const ADDRESS_FIELDS = ['from', 'to', 'miner', 'address', 'contractAddress'];
+
+/**
+ * @param {string|null} value - JSON-RPC QUANTITY
+ * @returns {bigint|null}
+ */
+export function formatQuantity(value) {
+    return typeof value === 'string' ? BigInt(value) : value ?? null;
+}
+
+/**
+ * @param {string|null} value - JSON-RPC QUANTITY that fits a JS number
+ * @returns {number|null}
+ */
+export function formatNumber(value) {
+    return typeof value === 'string' ? parseInt(value, 16) : value ?? null;
+}
+
+/**
+ * EIP-55 mixed-case checksum encoding
+ * @param {string} address - 20-byte hex address
+ * @returns {string} Checksummed address
+ */
+export function toChecksumAddress(address) {
+    if (typeof address !== 'string' || !/^0x[0-9a-fA-F]{40}$/.test(address)) {
+        return address;
+    }
+
+    const lower = address.slice(2).toLowerCase();
+    const hash = keccak256(lower).slice(2);
+    let checksummed = '0x';
+
+    for (let i = 0; i < lower.length; i++) {
+        checksummed += parseInt(hash[i], 16) >= 8 ? lower[i].toUpperCase() : lower[i];
+    }
+
+    return checksummed;
+}
+
+/**
+ * Checksum a list of addresses (eth_accounts)
+ */
+export function formatAddresses(addresses) {
+    return Array.isArray(addresses) ? addresses.map(toChecksumAddress) : addresses;
+}
+
+/**
+ * Apply the common field conversions to a flat object
+ */
+function formatFields(object) {
+    const formatted = { ...object };
+
+    for (const field of NUMBER_FIELDS) {
+        if (typeof formatted[field] === 'string') formatted[field] = formatNumber(formatted[field]);
+    }
+    for (const field of QUANTITY_FIELDS) {
+        if (typeof formatted[field] === 'string') formatted[field] = formatQuantity(formatted[field]);
+    }
+    for (const field of ADDRESS_FIELDS) {
+        if (typeof formatted[field] === 'string') formatted[field] = toChecksumAddress(formatted[field]);
+    }
+
+    return formatted;
+}
+
+function formatAccessList(accessList) {
+    return accessList.map(entry => ({ ...entry, address: toChecksumAddress(entry.address) }));
+}
+
+/**
+ * Format a log entry
+ */
+export function formatLog(log) {
+    return log && formatFields(log);
+}
+
+/**
+ * Format eth_getLogs / eth_getFilterLogs output
+ */
+export function formatLogs(logs) {
+    return Array.isArray(logs) ? logs.map(formatLog) : logs;
+}
+
+/**
+ * Format a transaction (legacy, EIP-2930, EIP-1559, EIP-4844 and EIP-7702 shapes)
+ */
+export function formatTransaction(transaction) {
+    if (!transaction || typeof transaction !== 'object') {
+        return transaction ?? null;
+    }
+
+    const formatted = formatFields(transaction);
+    formatted.nonce = formatNumber(transaction.nonce);
+
+    if (Array.isArray(transaction.accessList)) {
+        formatted.accessList = formatAccessList(transaction.accessList);
+    }
+    if (Array.isArray(transaction.authorizationList)) {
+        formatted.authorizationList = transaction.authorizationList.map(authorization => ({
+            ...formatFields(authorization),
+            nonce: formatNumber(authorization.nonce)
+        }));
+    }
+
+    return formatted;
+}
+
+/**
+ * Format a block; `transactions` may hold hashes or full transactions
+ */
+export function formatBlock(block) {
+    if (!block) {
+        return block ?? null;
+    }
+
+    const formatted = formatFields(block);
+
+    if (Array.isArray(block.transactions)) {
+        formatted.transactions = block.transactions.map(formatTransaction);
+    }
+    if (Array.isArray(block.withdrawals)) {
+        formatted.withdrawals = block.withdrawals.map(formatFields);
+    }
+
+    return formatted;
+}
+
+/**
+ * Format a transaction receipt
+ */
+export function formatReceipt(receipt) {
+    if (!receipt) {
+        return receipt ?? null;
+    }
+
+    const formatted = formatFields(receipt);
+    if (Array.isArray(receipt.logs)) {
+        formatted.logs = receipt.logs.map(formatLog);
+    }
+    return formatted;
+}
+
+/**
+ * Format eth_getBlockReceipts output
+ */
+export function formatReceipts(receipts) {
+    return Array.isArray(receipts) ? receipts.map(formatReceipt) : receipts;
+}
+
+/**
+ * Format eth_getFilterChanges output: logs for log filters, hashes for block/pending filters
+ */
+export function formatFilterChanges(changes) {
+    return Array.isArray(changes)
+        ? changes.map(change => typeof change === 'object' ? formatLog(change) : change)
+        : changes;
+}
+
+/**
+ * Format eth_feeHistory output
+ */
+export function formatFeeHistory(history) {
+    if (!history) {
+        return history;
+    }
+
+    const formatted = { ...history, oldestBlock: formatNumber(history.oldestBlock) };
+    for (const field of ['baseFeePerGas', 'baseFeePerBlobGas']) {
+        if (Array.isArray(history[field])) formatted[field] = history[field].map(formatQuantity);
+    }
+    if (Array.isArray(history.reward)) {
+        formatted.reward = history.reward.map(rewards => rewards.map(formatQuantity));
+    }
+    return formatted;
+}
+
+/**
+ * Format eth_syncing output (false when in sync)
+ */
+export function formatSyncing(status) {
+    if (!status || typeof status !== 'object') {
+        return status;
+    }
+
+    const formatted = { ...status };
+    for (const field of ['startingBlock', 'currentBlock', 'highestBlock']) {
+        if (typeof status[field] === 'string') formatted[field] = formatNumber(status[field]);
+    }
+    return formatted;
+}
+
+/**
+ * Format eth_createAccessList output
+ */
+export function formatAccessListResult(result) {
+    if (!result) {
+        return result;
+    }
+
+    return {
+        ...result,
+        accessList: Array.isArray(result.accessList) ? formatAccessList(result.accessList) : result.accessList,
+        gasUsed: formatQuantity(result.gasUsed)
+    };
+}
+
+/**
+ * Format an EIP-1186 account proof
+ */
+export function formatProof(proof) {
+    if (!proof) {
+        return proof;
+    }
+
+    return {
+        ...formatFields(proof),
+        nonce: formatNumber(proof.nonce),
+        storageProof: (proof.storageProof || []).map(entry => ({ ...entry, value: formatQuantity(entry.value) }))
+    };
+}
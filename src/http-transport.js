@@ -0,0 +1,219 @@
+import http from 'http';
+import https from 'https';
+import { EventEmitter } from 'events';
+import { PROVIDER_ERROR_CODES } from './errors.js';
+
+// HTTP statuses surfaced as typed JSON-RPC errors (RateLimitError, ServiceUnavailableError)
+const STATUS_ERROR_CODES = {
+    429: -32005,
+    503: -32002
+};
+
+/**
+ * HTTP(S) JSON-RPC transport (http:// and https://)
+ * Every write is one POST; batches arrive as a single array payload. Subscriptions are
+ * not available, so the provider polls filters instead.
+ */
+export class HTTPTransport {
+    constructor(url, options = {}) {
+        this.name = 'HTTP';
+        this.target = url;
+        this.supportsSubscriptions = false;
+
+        this.headers = options.headers || {};
+        this.httpTimeout = options.httpTimeout || options.requestTimeout || 30000;
+        this.maxPayload = options.maxPayload || 64 * 1024 * 1024;
+        this.writableHighWaterMark = options.writableHighWaterMark || 1024 * 1024;
+
+        // One keep-alive agent per transport, shared across reconnects
+        const Agent = new URL(url).protocol === 'https:' ? https.Agent : http.Agent;
+        this.agent = options.agent || new Agent({
+            keepAlive: true,
+            maxSockets: options.maxSockets || 10
+        });
+    }
+
+    /**
+     * HTTP has no session; the returned connection only scopes in-flight POSTs
+     * @returns {HTTPConnection}
+     */
+    createConnection() {
+        return new HTTPConnection(this.target, {
+            agent: this.agent,
+            headers: this.headers,
+            httpTimeout: this.httpTimeout,
+            maxPayload: this.maxPayload,
+            writableHighWaterMark: this.writableHighWaterMark
+        });
+    }
+}
+
+/**
+ * Socket-like wrapper around POST requests
+ * Response bodies are emitted as newline-terminated 'data'. HTTP and network failures are
+ * turned into JSON-RPC error responses for the request ids in the payload, so they reach
+ * callers through the usual response path. `writableLength` counts the bytes of unanswered
+ * POSTs; past the high-water mark write() returns false and 'drain' follows.
+ */
+export class HTTPConnection extends EventEmitter {
+    constructor(url, options = {}) {
+        super();
+        this.url = new URL(url);
+        this.options = options;
+        this.requests = new Set();
+        this.destroyed = false;
+        this.writableLength = 0;
+        this.needDrain = false;
+
+        process.nextTick(() => {
+            if (!this.destroyed) this.emit('connect');
+        });
+    }
+
+    /**
+     * POST a serialized request or batch
+     * @param {string|Buffer} data - JSON payload (a trailing newline is ignored)
+     * @returns {boolean} false while unanswered POSTs exceed the high-water mark
+     */
+    write(data) {
+        if (this.destroyed) {
+            throw new Error('HTTP connection destroyed');
+        }
+
+        const body = Buffer.isBuffer(data) ? data.toString('utf8').trim() : String(data).trim();
+        const secure = this.url.protocol === 'https:';
+        const request = (secure ? https : http).request(this.url, {
+            method: 'POST',
+            agent: this.options.agent,
+            headers: {
+                ...this.options.headers,
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(body)
+            }
+        });
+        this.requests.add(request);
+
+        const size = Buffer.byteLength(body);
+        this.writableLength += size;
+        let settled = false;
+        const settle = () => {
+            if (settled) return;
+            settled = true;
+            this.requests.delete(request);
+            this.writableLength -= size;
+            if (this.needDrain && this.writableLength < this.options.writableHighWaterMark && !this.destroyed) {
+                this.needDrain = false;
+                this.emit('drain');
+            }
+        };
+
+        request.setTimeout(this.options.httpTimeout, () => {
+            request.destroy(new Error(`HTTP request timeout after ${this.options.httpTimeout}ms`));
+        });
+
+        request.on('response', (response) => {
+            const chunks = [];
+            let length = 0;
+
+            response.on('data', (chunk) => {
+                length += chunk.length;
+                if (length > this.options.maxPayload) {
+                    request.destroy(new Error(`HTTP response exceeds maxPayload (${this.options.maxPayload} bytes)`));
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            response.on('end', () => {
+                settle();
+                this.handleResponse(body, response, Buffer.concat(chunks).toString('utf8'));
+            });
+        });
+
+        request.on('error', (error) => {
+            settle();
+            if (this.destroyed) return;
+            this.respondWithError(body, {
+                code: PROVIDER_ERROR_CODES.DISCONNECTED,
+                message: `HTTP request to ${this.url.origin} failed: ${error.message}`
+            });
+        });
+
+        request.end(body);
+
+        if (this.writableLength >= this.options.writableHighWaterMark) {
+            this.needDrain = true;
+            return false;
+        }
+        return true;
+    }
+
+    handleResponse(body, response, text) {
+        if (this.destroyed) return;
+
+        const { statusCode } = response;
+        if (STATUS_ERROR_CODES[statusCode]) {
+            const retryAfter = Number(response.headers['retry-after']);
+            this.respondWithError(body, {
+                code: STATUS_ERROR_CODES[statusCode],
+                message: `HTTP ${statusCode} ${http.STATUS_CODES[statusCode]}`,
+                data: { status: statusCode, retryAfter: Number.isFinite(retryAfter) ? retryAfter : undefined, body: text }
+            });
+            return;
+        }
+
+        // Nodes answer JSON-RPC errors with 200 (or sometimes 4xx/5xx plus a JSON-RPC body)
+        let message;
+        try {
+            message = text.length > 0 ? JSON.parse(text) : undefined;
+        } catch (error) {
+            message = undefined;
+        }
+
+        if (message === undefined || typeof message !== 'object') {
+            if (statusCode >= 200 && statusCode < 300 && text.length === 0) return;
+            this.respondWithError(body, {
+                code: -32603,
+                message: `HTTP ${statusCode}: invalid JSON-RPC response`,
+                data: { status: statusCode, body: text }
+            });
+            return;
+        }
+
+        // Re-serialize so the parser always sees one compact JSON document per line
+        this.emit('data', Buffer.from(JSON.stringify(message) + '\n'));
+    }
+
+    /**
+     * Answer every request id of a payload with the same JSON-RPC error
+     */
+    respondWithError(body, error) {
+        let payload;
+        try {
+            payload = JSON.parse(body);
+        } catch (parseError) {
+            this.emit('error', new Error(error.message));
+            return;
+        }
+
+        const response = Array.isArray(payload)
+            ? payload.map(request => ({ jsonrpc: '2.0', id: request.id, error }))
+            : { jsonrpc: '2.0', id: payload.id, error };
+        this.emit('data', Buffer.from(JSON.stringify(response) + '\n'));
+    }
+
+    /**
+     * Abort in-flight POSTs; idle keep-alive sockets stay with the transport's agent
+     */
+    destroy() {
+        if (this.destroyed) return;
+        this.destroyed = true;
+
+        for (const request of this.requests) {
+            request.destroy();
+        }
+        this.requests.clear();
+        this.emit('close');
+    }
+}
+
+export default HTTPTransport;
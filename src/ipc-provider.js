@@ -1,17 +1,104 @@
 import { ConnectionManager } from './connection-manager.js';
 import { CacheManager } from './cache-manager.js';
+import { DiskCache } from './disk-cache.js';
 import { JSONParser } from './json-parser.js';
 import { BatchProcessor } from './batch-processor.js';
 import { MetricsManager } from './metrics-manager.js';
 import { RequestPool } from './request-pool.js';
+import { RetryPolicy } from './retry-policy.js';
+import { CIRCUIT_STATES } from './circuit-breaker.js';
+import { RateLimiter } from './rate-limiter.js';
+import { BlockTracker } from './block-tracker.js';
+import { CachePolicy, CACHE_STRATEGIES, DEFAULT_CACHE_POLICIES } from './cache-policy.js';
+import { Subscription, PollingSubscription, SUBSCRIPTION_TYPES } from './subscription.js';
+import { ProviderRpcError, PROVIDER_ERROR_CODES, RpcError, TimeoutError, AbortError, ConnectionLostError, OfflineQueueFullError, CacheMissError, CircuitOpenError, ExecutionRevertedError, InvalidParamsError } from './errors.js';
+import { RevertDecoder, extractRevertData } from './revert-decoder.js';
+import {
+    validateAddress,
+    validateHash,
+    validateData,
+    toQuantity,
+    normalizeBlockTag,
+    normalizeTransaction,
+    normalizeFilter
+} from './validators.js';
+import { toWei, fromWei } from './units.js';
+import {
+    formatQuantity,
+    formatNumber,
+    formatBlock,
+    formatTransaction,
+    formatReceipt,
+    formatReceipts,
+    formatLogs,
+    formatFilterChanges,
+    formatFeeHistory,
+    formatSyncing,
+    formatAccessListResult,
+    formatProof,
+    formatAddresses,
+    toChecksumAddress
+} from './formatters.js';
+import { EventEmitter } from 'events';
 import { v4 as uuidv4 } from 'uuid';
 
+// Methods that install a server-side filter, and methods that take a filter id
+const FILTER_INSTALL_METHODS = new Set(['eth_newFilter', 'eth_newBlockFilter', 'eth_newPendingTransactionFilter']);
+const FILTER_ID_METHODS = new Set(['eth_getFilterChanges', 'eth_getFilterLogs', 'eth_uninstallFilter']);
+
+// Methods whose execution reverts are decoded into readable errors
+const REVERT_DECODE_METHODS = new Set(['eth_call', 'eth_estimateGas']);
+
+// Position of the block parameter, used by the `blockTag` request option
+const BLOCK_TAG_POSITIONS = new Map([
+    ['eth_getBlockByNumber', 0], ['eth_getBlockReceipts', 0], ['eth_getBlockTransactionCountByNumber', 0],
+    ['eth_getUncleCountByBlockNumber', 0], ['eth_getTransactionByBlockNumberAndIndex', 0],
+    ['eth_getUncleByBlockNumberAndIndex', 0], ['debug_traceBlockByNumber', 0],
+    ['eth_getBalance', 1], ['eth_getCode', 1], ['eth_getTransactionCount', 1], ['eth_call', 1],
+    ['eth_estimateGas', 1], ['eth_createAccessList', 1], ['eth_feeHistory', 1], ['debug_traceCall', 1],
+    ['eth_getStorageAt', 2], ['eth_getProof', 2]
+]);
+
+// Of those, methods that take a plain block number/tag rather than an EIP-1898 object
+const BLOCK_NUMBER_ONLY_METHODS = new Set([
+    'eth_getBlockByNumber', 'eth_getBlockTransactionCountByNumber', 'eth_getUncleCountByBlockNumber',
+    'eth_getTransactionByBlockNumberAndIndex', 'eth_getUncleByBlockNumberAndIndex',
+    'debug_traceBlockByNumber', 'eth_feeHistory'
+]);
+
+// Of those, methods whose result spans the blocks up to the block parameter: no one hash covers it
+const BLOCK_RANGE_METHODS = new Set(['eth_feeHistory']);
+
+const REQUEST_PRIORITIES = new Set(['high', 'normal', 'low']);
+
+// Methods addressed by a block hash in their first parameter
+const BLOCK_HASH_METHODS = new Set([
+    'eth_getBlockByHash', 'eth_getBlockTransactionCountByHash', 'eth_getUncleCountByBlockHash',
+    'eth_getUncleByBlockHashAndIndex', 'eth_getTransactionByBlockHashAndIndex', 'debug_traceBlockByHash'
+]);
+
+// Methods addressed by a transaction hash whose result names the block it was mined in
+const TRANSACTION_HASH_METHODS = new Set(['eth_getTransactionByHash', 'eth_getTransactionReceipt']);
+
+const HEX_NUMBER = /^0x[0-9a-fA-F]+$/;
+
+// Transfer(address,address,uint256) and the zero address as a topic, used to find mints
+const TRANSFER_TOPIC = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
+const ZERO_ADDRESS_TOPIC = '0x' + '0'.repeat(64);
+
 /**
  * High-Performance IPC Ethereum Provider with Advanced Optimizations
  * Refactored version with modular architecture and improved performance
+ *
+ * Implements EIP-1193: `request({ method, params })` plus the `connect`, `disconnect`,
+ * `chainChanged`, `accountsChanged` and `message` events.
+ *
+ * The first argument is an IPC path (optionally `ipc://`), a `ws://` / `wss://` or an
+ * `http://` / `https://` URL; the transport is chosen from the scheme.
  */
-export class IPCProvider {
+export class IPCProvider extends EventEmitter {
     constructor(ipcPath = '/home/chain/exec/geth.ipc', options = {}) {
+        super();
         this.ipcPath = ipcPath;
         this.logger = options.logger || console;
 
@@ -24,7 +111,12 @@ export class IPCProvider {
         this.cache = new CacheManager({
             enabled: options.cacheEnabled !== false,
             maxSize: options.cacheSize || 1000,
+            maxBytes: options.cacheMaxBytes,
             defaultTTL: options.cacheTTL || 5000,
+            // On-disk tier for immutable results, opened for the chain id once connected
+            persistent: options.persistentCache instanceof DiskCache || !options.persistentCache
+                ? options.persistentCache || null
+                : new DiskCache({ ...options.persistentCache, logger: this.logger }),
             logger: this.logger
         });
 
@@ -37,6 +129,9 @@ export class IPCProvider {
             enabled: options.batchRequests !== false,
             batchSize: options.batchSize || 10,
             batchTimeout: options.batchTimeout || 10,
+            maxConcurrentBatches: options.maxConcurrentBatches,
+            deduplicationEnabled: options.deduplicationEnabled,
+            requestTimeout: options.requestTimeout || 30000,
             logger: this.logger
         });
 
@@ -57,34 +152,66 @@ export class IPCProvider {
         this.pendingRequests = new Map();
         this.requestTimeout = options.requestTimeout || 30000;
 
-        // Read-only methods for caching
-        this.readOnlyMethods = new Set([
-            // Block methods
-            'eth_blockNumber', 'eth_getBlockByNumber', 'eth_getBlockByHash',
-            'eth_getBlockTransactionCountByNumber', 'eth_getBlockTransactionCountByHash',
-            'eth_getUncleCountByBlockNumber', 'eth_getUncleCountByBlockHash',
-            'eth_getUncleByBlockNumberAndIndex', 'eth_getUncleByBlockHashAndIndex',
-            
-            // Account methods
-            'eth_getBalance', 'eth_getCode', 'eth_getTransactionCount', 'eth_getStorageAt',
-            
-            // Transaction methods
-            'eth_getTransactionByHash', 'eth_getTransactionReceipt',
-            'eth_getTransactionByBlockNumberAndIndex', 'eth_getTransactionByBlockHashAndIndex',
-            
-            // Gas and fee methods
-            'eth_gasPrice', 'eth_feeHistory', 'eth_maxPriorityFeePerGas',
-            
-            // Contract interaction (read-only)
-            'eth_call', 'eth_createAccessList',
-            
-            // Network and node info
-            'eth_chainId', 'net_version', 'net_listening', 'net_peerCount',
-            'eth_protocolVersion', 'eth_syncing', 'eth_coinbase', 'eth_mining',
-            'eth_hashrate', 'eth_accounts',
-            
-            // Web3 methods
-            'web3_clientVersion', 'web3_sha3'
+        // Retries of transient failures (socket resets, lagging nodes, rate limits); false disables them
+        this.retryPolicy = new RetryPolicy(options.retry === false ? { maxAttempts: 1 } : options.retry);
+
+        // Client-side request rate and in-flight caps (global and per method)
+        this.rateLimiter = new RateLimiter(options.rateLimit);
+
+        // Subscription tracking
+        this.subscriptions = new Map(); // subscription id -> Subscription
+        this.internalSubscriptions = new Map(); // subscriptions the provider opened for itself (block tracker)
+        this.orphanNotifications = new Map(); // notifications that beat their eth_subscribe response
+        this.pendingSubscribes = 0;
+        this.maxOrphanNotifications = 100;
+        this.subscriptionQueueSize = options.subscriptionQueueSize || 1000;
+
+        // Filter polling period for subscriptions over transports without eth_subscribe (HTTP)
+        this.pollingInterval = options.pollingInterval || 4000;
+
+        // Head tracking for block-aware caching, started on connect while the cache is enabled
+        this.blockTracker = options.blockTracker === false ? null : new BlockTracker(this, {
+            pollingInterval: this.pollingInterval,
+            ...options.blockTracker,
+            logger: this.logger
+        });
+
+        // Filters installed through this provider, keyed by the id handed to the caller
+        this.filters = new Map(); // filter id -> { method, params, currentId }
+
+        // EIP-1193 state, announced through connect/chainChanged/accountsChanged events
+        this.connectAnnounced = false;
+        this.currentChainId = null;
+        this.currentAccounts = null;
+
+        // Outbound queue holding writes while the connection manager is reconnecting
+        this.offlineQueue = []; // { payload, ids }
+        this.maxOfflineQueueSize = options.offlineQueueSize || 1000;
+
+        // After a reconnect: 'replay' resends idempotent in-flight requests, 'fail' rejects all of them
+        this.reconnectPolicy = options.reconnectPolicy || 'replay';
+
+        // Typed methods return bigint/number/checksummed values; false keeps the node's raw hex
+        this.formatResults = options.formatResults !== false;
+
+        // Last evm_snapshot id, consumed by snapreset()
+        this.snapshotId = null;
+
+        // Decodes revert data of failed eth_call/eth_estimateGas requests (custom errors from `errorAbi`)
+        this.revertDecoder = new RevertDecoder(options.errorAbi || []);
+
+        // How each method's results are cached (`cachePolicies` overrides or extends the defaults)
+        this.cachePolicy = new CachePolicy(options.cachePolicies);
+
+        // Read-only methods, deduplicated within a batch
+        this.readOnlyMethods = new Set(Object.keys(DEFAULT_CACHE_POLICIES));
+
+        // Methods that are safe to send twice (replayed after a reconnect)
+        this.idempotentMethods = new Set([
+            ...this.readOnlyMethods,
+            'eth_getLogs', 'eth_getFilterLogs', 'eth_estimateGas', 'eth_getProof',
+            'debug_traceTransaction', 'debug_traceCall',
+            'debug_traceBlockByNumber', 'debug_traceBlockByHash'
         ]);
 
         // Set up event handlers
@@ -103,10 +230,54 @@ export class IPCProvider {
         // Connection events
         this.connection.on('connected', () => {
             this.metrics.recordConnectionEvent('connect');
+            this.announceConnect().catch(error => {
+                this.logger.warn('Failed to announce connection:', error.message);
+            });
         });
 
         this.connection.on('disconnected', () => {
             this.metrics.recordConnectionEvent('disconnect');
+
+            if (this.connectAnnounced) {
+                this.connectAnnounced = false;
+                this.emit('disconnect', new ProviderRpcError(
+                    PROVIDER_ERROR_CODES.DISCONNECTED,
+                    `Provider disconnected from ${this.ipcPath}`
+                ));
+            }
+        });
+
+        this.connection.on('reconnected', () => {
+            this.metrics.recordConnectionEvent('reconnect');
+            // Blocks may have arrived while the connection was down
+            this.cache.invalidateBlockTagged();
+            this.recoverAfterReconnect().catch(error => {
+                this.logger.error('Reconnect recovery failed:', error);
+            });
+        });
+
+        this.connection.on('maxRetriesReached', () => {
+            const queued = this.offlineQueue.length;
+            this.offlineQueue = [];
+            this.failInflightRequests(new ConnectionLostError(
+                `Connection lost: maximum reconnection attempts reached (${queued} queued writes dropped)`,
+                { reconnectFailed: true }
+            ));
+        });
+
+        this.connection.on('backpressure', (bytes) => {
+            this.metrics.recordBackpressure(bytes);
+        });
+
+        this.connection.on('drain', () => {
+            this.metrics.recordWriteBuffer(this.connection.bufferedBytes);
+        });
+
+        this.connection.on('circuitStateChange', (change) => {
+            this.emit('circuitStateChange', change);
+            if (change.to === CIRCUIT_STATES.HALF_OPEN) {
+                this.probeCircuit();
+            }
         });
 
         this.connection.on('error', (error) => {
@@ -122,6 +293,18 @@ export class IPCProvider {
         this.batchProcessor.on('batchReady', (batch) => {
             this.processBatch(batch);
         });
+
+        // Results served from orphaned blocks are wrong on the new chain
+        this.blockTracker?.on('reorg', (reorg) => {
+            this.cache.invalidateBlockHashes(reorg.orphanedHashes);
+            this.emit('reorg', reorg);
+        });
+
+        // A new head makes every latest/pending-tagged result stale
+        this.blockTracker?.on('block', ({ number }) => {
+            this.cache.invalidateBlockTagged();
+            this.cache.set('eth_blockNumber:[]', toQuantity(number), undefined, { blockTagged: true });
+        });
     }
 
     /**
@@ -131,23 +314,28 @@ export class IPCProvider {
         const responses = this.jsonParser.processData(data);
         
         for (const response of responses) {
+            if (Array.isArray(response)) {
+                this.handleBatchResponse(response);
+                continue;
+            }
+
+            if (response.method === 'eth_subscription' && response.params) {
+                this.handleNotification(response.params);
+                continue;
+            }
+
             if (response.id && this.pendingRequests.has(response.id)) {
-                const { resolve, reject, tracking, timeout } = this.pendingRequests.get(response.id);
+                const { resolve, reject, tracking, timeout, method, params, cache } = this.pendingRequests.get(response.id);
                 this.pendingRequests.delete(response.id);
                 clearTimeout(timeout);
 
                 if (response.error) {
-                    this.metrics.recordRequestFailure(tracking, new Error(response.error.message));
-                    reject(new Error(response.error.message));
+                    const error = RpcError.from(response.error, { id: response.id, method, params });
+                    this.metrics.recordRequestFailure(tracking, error, 'rpc');
+                    reject(error);
                 } else {
                     this.metrics.recordRequestSuccess(tracking);
-                    
-                    // Cache successful read-only responses
-                    if (tracking.method && this.readOnlyMethods.has(tracking.method)) {
-                        const cacheKey = `${tracking.method}:${JSON.stringify(tracking.params)}`;
-                        this.cache.set(cacheKey, response.result);
-                    }
-                    
+                    this.cacheResult(method, params, response.result, cache);
                     resolve(response.result);
                 }
             }
@@ -155,122 +343,1594 @@ export class IPCProvider {
     }
 
     /**
-     * Process a batch of requests
+     * Route a JSON-RPC array response back to the batch it answers
+     */
+    handleBatchResponse(responses) {
+        const batchId = this.batchProcessor.findBatchId(responses);
+        if (batchId === undefined) {
+            // Every item of the batch already timed out
+            return;
+        }
+        this.batchProcessor.handleBatchResponse(batchId, responses);
+    }
+
+    /**
+     * Dispatch an eth_subscription notification to its subscription
+     */
+    handleNotification({ subscription: subscriptionId, result }) {
+        const internal = this.internalSubscriptions.get(subscriptionId);
+        if (internal) {
+            internal.push(result);
+            return;
+        }
+
+        this.emit('message', {
+            type: 'eth_subscription',
+            data: { subscription: subscriptionId, result }
+        });
+
+        const subscription = this.subscriptions.get(subscriptionId);
+        if (subscription) {
+            subscription.push(result);
+            return;
+        }
+
+        // The eth_subscribe response may still be on its way through the batch path;
+        // subscriptions made directly through request() are only reported via 'message'
+        if (this.pendingSubscribes === 0) {
+            return;
+        }
+
+        if (!this.orphanNotifications.has(subscriptionId)) {
+            if (this.orphanNotifications.size >= this.maxOrphanNotifications) {
+                const oldestId = this.orphanNotifications.keys().next().value;
+                this.orphanNotifications.delete(oldestId);
+            }
+            this.orphanNotifications.set(subscriptionId, []);
+        }
+
+        const orphans = this.orphanNotifications.get(subscriptionId);
+        if (orphans.length < this.maxOrphanNotifications) {
+            orphans.push(result);
+        }
+    }
+
+    /**
+     * Emit EIP-1193 'connect' (and 'chainChanged'/'accountsChanged' when they differ
+     * from what the previous connection reported)
      */
-    async processBatch({ batchId, requests, items }) {
+    async announceConnect() {
+        // A reconnect may land on a different node, so never answer these from cache
+        this.cache.delete('eth_chainId:[]');
+        this.cache.delete('eth_accounts:[]');
+
+        // The disk tier is keyed by genesis block as well: dev chains reuse chain ids, and a
+        // restarted node must not be served the previous chain's blocks
+        const genesis = this.cache.persistent
+            ? this.performRequest('eth_getBlockByNumber', ['0x0', false], { cache: false }).catch(error => error)
+            : null;
+        const chainId = await this.performRequest('eth_chainId', []);
+        const previousChainId = this.currentChainId;
+        this.currentChainId = chainId;
+
+        // Opened in the background: requests made before the file is indexed miss the disk tier
+        if (genesis) {
+            const block = await genesis;
+            const opened = block?.hash
+                ? this.cache.persistent.open(chainId, { genesisHash: block.hash })
+                : Promise.reject(block instanceof Error ? block : new Error('genesis block unavailable'));
+            opened.catch(error => {
+                this.logger.warn(`⚠️ Persistent cache unavailable: ${error.message}`);
+            });
+        }
+
+        this.connectAnnounced = true;
+        this.emit('connect', { chainId });
+
+        if (previousChainId !== null && previousChainId !== chainId) {
+            this.emit('chainChanged', chainId);
+        }
+
+        // Follows the head from here on; a tracker that survived a reconnect keeps running
+        if (this.blockTracker && this.cache.enabled) {
+            this.blockTracker.start();
+        }
+
         try {
-            const requestJson = JSON.stringify(requests) + '\n';
-            this.connection.write(requestJson);
+            this.updateAccounts(await this.performRequest('eth_accounts', []));
         } catch (error) {
-            items.forEach(item => item.reject(error));
-            this.logger.error('Batch processing error:', error);
+            // Nodes without the eth namespace account API are fine
         }
     }
 
     /**
-     * Connect to IPC endpoint
+     * Track the account list and emit 'accountsChanged' when it changes
      */
-    async connect() {
-        if (this.connection.isConnected) {
-            return;
+    updateAccounts(accounts) {
+        if (!Array.isArray(accounts)) return;
+
+        const previous = this.currentAccounts;
+        this.currentAccounts = accounts;
+
+        if (previous !== null && previous.join() !== accounts.join()) {
+            this.emit('accountsChanged', accounts);
         }
-        await this.connection.connect();
-        this.logger.log('Provider connected to IPC socket');
     }
 
     /**
-     * Ensure connection is established
+     * Recover provider state after the connection manager reconnected:
+     * in-flight requests, subscriptions and filters
      */
-    async ensureConnected() {
-        if (!this.connection.isConnected) {
-            await this.connect();
+    async recoverAfterReconnect() {
+        this.recoverInflightRequests();
+        this.flushOfflineQueue();
+
+        const [subscriptions, filters] = await Promise.all([
+            this.restoreSubscriptions(),
+            this.restoreFilters()
+        ]);
+
+        this.emit('resubscribed', { subscriptions, filters });
+    }
+
+    /**
+     * Replay or fail requests whose responses were lost with the old socket
+     */
+    recoverInflightRequests() {
+        const lostError = () => new ConnectionLostError('Connection lost before a response was received');
+
+        // Requests still in the offline queue never reached the old socket
+        const queuedIds = new Set(this.offlineQueue.flatMap(entry => entry.ids));
+
+        for (const [id, pending] of this.pendingRequests) {
+            if (queuedIds.has(id)) {
+                continue;
+            }
+            if (this.shouldReplay(pending.method)) {
+                try {
+                    const requestJson = JSON.stringify({ jsonrpc: '2.0', id, method: pending.method, params: pending.params }) + '\n';
+                    this.connection.write(requestJson);
+                    continue;
+                } catch (error) {
+                    this.logger.warn(`Failed to replay ${pending.method}:`, error.message);
+                }
+            }
+            this.rejectPending(id, lostError());
+        }
+
+        for (const item of this.batchProcessor.takeInflightItems(item => !queuedIds.has(item.id))) {
+            if (this.shouldReplay(item.method)) {
+                this.batchProcessor.requeue(item);
+            } else {
+                this.batchProcessor.rejectItem(item, lostError());
+            }
         }
     }
 
     /**
-     * Make an RPC request
+     * Write data to the connection, or hold it in the offline queue while reconnecting
+     * @param {string} payload - Serialized request or batch
+     * @param {Array<string>} ids - Request ids carried by the payload
      */
-    async request(methodOrPayload, params) {
-        await this.ensureConnected();
+    writeToConnection(payload, ids) {
+        if (!this.connection.isReconnecting) {
+            if (!this.connection.isConnected) {
+                throw new ProviderRpcError(
+                    PROVIDER_ERROR_CODES.DISCONNECTED,
+                    `Provider is disconnected from ${this.ipcPath}`
+                );
+            }
+            // false only means the write was queued behind a saturated socket; it still goes out in order
+            this.connection.write(payload);
+            this.metrics.recordWriteBuffer(this.connection.bufferedBytes);
+            return;
+        }
 
-        let method, parameters;
-        
-        if (typeof methodOrPayload === 'object') {
-            method = methodOrPayload.method;
-            parameters = methodOrPayload.params || [];
-        } else {
-            method = methodOrPayload;
-            parameters = params || [];
+        if (this.offlineQueue.length >= this.maxOfflineQueueSize) {
+            throw new OfflineQueueFullError(this.maxOfflineQueueSize, { endpoint: this.ipcPath });
         }
+        this.offlineQueue.push({ payload, ids });
+    }
 
-        if (this.readOnlyMethods.has(method)) {
-            const cacheKey = `${method}:${JSON.stringify(parameters)}`;
-            const cached = this.cache.get(cacheKey);
-            if (cached !== null) {
-                return cached;
+    /**
+     * Send queued writes in order once the connection is back
+     */
+    flushOfflineQueue() {
+        const queue = this.offlineQueue;
+        this.offlineQueue = [];
+
+        for (const { payload, ids } of queue) {
+            // Skip writes whose requests all timed out while queued
+            const live = ids.filter(id => this.pendingRequests.has(id) || this.batchProcessor.hasRequest(id));
+            if (live.length === 0) continue;
+
+            try {
+                this.connection.write(payload);
+            } catch (error) {
+                live.forEach(id => {
+                    this.rejectPending(id, error);
+                    this.batchProcessor.removeRequest(id, error);
+                });
             }
         }
+    }
 
-        const id = uuidv4();
-        const tracking = this.metrics.recordRequestStart(method, id);
-        
-        const request = {
-            jsonrpc: '2.0',
-            id,
-            method,
-            params: parameters
-        };
+    /**
+     * Reject every request still awaiting a response
+     * @param {Error} error - Error to reject with
+     */
+    failInflightRequests(error) {
+        for (const id of this.pendingRequests.keys()) {
+            this.rejectPending(id, error);
+        }
+        for (const item of this.batchProcessor.takeInflightItems()) {
+            this.batchProcessor.rejectItem(item, error);
+        }
+    }
 
-        return new Promise((resolve, reject) => {
-            const timeout = setTimeout(() => {
-                if (this.pendingRequests.has(id)) {
-                    this.pendingRequests.delete(id);
-                    this.metrics.recordRequestFailure(tracking, new Error('Request timeout'), 'timeout');
-                    reject(new Error(`Request timeout after ${this.requestTimeout}ms`));
-                }
-            }, this.requestTimeout);
+    /**
+     * Reject a single (non-batched) pending request
+     */
+    rejectPending(id, error) {
+        const pending = this.pendingRequests.get(id);
+        if (!pending) return;
+
+        this.pendingRequests.delete(id);
+        clearTimeout(pending.timeout);
+        this.metrics.recordRequestFailure(pending.tracking, error, 'network');
+        pending.reject(error);
+    }
+
+    /**
+     * Whether an in-flight request may be resent after a reconnect
+     */
+    shouldReplay(method) {
+        return this.reconnectPolicy === 'replay' && this.idempotentMethods.has(method);
+    }
 
-            this.pendingRequests.set(id, { resolve, reject, tracking, timeout });
+    /**
+     * Re-issue eth_subscribe for every active subscription
+     * @returns {Promise<object>} Mapping of old -> new subscription ids
+     */
+    async restoreSubscriptions() {
+        const mapping = {};
+
+        const restore = (subscriptions) => Array.from(subscriptions.values()).map(async (subscription) => {
+            // Polled subscriptions keep their filter id; restoreFilters() reinstalls the filter
+            if (subscription.polling) return;
+
+            const oldId = subscription.id;
+            const rpcParams = subscription.params === undefined
+                ? [subscription.type]
+                : [subscription.type, subscription.params];
 
             try {
-                const requestJson = JSON.stringify(request) + '\n';
-                this.connection.write(requestJson);
+                const newId = await this.sendSubscribe(rpcParams);
+                subscriptions.delete(oldId);
+
+                if (!subscription.active) {
+                    // Unsubscribed while we were restoring it
+                    await this.request('eth_unsubscribe', [newId]);
+                    return;
+                }
+
+                subscription.id = newId;
+                this.registerSubscription(subscription, subscriptions);
+                if (subscriptions === this.subscriptions) {
+                    mapping[oldId] = newId;
+                }
+                subscription.emit('resubscribed', { oldId, newId });
             } catch (error) {
-                this.pendingRequests.delete(id);
-                clearTimeout(timeout);
-                this.metrics.recordRequestFailure(tracking, error);
-                reject(error);
+                this.logger.error(`Failed to restore subscription ${oldId}:`, error.message);
+                subscriptions.delete(oldId);
+                subscription.close();
             }
         });
+
+        await Promise.all([...restore(this.subscriptions), ...restore(this.internalSubscriptions)]);
+
+        return mapping;
     }
 
     /**
-     * Disconnect from IPC endpoint
+     * Re-install every filter created through this provider. Callers keep
+     * using the id they were given; it is translated to the new server id.
+     * @returns {Promise<object>} Mapping of caller-facing filter id -> new server id
      */
-    async disconnect() {
-        if (this.connection.isConnected) {
-            await this.connection.disconnect();
-            this.logger.log('Provider disconnected from IPC socket');
+    async restoreFilters() {
+        const mapping = {};
+
+        await Promise.all(Array.from(this.filters.entries()).map(async ([filterId, filter]) => {
+            try {
+                filter.currentId = await this.performRequest(filter.method, filter.params);
+                mapping[filterId] = filter.currentId;
+            } catch (error) {
+                this.logger.error(`Failed to restore filter ${filterId}:`, error.message);
+                this.filters.delete(filterId);
+            }
+        }));
+
+        return mapping;
+    }
+
+    /**
+     * Whether a request goes through the cache
+     * Methods with a cache policy other than 'never' are cached by default; a numeric `cache`
+     * option (custom TTL) also caches other idempotent methods, and `cache: false` bypasses the cache.
+     * @param {string} method - RPC method name
+     * @param {boolean|string|number} cache - The request's `cache` option
+     */
+    isCacheable(method, cache = true) {
+        if (cache === false) return false;
+        return this.cachePolicy.isCacheable(method) || (typeof cache === 'number' && this.idempotentMethods.has(method));
+    }
+
+    /**
+     * Cache a successful response according to the method's cache policy
+     * A custom TTL from the request wins. 'block' results are dropped on the next head unless the
+     * request is pinned to a final block, or to a known block hash while the block tracker watches
+     * for reorgs; entries that know their block hash are evicted when a reorg orphans it.
+     */
+    cacheResult(method, params, result, cache = true) {
+        if (!this.isCacheable(method, cache)) {
+            return;
+        }
+
+        const cacheKey = `${method}:${JSON.stringify(params)}`;
+        if (typeof cache === 'number') {
+            this.cache.set(cacheKey, result, cache);
+            return;
+        }
+
+        const policy = this.cachePolicy.get(method);
+        if (!this.cachePolicy.accepts(policy, result)) {
+            return;
+        }
+
+        const blockHash = result === null || result === undefined ? null : this.getServedBlockHash(method, params, result);
+        const reorgSafe = blockHash !== null && this.blockTracker?.mode != null;
+        const persist = this.isImmutableResult(method, params, result);
+
+        switch (policy.strategy) {
+            case CACHE_STRATEGIES.FOREVER:
+                this.cache.set(cacheKey, result, Infinity, { blockHash, persist });
+                break;
+            case CACHE_STRATEGIES.BLOCK:
+                // A block that is not found yet may still appear, so null stays head-dependent
+                if (result !== null && result !== undefined && this.isFinalBlockParam(method, params)) {
+                    this.cache.set(cacheKey, result, Infinity, { blockHash, persist });
+                } else if (reorgSafe) {
+                    // Served from a known block: valid until a reorg orphans it
+                    this.cache.set(cacheKey, result, Infinity, { blockHash });
+                } else {
+                    this.cache.set(cacheKey, result, policy.ttl, { blockTagged: true });
+                }
+                break;
+            default:
+                this.cache.set(cacheKey, result, policy.ttl);
         }
     }
 
-    // Ethereum JSON-RPC method implementations
-    async getBlockNumber() {
-        const result = await this.request('eth_blockNumber');
-        return typeof result === 'string' ? parseInt(result, 16) : result;
+    /**
+     * Hash of the block a result was served from, so a reorg that orphans the block evicts it
+     * Requests for a latest/pending/safe/finalized tag follow the head and have none, and neither
+     * do block ranges; for a block number it comes from the result or from the heads the block
+     * tracker has seen.
+     * @param {string} method - RPC method name
+     * @param {Array} params - Request params
+     * @param {any} result - Response result
+     * @returns {string|null}
+     */
+    getServedBlockHash(method, params, result) {
+        if (BLOCK_RANGE_METHODS.has(method)) {
+            return null;
+        }
+        if (BLOCK_TAG_POSITIONS.has(method)) {
+            const tag = params[BLOCK_TAG_POSITIONS.get(method)];
+            if (typeof tag?.blockHash === 'string') {
+                return tag.blockHash;
+            }
+
+            const blockNumber = typeof tag === 'object' && tag !== null ? tag.blockNumber : tag;
+            if (!HEX_NUMBER.test(blockNumber)) {
+                return null;
+            }
+            if (typeof result?.blockHash === 'string') {
+                return result.blockHash;
+            }
+            if (method === 'eth_getBlockByNumber' && typeof result?.hash === 'string') {
+                return result.hash;
+            }
+            return this.blockTracker?.getBlockHash(Number(blockNumber)) ?? null;
+        }
+
+        if (BLOCK_HASH_METHODS.has(method)) {
+            return params[0];
+        }
+        return typeof result?.blockHash === 'string' ? result.blockHash : null;
     }
 
-    async getBalance(address, blockTag = 'latest') {
-        const result = await this.request('eth_getBalance', [address, blockTag]);
-        return typeof result === 'string' ? BigInt(result).toString() : result;
+    /**
+     * Whether a result can never change, and so may go to the persistent cache: it is addressed
+     * by block hash, pinned to a final block, or a receipt/transaction mined in a final block
+     * @param {string} method - RPC method name
+     * @param {Array} params - Request params
+     * @param {any} result - Response result
+     * @returns {boolean}
+     */
+    isImmutableResult(method, params, result) {
+        if (result === null || result === undefined) {
+            return false;
+        }
+        if (BLOCK_HASH_METHODS.has(method)) {
+            return true;
+        }
+        if (BLOCK_TAG_POSITIONS.has(method)) {
+            return this.isFinalBlockParam(method, params);
+        }
+        return TRANSACTION_HASH_METHODS.has(method) && HEX_NUMBER.test(result.blockNumber) &&
+            this.blockTracker?.isFinal(Number(result.blockNumber)) === true;
     }
 
-    async getTransactionCount(address, blockTag = 'latest') {
-        const result = await this.request('eth_getTransactionCount', [address, blockTag]);
-        return typeof result === 'string' ? parseInt(result, 16) : result;
+    /**
+     * Whether a request's answer may have been persisted (see isImmutableResult), so that only
+     * those lookups go to the persistent cache; requests that follow the head never do
+     * @param {string} method - RPC method name
+     * @param {Array} params - Request params
+     * @returns {boolean}
+     */
+    mayBePersisted(method, params) {
+        if (BLOCK_HASH_METHODS.has(method) || TRANSACTION_HASH_METHODS.has(method)) {
+            return true;
+        }
+        return this.isFinalBlockParam(method, params);
+    }
+
+    /**
+     * Whether a request's block parameter names a block that can no longer change: a block hash
+     * (EIP-1898), 'earliest', or a number at least `finalityDepth` blocks below the head
+     * @param {string} method - RPC method name
+     * @param {Array} params - Request params
+     * @returns {boolean}
+     */
+    isFinalBlockParam(method, params) {
+        if (!BLOCK_TAG_POSITIONS.has(method)) {
+            return false;
+        }
+
+        const tag = params[BLOCK_TAG_POSITIONS.get(method)];
+        const blockNumber = typeof tag === 'object' && tag !== null ? tag.blockNumber : tag;
+
+        if (tag?.blockHash !== undefined || blockNumber === 'earliest') {
+            return true;
+        }
+        return HEX_NUMBER.test(blockNumber) && this.blockTracker?.isFinal(Number(blockNumber)) === true;
+    }
+
+    /**
+     * Process a batch of requests
+     */
+    async processBatch({ batchId, requests }) {
+        try {
+            const requestJson = JSON.stringify(requests) + '\n';
+            this.writeToConnection(requestJson, requests.map(request => request.id));
+        } catch (error) {
+            this.batchProcessor.failBatch(batchId, error);
+            this.logger.error('Batch processing error:', error);
+        }
+    }
+
+    /**
+     * Connect to the IPC, WebSocket or HTTP endpoint
+     */
+    async connect() {
+        if (this.connection.isConnected) {
+            return;
+        }
+        await this.connection.connect();
+        this.logger.log(`Provider connected to ${this.connection.transport.name} endpoint`);
+    }
+
+    /**
+     * Ensure connection is established
+     */
+    async ensureConnected() {
+        if (!this.connection.isConnected) {
+            try {
+                await this.connect();
+            } catch (error) {
+                throw new ProviderRpcError(
+                    PROVIDER_ERROR_CODES.DISCONNECTED,
+                    `Provider is disconnected from ${this.ipcPath}: ${error.message}`
+                );
+            }
+        }
+    }
+
+    /**
+     * Make an RPC request
+     * Accepts the EIP-1193 form `request({ method, params }, options)` or `request(method, params, options)`
+     * @param {Object} options - Per-request options
+     * @param {AbortSignal} options.signal - Cancels the request with an AbortError
+     * @param {number} options.timeout - Timeout in ms instead of `requestTimeout`
+     * @param {string} options.priority - Batch queue: 'high', 'normal' (default) or 'low'
+     * @param {boolean|string|number} options.cache - false bypasses the cache, 'only' never
+     *   hits the node (CacheMissError on a miss), a number caches the result for that many ms
+     * @param {string|number|object} options.blockTag - Pins the method's block parameter
+     */
+    async request(methodOrPayload, params, options) {
+        let method, parameters;
+        
+        if (methodOrPayload !== null && typeof methodOrPayload === 'object') {
+            method = methodOrPayload.method;
+            parameters = methodOrPayload.params || [];
+            options = params || {};
+        } else {
+            method = methodOrPayload;
+            parameters = params || [];
+            options = options || {};
+        }
+
+        if (typeof method !== 'string' || method.length === 0) {
+            throw new ProviderRpcError(-32600, 'Invalid request: method must be a non-empty string');
+        }
+
+        this.validateRequestOptions(options);
+
+        if (options.signal?.aborted) {
+            throw new AbortError(options.signal.reason, { method });
+        }
+
+        if (options.blockTag !== undefined) {
+            parameters = this.pinBlockTag(method, parameters, options.blockTag);
+        }
+        this.metrics.recordRequestOptions(options);
+
+        await this.ensureConnected();
+
+        // Filters restored after a reconnect keep the id the caller was given
+        const filterId = FILTER_ID_METHODS.has(method) ? parameters[0] : undefined;
+        if (filterId !== undefined && this.filters.has(filterId)) {
+            parameters = [this.filters.get(filterId).currentId, ...parameters.slice(1)];
+        }
+
+        let result;
+        try {
+            result = await this.performWithRetry(method, parameters, options);
+        } catch (error) {
+            if (error instanceof ExecutionRevertedError && REVERT_DECODE_METHODS.has(method)) {
+                this.annotateRevert(error);
+            }
+            throw error;
+        }
+
+        if (FILTER_INSTALL_METHODS.has(method)) {
+            this.filters.set(result, { method, params: parameters, currentId: result });
+        } else if (method === 'eth_uninstallFilter') {
+            this.filters.delete(filterId);
+        } else if (method === 'eth_accounts' || method === 'eth_requestAccounts') {
+            this.updateAccounts(result);
+        } else if (method === 'evm_snapshot') {
+            this.snapshotId = result;
+        }
+
+        return result;
+    }
+
+    /**
+     * Reject malformed per-request options before anything is sent
+     */
+    validateRequestOptions({ timeout, priority, cache }) {
+        if (timeout !== undefined && !(Number.isFinite(timeout) && timeout > 0)) {
+            throw new InvalidParamsError(-32602, `Invalid params: invalid timeout option ${timeout}`, timeout);
+        }
+        if (priority !== undefined && !REQUEST_PRIORITIES.has(priority)) {
+            throw new InvalidParamsError(-32602, `Invalid params: invalid priority option ${priority}`, priority);
+        }
+        if (cache !== undefined && typeof cache !== 'boolean' && cache !== 'only' && !(Number.isFinite(cache) && cache > 0)) {
+            throw new InvalidParamsError(-32602, `Invalid params: invalid cache option ${cache}`, cache);
+        }
+    }
+
+    /**
+     * Replace the block parameter of a request with `blockTag`
+     * eth_getLogs is pinned to the single block (fromBlock = toBlock, or blockHash).
+     * @returns {Array} New params
+     */
+    pinBlockTag(method, parameters, blockTag) {
+        const tag = normalizeBlockTag(blockTag);
+
+        if (method === 'eth_getLogs') {
+            const { fromBlock, toBlock, blockHash, ...filter } = parameters[0] || {};
+            if (typeof tag === 'object') {
+                return [tag.blockHash !== undefined
+                    ? { ...filter, blockHash: tag.blockHash }
+                    : { ...filter, fromBlock: tag.blockNumber, toBlock: tag.blockNumber }];
+            }
+            return [{ ...filter, fromBlock: tag, toBlock: tag }];
+        }
+
+        const position = BLOCK_TAG_POSITIONS.get(method);
+        if (position === undefined) {
+            throw new InvalidParamsError(-32602, `Invalid params: ${method} does not take a block tag`, blockTag);
+        }
+        if (parameters.length < position) {
+            throw new InvalidParamsError(-32602, `Invalid params: ${method} needs ${position} param(s) before the block tag`, parameters);
+        }
+
+        let value = tag;
+        if (typeof tag === 'object' && BLOCK_NUMBER_ONLY_METHODS.has(method)) {
+            if (tag.blockNumber === undefined) {
+                throw new InvalidParamsError(-32602, `Invalid params: ${method} cannot be pinned to a block hash`, blockTag);
+            }
+            value = tag.blockNumber;
+        }
+
+        const pinned = parameters.slice();
+        pinned[position] = value;
+        return pinned;
+    }
+
+    /**
+     * Register contract ABI(s) whose custom errors should be decoded in reverts
+     * @param {Array|string} abi - ABI array or its JSON string
+     */
+    registerErrorAbi(abi) {
+        this.revertDecoder.addAbi(abi);
+    }
+
+    /**
+     * Decode revert data using Error(string), Panic(uint256) and registered custom errors
+     * @param {string} data - 0x-prefixed revert data
+     * @returns {object|null} Decoded revert, see RevertDecoder.decode
+     */
+    decodeRevert(data) {
+        return this.revertDecoder.decode(data);
+    }
+
+    /**
+     * Attach the decoded revert to an ExecutionRevertedError and make its message readable
+     */
+    annotateRevert(error) {
+        if (error.revert !== undefined) {
+            return; // deduplicated callers share the same error object
+        }
+
+        const revert = this.decodeRevert(extractRevertData(error.data));
+        error.revert = revert;
+        if (!revert) {
+            return;
+        }
+
+        error.reason = revert.reason;
+        error.errorName = revert.name;
+        error.errorArgs = revert.namedArgs;
+        error.message = `execution reverted: ${revert.description}`;
+    }
+
+    /**
+     * Perform a request, retrying transient failures as the method's retry policy allows
+     * Each attempt is a new request; retries are counted in `metrics.requests.retries` and
+     * announced with a 'retry' event.
+     */
+    async performWithRetry(method, parameters, options = {}) {
+        const policy = this.retryPolicy.getPolicy(method);
+        const idempotent = this.idempotentMethods.has(method);
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await this.performRequest(method, parameters, options);
+            } catch (error) {
+                if (!this.retryPolicy.shouldRetry(error, attempt, policy, idempotent)) {
+                    throw error;
+                }
+
+                const delay = this.retryPolicy.getDelay(attempt, policy, error);
+                this.metrics.recordRetry();
+                this.emit('retry', { method, attempt, delay, error });
+                this.logger.warn(`🔁 Retrying ${method} in ${delay}ms (attempt ${attempt + 1}/${policy.maxAttempts}): ${error.message}`);
+                await this.waitForRetry(delay, options.signal, method);
+            }
+        }
+    }
+
+    /**
+     * Sleep between attempts; aborting the signal ends the wait with an AbortError
+     */
+    waitForRetry(delay, signal, method) {
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(new AbortError(signal.reason, { method }));
+            };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, delay);
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    /**
+     * Send a request through the cache and the single/batched transport path
+     * @param {Object} options - { signal, timeout, priority, cache } (see request())
+     */
+    async performRequest(method, parameters, options = {}) {
+        const { signal, cache } = options;
+
+        if (cache === 'only' || this.isCacheable(method, cache)) {
+            const cacheKey = `${method}:${JSON.stringify(parameters)}`;
+            let cached = this.cache.get(cacheKey);
+            if (cached === null && this.cache.persistent && this.mayBePersisted(method, parameters)) {
+                cached = await this.cache.getPersistent(cacheKey);
+            }
+            if (cached !== null) {
+                return cached;
+            }
+        }
+
+        if (cache === 'only') {
+            throw new CacheMissError(method, parameters);
+        }
+
+        if (signal?.aborted) {
+            throw new AbortError(signal.reason, { method });
+        }
+
+        let slot = null;
+        if (this.rateLimiter.enabled) {
+            slot = await this.acquireSlot(method, options);
+            if (slot.waitTime > 0) {
+                // Time spent in the queue counts against the request's timeout
+                options = { ...options, timeout: Math.max(1, (options.timeout || this.requestTimeout) - slot.waitTime) };
+            }
+        }
+
+        try {
+            const breaker = this.connection.circuitBreaker;
+            if (!breaker.allowRequest()) {
+                throw new CircuitOpenError({ method, state: breaker.state, nextProbeAt: breaker.nextProbeAt });
+            }
+
+            const id = uuidv4();
+            const tracking = this.metrics.recordRequestStart(method, id);
+
+            const request = {
+                jsonrpc: '2.0',
+                id,
+                method,
+                params: parameters
+            };
+
+            try {
+                const result = this.batchProcessor.enabled
+                    ? await this.sendBatched(request, tracking, options)
+                    : await this.sendSingle(request, tracking, options);
+                breaker.recordSuccess();
+                return result;
+            } catch (error) {
+                breaker.recordFailure(error);
+                throw error;
+            }
+        } finally {
+            slot?.release();
+        }
+    }
+
+    /**
+     * Send one of the provider's own requests (block tracking) straight to the connection: it
+     * takes no rate limiter slot, is not counted by the circuit breaker or the metrics, and is
+     * not sent while the circuit is open
+     * @param {string} method - RPC method name
+     * @param {Array} params - Request params
+     * @returns {Promise<any>} Uncached result
+     */
+    async requestInternal(method, params) {
+        const breaker = this.connection.circuitBreaker;
+        if (breaker.enabled && breaker.state !== CIRCUIT_STATES.CLOSED) {
+            throw new CircuitOpenError({ method, state: breaker.state, nextProbeAt: breaker.nextProbeAt });
+        }
+
+        const request = { jsonrpc: '2.0', id: uuidv4(), method, params };
+        return this.sendSingle(request, { tracked: false }, { cache: false });
+    }
+
+    /**
+     * Wait for a rate limiter slot, recording queue depth, wait time and queue timeouts
+     * @returns {Promise<object>} { release, waitTime, queued }
+     */
+    async acquireSlot(method, options) {
+        const pending = this.rateLimiter.acquire(method, {
+            priority: options.priority,
+            timeout: options.timeout || this.requestTimeout,
+            signal: options.signal
+        });
+        this.metrics.recordQueueDepth(this.rateLimiter.queued);
+
+        try {
+            const slot = await pending;
+            if (slot.queued) {
+                this.metrics.recordQueueWait(slot.waitTime);
+            }
+            return slot;
+        } catch (error) {
+            if (error instanceof TimeoutError) {
+                this.metrics.recordQueueTimeout();
+            }
+            throw error;
+        } finally {
+            this.metrics.recordQueueDepth(this.rateLimiter.queued);
+        }
+    }
+
+    /**
+     * Half-open probe: a web3_clientVersion answer closes the circuit, anything else reopens it
+     */
+    async probeCircuit() {
+        const breaker = this.connection.circuitBreaker;
+        const id = uuidv4();
+        const tracking = this.metrics.recordRequestStart('web3_clientVersion', id);
+
+        try {
+            await this.sendSingle({ jsonrpc: '2.0', id, method: 'web3_clientVersion', params: [] }, tracking, {
+                timeout: breaker.probeTimeout
+            });
+            breaker.recordSuccess();
+        } catch (error) {
+            breaker.recordFailure(error);
+            if (breaker.state === CIRCUIT_STATES.HALF_OPEN) {
+                breaker.open(`web3_clientVersion probe failed: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Queue a request in the batch processor and await its share of the batch response
+     * Aborting drops the item from its queue (or ignores its late response); requests with a
+     * signal are never deduplicated so one caller cannot cancel another's request
+     * @param {Object} options - { signal, timeout, priority, cache } (see request())
+     */
+    async sendBatched(request, tracking, options = {}) {
+        const { id, method, params } = request;
+        const { signal, timeout, priority = 'normal', cache } = options;
+
+        const onAbort = () => this.batchProcessor.removeRequest(id, new AbortError(signal.reason, { id, method }));
+        signal?.addEventListener('abort', onAbort, { once: true });
+
+        try {
+            const result = await this.batchProcessor.addRequest(request, priority, {
+                deduplicate: !signal && this.readOnlyMethods.has(method),
+                timeout
+            });
+            this.metrics.recordRequestSuccess(tracking);
+            this.cacheResult(method, params, result, cache);
+            return result;
+        } catch (error) {
+            this.recordFailure(tracking, error);
+            throw error;
+        } finally {
+            signal?.removeEventListener('abort', onAbort);
+        }
+    }
+
+    /**
+     * Record a failed (or aborted) request in the metrics
+     */
+    recordFailure(tracking, error) {
+        if (error instanceof AbortError) {
+            this.metrics.recordRequestAborted(tracking);
+        } else {
+            this.metrics.recordRequestFailure(tracking, error, this.classifyError(error));
+        }
+    }
+
+    /**
+     * Map an error to the metrics error type
+     * @returns {string} 'timeout', 'rpc', 'network' or 'unknown'
+     */
+    classifyError(error) {
+        if (error instanceof TimeoutError) return 'timeout';
+        if (error instanceof RpcError) return 'rpc';
+        if (error instanceof ProviderRpcError && error.code === PROVIDER_ERROR_CODES.DISCONNECTED) return 'network';
+        if (error instanceof ConnectionLostError) return 'network';
+        return 'unknown';
+    }
+
+    /**
+     * Write a single request straight to the connection
+     * Aborting removes the pending entry, so a late response is discarded
+     * @param {Object} options - { signal, timeout, cache } (see request())
+     */
+    sendSingle(request, tracking, options = {}) {
+        const { id, method, params } = request;
+        const { signal, cache } = options;
+        const requestTimeout = options.timeout || this.requestTimeout;
+
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                if (this.pendingRequests.has(id)) {
+                    this.pendingRequests.delete(id);
+                    clearTimeout(timeout);
+                    this.metrics.recordRequestAborted(tracking);
+                    reject(new AbortError(signal.reason, { id, method }));
+                }
+            };
+            const settle = (callback) => (value) => {
+                signal?.removeEventListener('abort', onAbort);
+                callback(value);
+            };
+
+            const timeout = setTimeout(() => {
+                if (this.pendingRequests.has(id)) {
+                    this.pendingRequests.delete(id);
+                    signal?.removeEventListener('abort', onAbort);
+                    const error = new TimeoutError(requestTimeout, { id, method });
+                    this.metrics.recordRequestFailure(tracking, error, 'timeout');
+                    reject(error);
+                }
+            }, requestTimeout);
+
+            this.pendingRequests.set(id, { resolve: settle(resolve), reject: settle(reject), tracking, timeout, method, params, cache });
+            signal?.addEventListener('abort', onAbort, { once: true });
+
+            try {
+                const requestJson = JSON.stringify(request) + '\n';
+                this.writeToConnection(requestJson, [id]);
+            } catch (error) {
+                this.pendingRequests.delete(id);
+                clearTimeout(timeout);
+                signal?.removeEventListener('abort', onAbort);
+                this.metrics.recordRequestFailure(tracking, error, this.classifyError(error));
+                reject(error);
+            }
+        });
+    }
+
+    /**
+     * Open an eth_subscribe subscription
+     * Over transports without subscriptions (HTTP) it is emulated by polling a filter
+     * every `pollingInterval` ms; 'syncing' is not available there.
+     * @param {string} type - 'newHeads', 'logs', 'newPendingTransactions' or 'syncing'
+     * @param {any} params - Extra subscription parameter (log filter, full-transaction flag)
+     * @returns {Promise<Subscription>} Subscription emitting 'data' per notification
+     */
+    async subscribe(type, params) {
+        if (!SUBSCRIPTION_TYPES.has(type)) {
+            throw new Error(`Unsupported subscription type: ${type}`);
+        }
+
+        if (!this.connection.transport.supportsSubscriptions) {
+            return this.subscribeWithPolling(type, params);
+        }
+
+        const rpcParams = params === undefined ? [type] : [type, params];
+        const id = await this.sendSubscribe(rpcParams);
+
+        const subscription = new Subscription(this, id, type, params, {
+            maxQueueSize: this.subscriptionQueueSize
+        });
+        this.registerSubscription(subscription);
+
+        return subscription;
+    }
+
+    /**
+     * Open a subscription for the provider's own use (the block tracker's newHeads)
+     * It is restored after reconnects like any other, but kept out of `subscriptions`, getStats()
+     * and 'message' events.
+     * @param {string} type - Subscription type
+     * @returns {Promise<Subscription>}
+     */
+    async subscribeInternal(type) {
+        const id = await this.sendSubscribe([type]);
+        const subscription = new Subscription(this, id, type, undefined, {
+            maxQueueSize: this.subscriptionQueueSize
+        });
+        this.registerSubscription(subscription, this.internalSubscriptions);
+
+        return subscription;
+    }
+
+    /**
+     * Install the filter backing a polled subscription and start polling it
+     */
+    async subscribeWithPolling(type, params) {
+        const filter = PollingSubscription.filterRequest(type, params);
+        const filterId = await this.request(filter.method, filter.params);
+
+        const subscription = new PollingSubscription(this, filterId, type, params, {
+            maxQueueSize: this.subscriptionQueueSize,
+            pollingInterval: this.pollingInterval
+        });
+        this.subscriptions.set(filterId, subscription);
+
+        return subscription.start();
+    }
+
+    /**
+     * Send eth_subscribe, buffering notifications that overtake its response
+     */
+    async sendSubscribe(rpcParams) {
+        this.pendingSubscribes++;
+        try {
+            return await this.request('eth_subscribe', rpcParams);
+        } finally {
+            this.pendingSubscribes--;
+        }
+    }
+
+    /**
+     * Start dispatching notifications to a subscription, including any that arrived early
+     */
+    registerSubscription(subscription, subscriptions = this.subscriptions) {
+        subscriptions.set(subscription.id, subscription);
+
+        const orphans = this.orphanNotifications.get(subscription.id);
+        if (orphans) {
+            this.orphanNotifications.delete(subscription.id);
+            orphans.forEach(result => subscription.push(result));
+        }
+    }
+
+    /**
+     * Cancel a subscription
+     * @param {string} id - Subscription id returned by the node
+     * @returns {Promise<boolean>} Whether the node removed the subscription
+     */
+    async unsubscribe(id) {
+        const subscriptions = this.internalSubscriptions.has(id) ? this.internalSubscriptions : this.subscriptions;
+        const subscription = subscriptions.get(id);
+        if (!subscription) {
+            return false;
+        }
+
+        subscriptions.delete(id);
+        subscription.close();
+
+        if (!this.connection.isConnected) {
+            return true;
+        }
+        if (subscription.polling) {
+            return this.request('eth_uninstallFilter', [id]);
+        }
+        return this.request('eth_unsubscribe', [id]);
+    }
+
+    /**
+     * Subscribe to new block headers
+     */
+    async subscribeNewHeads() {
+        return this.subscribe('newHeads');
+    }
+
+    /**
+     * Subscribe to logs matching a filter ({ address, topics })
+     */
+    async subscribeLogs(filter = {}) {
+        return this.subscribe('logs', filter);
+    }
+
+    /**
+     * Subscribe to pending transaction hashes (or full transactions where supported)
+     */
+    async subscribePendingTransactions(fullTransactions = false) {
+        return this.subscribe('newPendingTransactions', fullTransactions ? true : undefined);
+    }
+
+    /**
+     * Disconnect from the endpoint
+     */
+    async disconnect() {
+        for (const subscription of [...this.subscriptions.values(), ...this.internalSubscriptions.values()]) {
+            subscription.close();
+        }
+        this.subscriptions.clear();
+        this.internalSubscriptions.clear();
+        this.orphanNotifications.clear();
+        this.filters.clear();
+        this.offlineQueue = [];
+        this.blockTracker?.stop();
+        this.rateLimiter.clear(new ProviderRpcError(
+            PROVIDER_ERROR_CODES.DISCONNECTED,
+            `Provider disconnected from ${this.ipcPath}`
+        ));
+
+        if (this.connection.isConnected) {
+            await this.connection.disconnect();
+            this.logger.log(`Provider disconnected from ${this.connection.transport.name} endpoint`);
+        }
+    }
+
+    /**
+     * Get statistics from every component
+     */
+    getStats() {
+        const cache = this.cache.getStats();
+        const batch = this.batchProcessor.getStats();
+        const pool = this.requestPool.getStats();
+        const parser = this.jsonParser.getStats();
+
+        this.metrics.recordCacheMetrics(cache);
+        this.metrics.recordBatchMetrics(batch);
+        this.metrics.recordMemoryMetrics({
+            bufferSize: parser.bufferSize,
+            cacheSize: cache.size,
+            poolSize: pool.totalPoolSize
+        });
+
+        return {
+            connection: this.connection.getStatus(),
+            cache,
+            batch,
+            pool,
+            parser,
+            metrics: this.metrics.getMetrics(),
+            rateLimit: this.rateLimiter.getStats(),
+            blockTracker: this.blockTracker?.getStatus() ?? null,
+            subscriptions: this.subscriptions.size,
+            filters: this.filters.size,
+            offlineQueue: this.offlineQueue.length
+        };
+    }
+
+    /**
+     * Print a performance summary through the logger
+     */
+    printStats() {
+        const stats = this.getStats();
+        this.metrics.printSummary();
+        this.logger.log(`🔗 Connected: ${stats.connection.connected}, subscriptions: ${stats.subscriptions}, filters: ${stats.filters}`);
+        this.logger.log(`📦 Batches: ${stats.batch.totalBatches} (avg size ${stats.batch.avgBatchSize}), pool hit ratio: ${stats.pool.hitRatio}%`);
+    }
+
+    /**
+     * Check that the node answers, measuring round-trip latency
+     * @returns {Promise<object>} { status: 'healthy'|'unhealthy', connected, latency, blockNumber, error }
+     */
+    async healthCheck() {
+        const startTime = Date.now();
+
+        try {
+            // Drop the cached block number so the node is actually asked
+            this.cache.delete('eth_blockNumber:[]');
+            const blockNumber = await this.getBlockNumber();
+            return {
+                status: 'healthy',
+                connected: this.connection.isConnected,
+                latency: Date.now() - startTime,
+                blockNumber,
+                timestamp: Date.now()
+            };
+        } catch (error) {
+            return {
+                status: 'unhealthy',
+                connected: this.connection.isConnected,
+                latency: null,
+                error: error.message,
+                timestamp: Date.now()
+            };
+        }
+    }
+
+    /**
+     * Send several requests at once; with batching enabled they share one JSON-RPC array payload
+     * @param {Array<{method: string, params: Array}>} requests - Requests to send
+     * @returns {Promise<Array>} Results in request order (rejects on the first failure)
+     */
+    async batchRequest(requests) {
+        if (!Array.isArray(requests)) {
+            throw new InvalidParamsError(-32602, 'Invalid params: batchRequest expects an array of requests');
+        }
+        return Promise.all(requests.map(({ method, params }) => this.request(method, params || [])));
+    }
+
+    // Account methods
+
+    /**
+     * @returns {Promise<bigint>} Balance in wei
+     */
+    async getBalance(address, blockTag = 'latest') {
+        const result = await this.request('eth_getBalance', [validateAddress(address), normalizeBlockTag(blockTag)]);
+        return this.format(formatQuantity, result);
+    }
+
+    /**
+     * @returns {Promise<number>} Nonce of the account
+     */
+    async getTransactionCount(address, blockTag = 'latest') {
+        const result = await this.request('eth_getTransactionCount', [validateAddress(address), normalizeBlockTag(blockTag)]);
+        return this.format(formatNumber, result);
+    }
+
+    async getCode(address, blockTag = 'latest') {
+        return this.request('eth_getCode', [validateAddress(address), normalizeBlockTag(blockTag)]);
+    }
+
+    /**
+     * @param {string} address - Contract address
+     * @param {number|bigint|string} slot - Storage slot
+     * @returns {Promise<string>} 32-byte storage word
+     */
+    async getStorageAt(address, slot, blockTag = 'latest') {
+        return this.request('eth_getStorageAt', [
+            validateAddress(address),
+            toQuantity(slot, 'slot'),
+            normalizeBlockTag(blockTag)
+        ]);
+    }
+
+    /**
+     * EIP-1186 account and storage proof
+     */
+    async getProof(address, storageKeys = [], blockTag = 'latest') {
+        storageKeys.forEach(key => validateHash(key, 'storage key'));
+        return this.format(formatProof, await this.request('eth_getProof', [validateAddress(address), storageKeys, normalizeBlockTag(blockTag)]));
+    }
+
+    async accounts() {
+        return this.format(formatAddresses, await this.request('eth_accounts'));
+    }
+
+    // Block methods
+
+    /**
+     * @returns {Promise<number>} Latest block number
+     */
+    async getBlockNumber() {
+        const result = await this.request('eth_blockNumber');
+        return this.format(formatNumber, result);
+    }
+
+    async getBlockByNumber(blockTag = 'latest', fullTransactions = false) {
+        return this.format(formatBlock, await this.request('eth_getBlockByNumber', [normalizeBlockTag(blockTag), Boolean(fullTransactions)]));
+    }
+
+    async getBlockByHash(blockHash, fullTransactions = false) {
+        return this.format(formatBlock, await this.request('eth_getBlockByHash', [validateHash(blockHash, 'blockHash'), Boolean(fullTransactions)]));
+    }
+
+    async getBlockReceipts(blockTag = 'latest') {
+        return this.format(formatReceipts, await this.request('eth_getBlockReceipts', [normalizeBlockTag(blockTag)]));
+    }
+
+    async getBlockTransactionCountByNumber(blockTag = 'latest') {
+        const result = await this.request('eth_getBlockTransactionCountByNumber', [normalizeBlockTag(blockTag)]);
+        return this.format(formatNumber, result);
+    }
+
+    async getBlockTransactionCountByHash(blockHash) {
+        const result = await this.request('eth_getBlockTransactionCountByHash', [validateHash(blockHash, 'blockHash')]);
+        return this.format(formatNumber, result);
+    }
+
+    async getUncleCountByBlockNumber(blockTag = 'latest') {
+        const result = await this.request('eth_getUncleCountByBlockNumber', [normalizeBlockTag(blockTag)]);
+        return this.format(formatNumber, result);
+    }
+
+    async getUncleCountByBlockHash(blockHash) {
+        const result = await this.request('eth_getUncleCountByBlockHash', [validateHash(blockHash, 'blockHash')]);
+        return this.format(formatNumber, result);
+    }
+
+    async getUncleByBlockNumberAndIndex(blockTag, index) {
+        return this.format(formatBlock, await this.request('eth_getUncleByBlockNumberAndIndex', [normalizeBlockTag(blockTag), toQuantity(index, 'index')]));
+    }
+
+    async getUncleByBlockHashAndIndex(blockHash, index) {
+        return this.format(formatBlock, await this.request('eth_getUncleByBlockHashAndIndex', [validateHash(blockHash, 'blockHash'), toQuantity(index, 'index')]));
+    }
+
+    // Transaction methods
+
+    /**
+     * Send a transaction signed by the node (unlocked or impersonated account)
+     * @returns {Promise<string>} Transaction hash
+     */
+    async sendTransaction(transaction) {
+        return this.request('eth_sendTransaction', [normalizeTransaction(transaction)]);
+    }
+
+    /**
+     * @param {string} signedTransaction - RLP-encoded signed transaction
+     * @returns {Promise<string>} Transaction hash
+     */
+    async sendRawTransaction(signedTransaction) {
+        return this.request('eth_sendRawTransaction', [validateData(signedTransaction, 'signedTransaction')]);
+    }
+
+    async getTransactionByHash(transactionHash) {
+        return this.format(formatTransaction, await this.request('eth_getTransactionByHash', [validateHash(transactionHash, 'transactionHash')]));
+    }
+
+    async getTransactionReceipt(transactionHash) {
+        return this.format(formatReceipt, await this.request('eth_getTransactionReceipt', [validateHash(transactionHash, 'transactionHash')]));
+    }
+
+    async getTransactionByBlockNumberAndIndex(blockTag, index) {
+        return this.format(formatTransaction, await this.request('eth_getTransactionByBlockNumberAndIndex', [normalizeBlockTag(blockTag), toQuantity(index, 'index')]));
+    }
+
+    async getTransactionByBlockHashAndIndex(blockHash, index) {
+        return this.format(formatTransaction, await this.request('eth_getTransactionByBlockHashAndIndex', [validateHash(blockHash, 'blockHash'), toQuantity(index, 'index')]));
+    }
+
+    async sign(address, data) {
+        return this.request('eth_sign', [validateAddress(address), validateData(data)]);
+    }
+
+    async signTransaction(transaction) {
+        return this.request('eth_signTransaction', [normalizeTransaction(transaction)]);
+    }
+
+    // Gas and fee methods
+
+    /**
+     * @returns {Promise<bigint>} Gas price in wei
+     */
+    async getGasPrice() {
+        const result = await this.request('eth_gasPrice');
+        return this.format(formatQuantity, result);
+    }
+
+    /**
+     * @returns {Promise<bigint>} Suggested priority fee in wei
+     */
+    async maxPriorityFeePerGas() {
+        const result = await this.request('eth_maxPriorityFeePerGas');
+        return this.format(formatQuantity, result);
+    }
+
+    /**
+     * @returns {Promise<bigint>} EIP-4844 blob base fee in wei
+     */
+    async blobBaseFee() {
+        const result = await this.request('eth_blobBaseFee');
+        return this.format(formatQuantity, result);
+    }
+
+    /**
+     * @returns {Promise<bigint>} Estimated gas
+     */
+    async estimateGas(transaction, blockTag) {
+        const params = [normalizeTransaction(transaction)];
+        if (blockTag !== undefined) {
+            params.push(normalizeBlockTag(blockTag));
+        }
+        const result = await this.request('eth_estimateGas', params);
+        return this.format(formatQuantity, result);
+    }
+
+    /**
+     * EIP-1559 fee history
+     * @param {number} blockCount - Number of blocks
+     * @param {string|number} newestBlock - Newest block of the range
+     * @param {Array<number>} rewardPercentiles - Monotonic percentiles in [0, 100]
+     */
+    async feeHistory(blockCount, newestBlock = 'latest', rewardPercentiles = []) {
+        const percentiles = rewardPercentiles.every((value, index) =>
+            typeof value === 'number' && value >= 0 && value <= 100 && (index === 0 || value >= rewardPercentiles[index - 1]));
+        if (!percentiles) {
+            throw new InvalidParamsError(-32602, 'Invalid params: rewardPercentiles must be increasing values in [0, 100]', rewardPercentiles);
+        }
+        return this.format(formatFeeHistory, await this.request('eth_feeHistory', [toQuantity(blockCount, 'blockCount'), normalizeBlockTag(newestBlock), rewardPercentiles]));
+    }
+
+    // Contract interaction
+
+    /**
+     * Execute a read-only call
+     * Accepts `call(transaction, blockTag)` or `call(to, data, blockTag)`
+     * @returns {Promise<string>} Return data
+     */
+    async call(transactionOrTo, dataOrBlockTag, blockTag = 'latest') {
+        let transaction = transactionOrTo;
+        let tag = dataOrBlockTag === undefined ? 'latest' : dataOrBlockTag;
+
+        if (typeof transactionOrTo === 'string') {
+            transaction = { to: transactionOrTo, data: dataOrBlockTag };
+            tag = blockTag;
+        }
+
+        return this.request('eth_call', [normalizeTransaction(transaction), normalizeBlockTag(tag)]);
+    }
+
+    /**
+     * EIP-2930 access list for a transaction
+     * @returns {Promise<object>} { accessList, gasUsed }
+     */
+    async createAccessList(transaction, blockTag = 'latest') {
+        return this.format(formatAccessListResult, await this.request('eth_createAccessList', [normalizeTransaction(transaction), normalizeBlockTag(blockTag)]));
+    }
+
+    // Filter and log methods
+
+    async getLogs(filter = {}) {
+        return this.format(formatLogs, await this.request('eth_getLogs', [normalizeFilter(filter)]));
+    }
+
+    async newFilter(filter = {}) {
+        return this.request('eth_newFilter', [normalizeFilter(filter)]);
+    }
+
+    async newBlockFilter() {
+        return this.request('eth_newBlockFilter');
+    }
+
+    async newPendingTransactionFilter() {
+        return this.request('eth_newPendingTransactionFilter');
+    }
+
+    async getFilterChanges(filterId) {
+        return this.format(formatFilterChanges, await this.request('eth_getFilterChanges', [filterId]));
+    }
+
+    async getFilterLogs(filterId) {
+        return this.format(formatLogs, await this.request('eth_getFilterLogs', [filterId]));
+    }
+
+    async uninstallFilter(filterId) {
+        return this.request('eth_uninstallFilter', [filterId]);
+    }
+
+    /**
+     * Logs of one contract between two blocks, optionally narrowed by topics
+     */
+    async getPastLogs(address, fromBlock = 'earliest', toBlock = 'latest', topics = []) {
+        return this.getLogs({ address, fromBlock, toBlock, topics });
+    }
+
+    /**
+     * ERC-20/ERC-721 mints: Transfer events sent from the zero address
+     */
+    async getMint(tokenAddress, fromBlock = 'earliest', toBlock = 'latest') {
+        return this.getPastLogs(tokenAddress, fromBlock, toBlock, [TRANSFER_TOPIC, ZERO_ADDRESS_TOPIC]);
+    }
+
+    // Network and node methods
+
+    /**
+     * @returns {Promise<number>} Chain id
+     */
+    async chainId() {
+        const result = await this.request('eth_chainId');
+        return this.format(formatNumber, result);
+    }
+
+    async netVersion() {
+        return this.request('net_version');
+    }
+
+    async netListening() {
+        return this.request('net_listening');
+    }
+
+    async netPeerCount() {
+        const result = await this.request('net_peerCount');
+        return this.format(formatNumber, result);
+    }
+
+    /**
+     * @returns {Promise<false|object>} false when in sync, otherwise the sync progress object
+     */
+    async syncing() {
+        return this.format(formatSyncing, await this.request('eth_syncing'));
+    }
+
+    async clientVersion() {
+        return this.request('web3_clientVersion');
+    }
+
+    async protocolVersion() {
+        return this.request('eth_protocolVersion');
+    }
+
+    async coinbase() {
+        return this.format(toChecksumAddress, await this.request('eth_coinbase'));
+    }
+
+    async mining() {
+        return this.request('eth_mining');
+    }
+
+    async hashrate() {
+        const result = await this.request('eth_hashrate');
+        return this.format(formatQuantity, result);
+    }
+
+    // Debug methods (geth, anvil, hardhat)
+
+    async debugTraceTransaction(transactionHash, options = {}) {
+        return this.request('debug_traceTransaction', [validateHash(transactionHash, 'transactionHash'), options]);
+    }
+
+    async debugTraceCall(transaction, blockTag = 'latest', options = {}) {
+        return this.request('debug_traceCall', [normalizeTransaction(transaction), normalizeBlockTag(blockTag), options]);
+    }
+
+    async debugTraceBlockByNumber(blockTag = 'latest', options = {}) {
+        return this.request('debug_traceBlockByNumber', [normalizeBlockTag(blockTag), options]);
+    }
+
+    async debugTraceBlockByHash(blockHash, options = {}) {
+        return this.request('debug_traceBlockByHash', [validateHash(blockHash, 'blockHash'), options]);
+    }
+
+    // Development node methods (anvil, hardhat, ganache)
+
+    /**
+     * Mine blocks and return the new block number
+     */
+    async mine(blocks = 1) {
+        for (let i = 0; i < blocks; i++) {
+            await this.request('evm_mine');
+        }
+        this.cache.clear(); // chain state moved on
+        return this.getBlockNumber();
+    }
+
+    /**
+     * Take a snapshot; `snapreset()` reverts to it
+     */
+    async snapshot() {
+        return this.request('evm_snapshot');
+    }
+
+    async revert(snapshotId) {
+        const result = await this.request('evm_revert', [snapshotId]);
+        if (snapshotId === this.snapshotId) {
+            this.snapshotId = null; // a snapshot can only be reverted to once
+        }
+        this.cache.clear();
+        return result;
+    }
+
+    /**
+     * Reset the chain, optionally re-forking from `forking` ({ jsonRpcUrl, blockNumber })
+     */
+    async reset(forking) {
+        const result = await this.request('hardhat_reset', forking ? [{ forking }] : []);
+        this.snapshotId = null;
+        this.cache.clear();
+        await this.cache.persistent?.clear(); // a new fork may differ below the old finality depth
+        return result;
+    }
+
+    /**
+     * Revert to the last snapshot and take a fresh one, or reset when there is none
+     */
+    async snapreset() {
+        if (this.snapshotId === null) {
+            await this.reset();
+        } else {
+            await this.revert(this.snapshotId);
+        }
+        return this.snapshot();
+    }
+
+    /**
+     * Forget the current snapshot so the next `snapreset()` resets instead
+     */
+    snapdelete() {
+        this.snapshotId = null;
+    }
+
+    // Helper methods
+    toWei(value, unit = 'ether') {
+        return toWei(value, unit);
+    }
+
+    fromWei(value, unit = 'ether') {
+        return fromWei(value, unit);
+    }
+
+    /**
+     * Apply a response formatter unless raw results were requested (`formatResults: false`)
+     */
+    format(formatter, result) {
+        return this.formatResults ? formatter(result) : result;
     }
 
-    // Helper methods
     toHex(value) {
         if (typeof value === 'string') {
             if (value.startsWith('0x')) return value;
@@ -0,0 +1,44 @@
+import net from 'net';
+
+/**
+ * Unix domain socket (or Windows named pipe) transport
+ *
+ * A transport creates socket-like connections for the ConnectionManager: EventEmitters
+ * emitting 'connect', 'data' (Buffer), 'error', 'end', 'close' and optionally 'timeout',
+ * with `write(data)` and `destroy()`. `write()` returns false once `writableLength` bytes
+ * reach the high-water mark, and 'drain' follows when the buffer empties. The
+ * ConnectionManager owns reconnection and write backpressure.
+ */
+export class IPCTransport {
+    constructor(ipcPath, options = {}) {
+        this.name = 'IPC';
+        this.target = ipcPath.replace(/^ipc:\/\//i, '');
+        this.supportsSubscriptions = true;
+
+        // Socket optimization settings
+        this.socketTimeout = options.socketTimeout || 30000;
+        this.keepAlive = options.keepAlive !== false;
+        this.keepAliveInitialDelay = options.keepAliveInitialDelay || 60000;
+        this.writableHighWaterMark = options.writableHighWaterMark || 1024 * 1024;
+    }
+
+    /**
+     * Open a new socket to the IPC endpoint
+     * @returns {net.Socket}
+     */
+    createConnection() {
+        const socket = net.connect({ path: this.target, writableHighWaterMark: this.writableHighWaterMark });
+
+        // Socket performance optimizations
+        socket.setNoDelay(true); // Disable Nagle's algorithm
+        socket.setTimeout(this.socketTimeout);
+
+        if (this.keepAlive) {
+            socket.setKeepAlive(true, this.keepAliveInitialDelay);
+        }
+
+        return socket;
+    }
+}
+
+export default IPCTransport;
@@ -165,13 +165,14 @@ export class JSONParser {
             }
 
             if (!inString) {
-                if (byte === 0x7B) { // opening brace {
+                // Batch responses arrive as top-level arrays, so brackets count as well
+                if (byte === 0x7B || byte === 0x5B) { // opening brace { or bracket [
                     if (!foundStart) {
                         startPos = i;
                         foundStart = true;
                     }
                     braceCount++;
-                } else if (byte === 0x7D && foundStart) { // closing brace }
+                } else if ((byte === 0x7D || byte === 0x5D) && foundStart) { // closing brace } or bracket ]
                     braceCount--;
                     if (braceCount === 0) {
                         const jsonStr = this.buffer.subarray(startPos, i + 1).toString('utf8');
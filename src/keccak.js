@@ -0,0 +1,139 @@
+/**
+ * Keccak-256 (the pre-standard SHA-3 variant used by Ethereum)
+ * Operates on 64-bit lanes stored as pairs of 32-bit words to avoid BigInt overhead
+ */
+
+const RATE = 136; // bytes absorbed per permutation for a 256-bit output
+
+// Round constants as [low, high] 32-bit halves
+const ROUND_CONSTANTS = [
+    0x00000001, 0x00000000, 0x00008082, 0x00000000, 0x0000808a, 0x80000000, 0x80008000, 0x80000000,
+    0x0000808b, 0x00000000, 0x80000001, 0x00000000, 0x80008081, 0x80000000, 0x00008009, 0x80000000,
+    0x0000008a, 0x00000000, 0x00000088, 0x00000000, 0x80008009, 0x00000000, 0x8000000a, 0x00000000,
+    0x8000808b, 0x00000000, 0x0000008b, 0x80000000, 0x00008089, 0x80000000, 0x00008003, 0x80000000,
+    0x00008002, 0x80000000, 0x00000080, 0x80000000, 0x0000800a, 0x00000000, 0x8000000a, 0x80000000,
+    0x80008081, 0x80000000, 0x00008080, 0x80000000, 0x80000001, 0x00000000, 0x80008008, 0x80000000
+];
+
+// Rotation offsets indexed by lane (x + 5y)
+const ROTATIONS = [
+    0, 1, 62, 28, 27,
+    36, 44, 6, 55, 20,
+    3, 10, 43, 25, 39,
+    41, 45, 15, 21, 8,
+    18, 2, 61, 56, 14
+];
+
+/**
+ * Apply the Keccak-f[1600] permutation in place
+ * @param {Uint32Array} state - 50 words (25 lanes)
+ */
+function permute(state) {
+    const c = new Uint32Array(10);
+    const b = new Uint32Array(50);
+
+    for (let round = 0; round < 24; round++) {
+        // Theta
+        for (let x = 0; x < 5; x++) {
+            c[2 * x] = state[2 * x] ^ state[2 * x + 10] ^ state[2 * x + 20] ^ state[2 * x + 30] ^ state[2 * x + 40];
+            c[2 * x + 1] = state[2 * x + 1] ^ state[2 * x + 11] ^ state[2 * x + 21] ^ state[2 * x + 31] ^ state[2 * x + 41];
+        }
+        for (let x = 0; x < 5; x++) {
+            const next = ((x + 1) % 5) * 2;
+            const prev = ((x + 4) % 5) * 2;
+            const dLow = c[prev] ^ ((c[next] << 1) | (c[next + 1] >>> 31));
+            const dHigh = c[prev + 1] ^ ((c[next + 1] << 1) | (c[next] >>> 31));
+            for (let y = 0; y < 25; y += 5) {
+                state[2 * (x + y)] ^= dLow;
+                state[2 * (x + y) + 1] ^= dHigh;
+            }
+        }
+
+        // Rho and Pi
+        for (let x = 0; x < 5; x++) {
+            for (let y = 0; y < 5; y++) {
+                const lane = x + 5 * y;
+                const target = y + 5 * ((2 * x + 3 * y) % 5);
+                const low = state[2 * lane];
+                const high = state[2 * lane + 1];
+                const shift = ROTATIONS[lane];
+
+                if (shift === 0) {
+                    b[2 * target] = low;
+                    b[2 * target + 1] = high;
+                } else if (shift < 32) {
+                    b[2 * target] = (low << shift) | (high >>> (32 - shift));
+                    b[2 * target + 1] = (high << shift) | (low >>> (32 - shift));
+                } else if (shift === 32) {
+                    b[2 * target] = high;
+                    b[2 * target + 1] = low;
+                } else {
+                    const rest = shift - 32;
+                    b[2 * target] = (high << rest) | (low >>> (32 - rest));
+                    b[2 * target + 1] = (low << rest) | (high >>> (32 - rest));
+                }
+            }
+        }
+
+        // Chi
+        for (let y = 0; y < 25; y += 5) {
+            for (let x = 0; x < 5; x++) {
+                const lane = 2 * (x + y);
+                const next = 2 * (((x + 1) % 5) + y);
+                const after = 2 * (((x + 2) % 5) + y);
+                state[lane] = b[lane] ^ (~b[next] & b[after]);
+                state[lane + 1] = b[lane + 1] ^ (~b[next + 1] & b[after + 1]);
+            }
+        }
+
+        // Iota
+        state[0] ^= ROUND_CONSTANTS[2 * round];
+        state[1] ^= ROUND_CONSTANTS[2 * round + 1];
+    }
+}
+
+/**
+ * Convert supported inputs to bytes
+ * @param {string|Buffer|Uint8Array} input - UTF-8 string, 0x-prefixed hex string or bytes
+ * @returns {Buffer}
+ */
+function toBytes(input) {
+    if (typeof input === 'string') {
+        return /^0x([0-9a-fA-F]{2})*$/.test(input)
+            ? Buffer.from(input.slice(2), 'hex')
+            : Buffer.from(input, 'utf8');
+    }
+    return Buffer.from(input);
+}
+
+/**
+ * Compute a Keccak-256 digest
+ * @param {string|Buffer|Uint8Array} input - UTF-8 string, 0x-prefixed hex string or bytes
+ * @returns {string} 0x-prefixed hex digest
+ */
+export function keccak256(input) {
+    const bytes = toBytes(input);
+
+    // Keccak padding: 0x01 ... 0x80 up to a multiple of the rate
+    const paddedLength = (Math.floor(bytes.length / RATE) + 1) * RATE;
+    const padded = Buffer.alloc(paddedLength);
+    bytes.copy(padded);
+    padded[bytes.length] ^= 0x01;
+    padded[paddedLength - 1] ^= 0x80;
+
+    const state = new Uint32Array(50);
+    for (let offset = 0; offset < paddedLength; offset += RATE) {
+        for (let word = 0; word < RATE / 4; word++) {
+            state[word] ^= padded.readUInt32LE(offset + word * 4);
+        }
+        permute(state);
+    }
+
+    const digest = Buffer.alloc(32);
+    for (let word = 0; word < 8; word++) {
+        digest.writeUInt32LE(state[word] >>> 0, word * 4);
+    }
+    return '0x' + digest.toString('hex');
+}
+
+export default keccak256;
@@ -16,7 +16,8 @@ export class MetricsManager {
                 successful: 0,
                 failed: 0,
                 timeouts: 0,
-                retries: 0
+                retries: 0,
+                aborted: 0
             },
             responses: {
                 totalTime: 0,
@@ -33,7 +34,10 @@ export class MetricsManager {
                 reconnects: 0,
                 errors: 0,
                 uptime: 0,
-                downtime: 0
+                downtime: 0,
+                bufferedBytes: 0,
+                peakBufferedBytes: 0,
+                backpressureEvents: 0
             },
             cache: {
                 hits: 0,
@@ -53,6 +57,27 @@ export class MetricsManager {
                 poolSize: 0,
                 heapUsed: 0,
                 heapTotal: 0
+            },
+            quorum: {
+                agreements: 0,
+                divergences: 0
+            },
+            requestOptions: {
+                timeout: 0,
+                priority: { high: 0, normal: 0, low: 0 },
+                cacheBypass: 0,
+                cacheOnly: 0,
+                cacheTtl: 0,
+                blockTag: 0
+            },
+            rateLimit: {
+                queueDepth: 0,
+                maxQueueDepth: 0,
+                queued: 0,
+                totalWaitTime: 0,
+                avgWaitTime: 0,
+                maxWaitTime: 0,
+                queueTimeouts: 0
             }
         };
 
@@ -66,6 +91,7 @@ export class MetricsManager {
         this.methodMetrics = new Map();
         
         // Error tracking
+        this.errorCodes = new Map(); // error code -> count
         this.errorHistory = [];
         this.maxErrorHistory = options.maxErrorHistory || 100;
         
@@ -96,6 +122,7 @@ export class MetricsManager {
                 totalTime: 0,
                 avgTime: 0,
                 errors: 0,
+                errorCodes: {},
                 minTime: null,
                 maxTime: null
             });
@@ -128,6 +155,15 @@ export class MetricsManager {
         this.updateMethodMetrics(tracking.method, responseTime, false);
     }
 
+    /**
+     * Record a request cancelled by the caller; not counted as a failure
+     * @param {object} tracking - Request tracking object from recordRequestStart
+     */
+    recordRequestAborted(tracking) {
+        if (!tracking.tracked) return;
+        this.metrics.requests.aborted++;
+    }
+
     /**
      * Record a failed request
      * @param {object} tracking - Request tracking object from recordRequestStart
@@ -147,9 +183,26 @@ export class MetricsManager {
         }
 
         this.updateMethodMetrics(tracking.method, responseTime, true);
+        this.recordErrorCode(tracking, error);
         this.recordError(error, errorType, tracking.method);
     }
 
+    /**
+     * Count a failure by its error code (JSON-RPC code, EIP-1193 code or 'TIMEOUT')
+     * @param {object} tracking - Request tracking object from recordRequestStart
+     * @param {Error} error - Error object
+     */
+    recordErrorCode(tracking, error) {
+        const code = error && error.code !== undefined ? String(error.code) : 'unknown';
+
+        this.errorCodes.set(code, (this.errorCodes.get(code) || 0) + 1);
+
+        const methodStats = tracking.methodStats;
+        if (methodStats) {
+            methodStats.errorCodes[code] = (methodStats.errorCodes[code] || 0) + 1;
+        }
+    }
+
     /**
      * Record a retry attempt
      */
@@ -158,6 +211,73 @@ export class MetricsManager {
         this.metrics.requests.retries++;
     }
 
+    /**
+     * Count the per-request options a request was made with
+     * @param {object} options - { timeout, priority, cache, blockTag } as passed to request()
+     */
+    recordRequestOptions(options) {
+        if (!this.enabled) return;
+
+        const counts = this.metrics.requestOptions;
+        counts.priority[options.priority || 'normal']++;
+        if (options.timeout !== undefined) counts.timeout++;
+        if (options.cache === false) counts.cacheBypass++;
+        if (options.cache === 'only') counts.cacheOnly++;
+        if (typeof options.cache === 'number') counts.cacheTtl++;
+        if (options.blockTag !== undefined) counts.blockTag++;
+    }
+
+    /**
+     * Record the current rate limiter queue depth
+     * @param {number} depth - Requests waiting for a slot
+     */
+    recordQueueDepth(depth) {
+        if (!this.enabled) return;
+
+        const rateLimit = this.metrics.rateLimit;
+        rateLimit.queueDepth = depth;
+        rateLimit.maxQueueDepth = Math.max(rateLimit.maxQueueDepth, depth);
+    }
+
+    /**
+     * Record how long a request waited in the rate limiter queue
+     * @param {number} waitTime - Wait in milliseconds
+     */
+    recordQueueWait(waitTime) {
+        if (!this.enabled) return;
+
+        const rateLimit = this.metrics.rateLimit;
+        rateLimit.queued++;
+        rateLimit.totalWaitTime += waitTime;
+        rateLimit.avgWaitTime = rateLimit.totalWaitTime / rateLimit.queued;
+        rateLimit.maxWaitTime = Math.max(rateLimit.maxWaitTime, waitTime);
+    }
+
+    /**
+     * Record a request that timed out in the rate limiter queue
+     */
+    recordQueueTimeout() {
+        if (!this.enabled) return;
+        this.metrics.rateLimit.queueTimeouts++;
+    }
+
+    /**
+     * Record whether this node's answer to a quorum request matched the accepted result
+     * @param {string} method - RPC method name
+     * @param {boolean} agreed - Whether the answer matched
+     */
+    recordQuorumResult(method, agreed) {
+        if (!this.enabled) return;
+
+        if (agreed) {
+            this.metrics.quorum.agreements++;
+            return;
+        }
+
+        this.metrics.quorum.divergences++;
+        this.recordError({ code: 'QUORUM_DIVERGENCE', message: `${method} answer differs from the quorum result` }, 'divergence', method);
+    }
+
     /**
      * Update response time metrics
      * @param {number} responseTime - Response time in milliseconds
@@ -277,6 +397,29 @@ export class MetricsManager {
         }
     }
 
+    /**
+     * Record the bytes waiting in the connection's write buffer
+     * @param {number} bytes - Socket buffer plus queued writes
+     */
+    recordWriteBuffer(bytes) {
+        if (!this.enabled) return;
+
+        const connection = this.metrics.connection;
+        connection.bufferedBytes = bytes;
+        connection.peakBufferedBytes = Math.max(connection.peakBufferedBytes, bytes);
+    }
+
+    /**
+     * Record the socket refusing more data until 'drain'
+     * @param {number} bytes - Bytes buffered at that point
+     */
+    recordBackpressure(bytes) {
+        if (!this.enabled) return;
+
+        this.metrics.connection.backpressureEvents++;
+        this.recordWriteBuffer(bytes);
+    }
+
     /**
      * Record cache metrics
      * @param {object} cacheStats - Cache statistics object
@@ -337,6 +480,7 @@ export class MetricsManager {
         const errorRecord = {
             timestamp: Date.now(),
             type,
+            code: error.code,
             message: error.message,
             method,
             stack: error.stack
@@ -394,6 +538,7 @@ export class MetricsManager {
                     : 0
             },
             methods: Object.fromEntries(this.methodMetrics),
+            errorCodes: Object.fromEntries(this.errorCodes),
             recentErrors: this.errorHistory.slice(-10) // Last 10 errors
         };
     }
@@ -426,16 +571,38 @@ export class MetricsManager {
      */
     reset() {
         this.metrics = {
-            requests: { total: 0, successful: 0, failed: 0, timeouts: 0, retries: 0 },
+            requests: { total: 0, successful: 0, failed: 0, timeouts: 0, retries: 0, aborted: 0 },
             responses: { totalTime: 0, minTime: null, maxTime: null, avgTime: 0, p50: 0, p95: 0, p99: 0 },
-            connection: { connects: 0, disconnects: 0, reconnects: 0, errors: 0, uptime: 0, downtime: 0 },
+            connection: {
+                connects: 0, disconnects: 0, reconnects: 0, errors: 0, uptime: 0, downtime: 0,
+                bufferedBytes: 0, peakBufferedBytes: 0, backpressureEvents: 0
+            },
             cache: { hits: 0, misses: 0, evictions: 0, hitRatio: 0 },
             batch: { totalBatches: 0, totalBatchedRequests: 0, avgBatchSize: 0, batchProcessingTime: 0 },
-            memory: { bufferSize: 0, cacheSize: 0, poolSize: 0, heapUsed: 0, heapTotal: 0 }
+            memory: { bufferSize: 0, cacheSize: 0, poolSize: 0, heapUsed: 0, heapTotal: 0 },
+            quorum: { agreements: 0, divergences: 0 },
+            requestOptions: {
+                timeout: 0,
+                priority: { high: 0, normal: 0, low: 0 },
+                cacheBypass: 0,
+                cacheOnly: 0,
+                cacheTtl: 0,
+                blockTag: 0
+            },
+            rateLimit: {
+                queueDepth: 0,
+                maxQueueDepth: 0,
+                queued: 0,
+                totalWaitTime: 0,
+                avgWaitTime: 0,
+                maxWaitTime: 0,
+                queueTimeouts: 0
+            }
         };
 
         this.responseTimeHistory = [];
         this.methodMetrics.clear();
+        this.errorCodes.clear();
         this.errorHistory = [];
         this.startTime = Date.now();
         this.connectionStartTime = null;
@@ -0,0 +1,220 @@
+import { TimeoutError, AbortError } from './errors.js';
+
+const PRIORITIES = ['high', 'normal', 'low'];
+
+/**
+ * One token bucket plus an in-flight cap; limits that are not set are unlimited
+ */
+class Limit {
+    constructor(options = {}) {
+        this.rate = options.requestsPerSecond || Infinity;
+        this.burst = options.burst || (Number.isFinite(this.rate) ? Math.max(1, this.rate) : Infinity);
+        this.maxConcurrent = options.maxConcurrent || Infinity;
+        this.tokens = this.burst;
+        this.lastRefill = Date.now();
+        this.inFlight = 0;
+    }
+
+    refill(now) {
+        if (!Number.isFinite(this.rate)) return;
+        this.tokens = Math.min(this.burst, this.tokens + ((now - this.lastRefill) * this.rate) / 1000);
+        this.lastRefill = now;
+    }
+
+    /**
+     * ms until this limit admits a request: 0 now, Infinity until an in-flight request finishes
+     */
+    waitTime(now) {
+        if (this.inFlight >= this.maxConcurrent) return Infinity;
+        this.refill(now);
+        if (this.tokens >= 1) return 0;
+        return Math.ceil(((1 - this.tokens) * 1000) / this.rate);
+    }
+
+    take() {
+        this.tokens -= 1;
+        this.inFlight++;
+    }
+
+    release() {
+        this.inFlight--;
+    }
+}
+
+function hasLimits(options) {
+    return Boolean(options.requestsPerSecond || options.maxConcurrent);
+}
+
+/**
+ * Client-side rate limiter and concurrency cap
+ * A request needs a slot from the global limit and from its method's limit (`methods`).
+ * Requests that cannot start wait in high/normal/low queues (the BatchProcessor priorities),
+ * are admitted highest priority first, and time out in the queue instead of on the node.
+ */
+export class RateLimiter {
+    constructor(options = {}) {
+        this.global = new Limit(options);
+        this.methodOptions = options.methods || {};
+        this.methodLimits = new Map(); // method -> Limit
+        this.enabled = hasLimits(options) || Object.values(this.methodOptions).some(hasLimits);
+
+        this.queues = { high: [], normal: [], low: [] };
+        this.timer = null;
+    }
+
+    /**
+     * Number of requests waiting for a slot
+     */
+    get queued() {
+        return this.queues.high.length + this.queues.normal.length + this.queues.low.length;
+    }
+
+    getLimits(method) {
+        if (!hasLimits(this.methodOptions[method] || {})) {
+            return [this.global];
+        }
+        if (!this.methodLimits.has(method)) {
+            this.methodLimits.set(method, new Limit(this.methodOptions[method]));
+        }
+        return [this.global, this.methodLimits.get(method)];
+    }
+
+    /**
+     * Wait for a slot
+     * @param {string} method - RPC method name
+     * @param {object} options - { priority, timeout, signal }
+     * @returns {Promise<object>} { release, waitTime, queued }; call release() once the request settles
+     */
+    acquire(method, options = {}) {
+        const now = Date.now();
+        const waiter = { method, limits: this.getLimits(method), enqueuedAt: now };
+
+        // Start right away when nothing is queued ahead and every limit has room
+        if (this.queued === 0 && waiter.limits.every(limit => limit.waitTime(now) === 0)) {
+            return Promise.resolve(this.grant(waiter, now, false));
+        }
+
+        const { signal, timeout } = options;
+        if (signal?.aborted) {
+            return Promise.reject(new AbortError(signal.reason, { method }));
+        }
+
+        return new Promise((resolve, reject) => {
+            waiter.resolve = resolve;
+            waiter.reject = reject;
+            waiter.queue = this.queues[options.priority] || this.queues.normal;
+            waiter.queue.push(waiter);
+
+            if (timeout) {
+                waiter.timer = setTimeout(() => {
+                    this.remove(waiter, new TimeoutError(timeout, { method, queued: true }));
+                }, timeout);
+            }
+            if (signal) {
+                waiter.signal = signal;
+                waiter.onAbort = () => this.remove(waiter, new AbortError(signal.reason, { method }));
+                signal.addEventListener('abort', waiter.onAbort, { once: true });
+            }
+
+            this.drain();
+        });
+    }
+
+    /**
+     * Admit every queued request that fits, highest priority first, and wake up again when
+     * the next token is due
+     */
+    drain() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        const now = Date.now();
+        let nextWait = Infinity;
+
+        for (const priority of PRIORITIES) {
+            const queue = this.queues[priority];
+            for (let i = 0; i < queue.length;) {
+                const waiter = queue[i];
+                const wait = Math.max(...waiter.limits.map(limit => limit.waitTime(now)));
+                if (wait === 0) {
+                    queue.splice(i, 1);
+                    this.settle(waiter);
+                    waiter.resolve(this.grant(waiter, now, true));
+                    continue;
+                }
+                nextWait = Math.min(nextWait, wait);
+                i++;
+            }
+        }
+
+        if (Number.isFinite(nextWait)) {
+            this.timer = setTimeout(() => this.drain(), nextWait);
+        }
+    }
+
+    grant(waiter, now, queued) {
+        for (const limit of waiter.limits) {
+            limit.take();
+        }
+
+        let released = false;
+        const release = () => {
+            if (released) return;
+            released = true;
+            for (const limit of waiter.limits) {
+                limit.release();
+            }
+            if (this.queued > 0) {
+                this.drain();
+            }
+        };
+
+        return { release, waitTime: now - waiter.enqueuedAt, queued };
+    }
+
+    /**
+     * Drop a queued request (timeout or abort)
+     */
+    remove(waiter, error) {
+        const index = waiter.queue.indexOf(waiter);
+        if (index === -1) return;
+
+        waiter.queue.splice(index, 1);
+        this.settle(waiter);
+        waiter.reject(error);
+    }
+
+    settle(waiter) {
+        clearTimeout(waiter.timer);
+        waiter.signal?.removeEventListener('abort', waiter.onAbort);
+    }
+
+    /**
+     * Reject every queued request (used on disconnect)
+     * @param {Error} error - Rejection reason
+     */
+    clear(error) {
+        for (const priority of PRIORITIES) {
+            for (const waiter of this.queues[priority].splice(0)) {
+                this.settle(waiter);
+                waiter.reject(error);
+            }
+        }
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    getStats() {
+        return {
+            enabled: this.enabled,
+            queued: this.queued,
+            inFlight: this.global.inFlight,
+            methods: Object.fromEntries([...this.methodLimits].map(([method, limit]) => [method, {
+                inFlight: limit.inFlight,
+                tokens: Math.floor(limit.tokens)
+            }]))
+        };
+    }
+}
+
+export default RateLimiter;
@@ -0,0 +1,96 @@
+import { AbortError, PROVIDER_ERROR_CODES } from './errors.js';
+
+// Codes worth another attempt: dropped connections (4900, a connection lost mid-request),
+// a full write buffer, HTTP 503 and rate limits
+const DEFAULT_RETRYABLE_CODES = [PROVIDER_ERROR_CODES.DISCONNECTED, 'CONNECTION_LOST', 'WRITE_BUFFER_FULL', -32002, -32005];
+
+// -32000 messages of a node that lags behind, and socket resets
+const DEFAULT_RETRYABLE_MESSAGES = [
+    /header not found/i,
+    /unknown block/i,
+    /ECONNRESET|EPIPE|socket hang up/i
+];
+
+/**
+ * Retry policy for transient RPC failures
+ * Defaults apply to every method; `methods` overrides them per method name. Methods that are
+ * not idempotent are only retried when their policy sets `retryNonIdempotent`.
+ */
+export class RetryPolicy {
+    constructor(options = {}) {
+        this.defaults = {
+            maxAttempts: options.maxAttempts || 3,
+            baseDelay: options.baseDelay || 100, // ms, doubled per attempt
+            maxDelay: options.maxDelay || 2000,
+            jitter: options.jitter ?? 0.5, // fraction of the delay that is randomized
+            retryableCodes: options.retryableCodes || DEFAULT_RETRYABLE_CODES,
+            retryableMessages: options.retryableMessages || DEFAULT_RETRYABLE_MESSAGES,
+            retryNonIdempotent: options.retryNonIdempotent || false
+        };
+        this.methods = options.methods || {}; // method -> partial policy
+    }
+
+    /**
+     * Effective policy for a method
+     * @param {string} method - RPC method name
+     * @returns {object} Defaults merged with the method's overrides
+     */
+    getPolicy(method) {
+        return { ...this.defaults, ...this.methods[method] };
+    }
+
+    /**
+     * Whether an error is transient according to a policy
+     * @param {Error} error - Error of the failed attempt
+     * @param {object} policy - Policy from getPolicy()
+     * @returns {boolean}
+     */
+    isRetryable(error, policy) {
+        if (error instanceof AbortError) {
+            return false;
+        }
+        if (policy.retryableCodes.includes(error?.code)) {
+            return true;
+        }
+        return policy.retryableMessages.some(pattern => pattern.test(error?.message || ''));
+    }
+
+    /**
+     * Decide whether a failed attempt is retried
+     * @param {Error} error - Error of the failed attempt
+     * @param {number} attempt - Attempts made so far (1 after the first failure)
+     * @param {object} policy - Policy from getPolicy()
+     * @param {boolean} idempotent - Whether the method is safe to send twice
+     * @returns {boolean}
+     */
+    shouldRetry(error, attempt, policy, idempotent) {
+        if (attempt >= policy.maxAttempts) {
+            return false;
+        }
+        if (!idempotent && !policy.retryNonIdempotent) {
+            return false;
+        }
+        return this.isRetryable(error, policy);
+    }
+
+    /**
+     * Exponential backoff with jitter; a Retry-After hint (HTTP 429/503) is honoured up to maxDelay
+     * @param {number} attempt - Attempts made so far
+     * @param {object} policy - Policy from getPolicy()
+     * @param {Error} error - Error of the failed attempt
+     * @returns {number} Delay in ms
+     */
+    getDelay(attempt, policy, error) {
+        const backoff = Math.min(policy.maxDelay, policy.baseDelay * 2 ** (attempt - 1));
+        let delay = backoff - backoff * policy.jitter * Math.random();
+
+        const retryAfter = error?.data?.retryAfter;
+        if (Number.isFinite(retryAfter)) {
+            delay = Math.min(policy.maxDelay, Math.max(delay, retryAfter * 1000));
+        }
+
+        return Math.round(delay);
+    }
+}
+
+export default RetryPolicy;
@@ -0,0 +1,152 @@
+import { keccak256 } from './keccak.js';
+import { decodeParameters, formatSignature } from './abi-decoder.js';
+
+// Selectors of the errors the Solidity compiler emits itself
+const ERROR_STRING_SELECTOR = '0x08c379a0'; // Error(string)
+const PANIC_SELECTOR = '0x4e487b71'; // Panic(uint256)
+
+/**
+ * Solidity panic codes (https://docs.soliditylang.org/en/latest/control-structures.html#panic-via-assert-and-error-via-require)
+ */
+export const PANIC_CODES = {
+    0x00: 'GENERIC_PANIC',
+    0x01: 'ASSERTION_FAILED',
+    0x11: 'ARITHMETIC_OVERFLOW',
+    0x12: 'DIVISION_BY_ZERO',
+    0x21: 'INVALID_ENUM_VALUE',
+    0x22: 'INVALID_STORAGE_BYTE_ARRAY',
+    0x31: 'POP_ON_EMPTY_ARRAY',
+    0x32: 'ARRAY_OUT_OF_BOUNDS',
+    0x41: 'OUT_OF_MEMORY',
+    0x51: 'ZERO_INITIALIZED_FUNCTION_POINTER'
+};
+
+/**
+ * Decoder for revert data returned by eth_call / eth_estimateGas
+ * Understands Error(string), Panic(uint256) and custom errors from registered ABIs
+ */
+export class RevertDecoder {
+    constructor(abi = []) {
+        this.errors = new Map(); // selector -> { name, signature, inputs }
+        this.addAbi(abi);
+    }
+
+    /**
+     * Register the `error` entries of a contract ABI
+     * @param {Array|string} abi - ABI array or its JSON string
+     */
+    addAbi(abi) {
+        const items = typeof abi === 'string' ? JSON.parse(abi) : abi;
+
+        for (const item of items || []) {
+            if (item.type !== 'error') continue;
+
+            const signature = formatSignature(item);
+            const selector = keccak256(signature).slice(0, 10);
+            this.errors.set(selector, { name: item.name, signature, inputs: item.inputs || [] });
+        }
+    }
+
+    /**
+     * Decode revert data
+     * @param {string} data - 0x-prefixed revert data
+     * @returns {object|null} { selector, name, signature, args, namedArgs, reason, panicCode, description } or null without data
+     */
+    decode(data) {
+        if (typeof data !== 'string' || !/^0x([0-9a-fA-F]{2})*$/.test(data) || data.length < 10) {
+            return null;
+        }
+
+        const selector = data.slice(0, 10).toLowerCase();
+        const payload = '0x' + data.slice(10);
+
+        try {
+            if (selector === ERROR_STRING_SELECTOR) {
+                const [reason] = decodeParameters([{ type: 'string' }], payload);
+                return this.result(selector, 'Error', 'Error(string)', [reason], { reason }, {
+                    reason,
+                    description: reason
+                });
+            }
+
+            if (selector === PANIC_SELECTOR) {
+                const [code] = decodeParameters([{ type: 'uint256' }], payload);
+                const panicName = PANIC_CODES[Number(code)] || 'UNKNOWN_PANIC';
+                return this.result(selector, 'Panic', 'Panic(uint256)', [code], { code }, {
+                    panicCode: code,
+                    reason: panicName,
+                    description: `Panic(0x${code.toString(16).padStart(2, '0')}: ${panicName})`
+                });
+            }
+
+            const custom = this.errors.get(selector);
+            if (custom) {
+                const args = decodeParameters(custom.inputs, payload);
+                const namedArgs = {};
+                custom.inputs.forEach((input, index) => {
+                    namedArgs[input.name || String(index)] = args[index];
+                });
+                const rendered = custom.inputs
+                    .map((input, index) => `${input.name ? input.name + '=' : ''}${formatArgument(args[index])}`)
+                    .join(', ');
+                return this.result(selector, custom.name, custom.signature, args, namedArgs, {
+                    description: `${custom.name}(${rendered})`
+                });
+            }
+        } catch (error) {
+            // Malformed payload: fall through and report the raw selector
+        }
+
+        return this.result(selector, null, null, [], {}, {
+            description: `unknown custom error ${selector}`
+        });
+    }
+
+    result(selector, name, signature, args, namedArgs, extra) {
+        return { selector, name, signature, args, namedArgs, reason: null, panicCode: null, ...extra };
+    }
+}
+
+/**
+ * Render a decoded argument for error messages
+ */
+function formatArgument(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(formatArgument).join(', ')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.entries(value).map(([key, item]) => `${key}: ${formatArgument(item)}`).join(', ')}}`;
+    }
+    if (typeof value === 'string' && !value.startsWith('0x')) {
+        return JSON.stringify(value);
+    }
+    return String(value);
+}
+
+/**
+ * Extract revert data from a JSON-RPC error's `data` member
+ * (a hex string on Geth/Anvil, nested as `{ data }` on some clients)
+ * @param {any} data - Error data
+ * @returns {string|null} 0x-prefixed revert data
+ */
+export function extractRevertData(data) {
+    if (typeof data === 'string' && data.startsWith('0x')) {
+        return data;
+    }
+    if (data && typeof data === 'object') {
+        return extractRevertData(data.data ?? data.result);
+    }
+    return null;
+}
+
+/**
+ * Decode revert data without keeping a decoder around
+ * @param {string} data - 0x-prefixed revert data
+ * @param {Array|string} abi - Optional ABI with custom errors
+ * @returns {object|null} Decoded revert
+ */
+export function decodeRevertData(data, abi = []) {
+    return new RevertDecoder(abi).decode(data);
+}
+
+export default RevertDecoder;
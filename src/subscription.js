@@ -0,0 +1,180 @@
+import { EventEmitter } from 'events';
+
+/**
+ * Subscription types accepted by eth_subscribe on Geth/Anvil
+ */
+export const SUBSCRIPTION_TYPES = new Set(['newHeads', 'logs', 'newPendingTransactions', 'syncing']);
+
+/**
+ * Live eth_subscribe subscription
+ * Emits 'data' for every notification and 'end' once unsubscribed,
+ * and can be consumed with `for await...of`
+ */
+export class Subscription extends EventEmitter {
+    constructor(provider, id, type, params, options = {}) {
+        super();
+        this.provider = provider;
+        this.id = id;
+        this.type = type;
+        this.params = params;
+        this.active = true;
+
+        // Async iteration buffer (only filled once someone iterates)
+        this.maxQueueSize = options.maxQueueSize || 1000;
+        this.buffering = false;
+        this.queue = [];
+        this.waiters = [];
+        this.dropped = 0;
+    }
+
+    /**
+     * Deliver a notification payload to listeners and iterators
+     * @param {any} result - `params.result` of the eth_subscription message
+     */
+    push(result) {
+        if (!this.active) return;
+
+        this.emit('data', result);
+
+        const waiter = this.waiters.shift();
+        if (waiter) {
+            waiter({ value: result, done: false });
+            return;
+        }
+
+        if (this.buffering) {
+            this.queue.push(result);
+            if (this.queue.length > this.maxQueueSize) {
+                this.queue.shift();
+                this.dropped++;
+            }
+        }
+    }
+
+    /**
+     * Cancel the subscription on the node and stop delivering notifications
+     * @returns {Promise<boolean>} Result of eth_unsubscribe
+     */
+    async unsubscribe() {
+        return this.provider.unsubscribe(this.id);
+    }
+
+    /**
+     * Mark the subscription as finished and release pending iterators
+     */
+    close() {
+        if (!this.active) return;
+
+        this.active = false;
+        for (const waiter of this.waiters.splice(0)) {
+            waiter({ value: undefined, done: true });
+        }
+        this.emit('end');
+    }
+
+    [Symbol.asyncIterator]() {
+        this.buffering = true;
+
+        return {
+            next: () => {
+                if (this.queue.length > 0) {
+                    return Promise.resolve({ value: this.queue.shift(), done: false });
+                }
+                if (!this.active) {
+                    return Promise.resolve({ value: undefined, done: true });
+                }
+                return new Promise(resolve => this.waiters.push(resolve));
+            },
+            return: async () => {
+                await this.unsubscribe();
+                return { value: undefined, done: true };
+            },
+            [Symbol.asyncIterator]() {
+                return this;
+            }
+        };
+    }
+}
+
+/**
+ * Subscription emulated with a server-side filter, for transports without eth_subscribe (HTTP)
+ * newHeads polls a block filter and fetches each header, logs polls a log filter and
+ * newPendingTransactions polls a pending-transaction filter.
+ */
+export class PollingSubscription extends Subscription {
+    constructor(provider, filterId, type, params, options = {}) {
+        super(provider, filterId, type, params, options);
+        this.polling = true;
+        this.pollingInterval = options.pollingInterval || 4000;
+        this.timer = null;
+        this.polls = 0;
+    }
+
+    /**
+     * Filter install request backing a subscription type
+     * @returns {{method: string, params: Array}}
+     */
+    static filterRequest(type, params) {
+        switch (type) {
+            case 'newHeads':
+                return { method: 'eth_newBlockFilter', params: [] };
+            case 'logs':
+                return { method: 'eth_newFilter', params: [params || {}] };
+            case 'newPendingTransactions':
+                return { method: 'eth_newPendingTransactionFilter', params: [] };
+            default:
+                throw new Error(`Subscription type ${type} cannot be emulated with filter polling`);
+        }
+    }
+
+    start() {
+        this.schedule();
+        return this;
+    }
+
+    schedule() {
+        if (!this.active) return;
+        this.timer = setTimeout(() => {
+            this.poll()
+                .catch(error => {
+                    if (this.listenerCount('error') > 0) {
+                        this.emit('error', error);
+                    } else {
+                        this.provider.logger.warn(`Polling ${this.type} filter ${this.id} failed:`, error.message);
+                    }
+                })
+                .finally(() => this.schedule());
+        }, this.pollingInterval);
+    }
+
+    /**
+     * Fetch filter changes once and push them as notifications
+     */
+    async poll() {
+        this.polls++;
+        const changes = await this.provider.request('eth_getFilterChanges', [this.id]);
+        if (!Array.isArray(changes)) return;
+
+        for (const change of changes) {
+            if (!this.active) return;
+
+            if (this.type === 'newHeads') {
+                const block = await this.provider.request('eth_getBlockByHash', [change, false]);
+                if (block) this.push(block);
+            } else if (this.type === 'newPendingTransactions' && this.params === true) {
+                const transaction = await this.provider.request('eth_getTransactionByHash', [change]);
+                if (transaction) this.push(transaction);
+            } else {
+                this.push(change);
+            }
+        }
+    }
+
+    close() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        super.close();
+    }
+}
+
+export default Subscription;
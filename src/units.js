@@ -0,0 +1,66 @@
+/**
+ * Ether unit conversion on decimal strings, exact for any amount
+ */
+
+export const UNITS = {
+    wei: 0,
+    kwei: 3,
+    mwei: 6,
+    gwei: 9,
+    szabo: 12,
+    finney: 15,
+    ether: 18
+};
+
+function decimals(unit) {
+    if (typeof unit === 'number') {
+        return unit;
+    }
+    const places = UNITS[String(unit).toLowerCase()];
+    if (places === undefined) {
+        throw new Error(`Unknown unit: ${unit}`);
+    }
+    return places;
+}
+
+/**
+ * Convert an amount in `unit` to wei
+ * @param {string|number|bigint} value - Amount, e.g. "0.1"
+ * @param {string|number} unit - Unit name or number of decimals (default 'ether')
+ * @returns {string} Amount in wei as a decimal string
+ */
+export function toWei(value, unit = 'ether') {
+    const places = decimals(unit);
+    const text = typeof value === 'bigint' ? value.toString() : String(value).trim();
+    const match = text.match(/^(-?)(\d*)(?:\.(\d*))?$/);
+
+    if (!match || (match[2] === '' && !match[3])) {
+        throw new Error(`Invalid amount: ${value}`);
+    }
+
+    const [, sign, whole, fraction = ''] = match;
+    if (fraction.replace(/0+$/, '').length > places) {
+        throw new Error(`Amount ${value} has more than ${places} decimals`);
+    }
+
+    const wei = BigInt((whole || '0') + fraction.padEnd(places, '0').slice(0, places));
+    return (sign && wei !== 0n ? '-' : '') + wei.toString();
+}
+
+/**
+ * Convert a wei amount to `unit`
+ * @param {string|number|bigint} value - Amount in wei (decimal or 0x hex)
+ * @param {string|number} unit - Unit name or number of decimals (default 'ether')
+ * @returns {string} Decimal string without trailing zeros, e.g. "0.1"
+ */
+export function fromWei(value, unit = 'ether') {
+    const places = decimals(unit);
+    const wei = BigInt(value);
+    const negative = wei < 0n;
+    const digits = (negative ? -wei : wei).toString().padStart(places + 1, '0');
+
+    const whole = digits.slice(0, digits.length - places);
+    const fraction = digits.slice(digits.length - places).replace(/0+$/, '');
+
+    return (negative ? '-' : '') + whole + (fraction ? '.' + fraction : '');
+}
@@ -0,0 +1,167 @@
+import { InvalidParamsError } from './errors.js';
+
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+const HASH_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+const DATA_PATTERN = /^0x([0-9a-fA-F]{2})*$/;
+const QUANTITY_PATTERN = /^0x(0|[1-9a-fA-F][0-9a-fA-F]*)$/;
+
+/**
+ * Named block tags accepted by the execution API
+ */
+export const BLOCK_TAGS = new Set(['latest', 'earliest', 'pending', 'safe', 'finalized']);
+
+// Transaction request fields sent as QUANTITY
+const QUANTITY_FIELDS = [
+    'gas', 'gasPrice', 'value', 'nonce', 'maxFeePerGas', 'maxPriorityFeePerGas',
+    'maxFeePerBlobGas', 'chainId', 'type'
+];
+
+function invalid(message, value) {
+    return new InvalidParamsError(-32602, `Invalid params: ${message}`, value);
+}
+
+/**
+ * Encode a number, bigint, decimal string or hex string as a JSON-RPC QUANTITY
+ * @param {number|bigint|string} value - Value to encode
+ * @param {string} name - Parameter name for error messages
+ * @returns {string} Minimal 0x-prefixed hex
+ */
+export function toQuantity(value, name = 'quantity') {
+    if (typeof value === 'string' && /^0x[0-9a-fA-F]+$/.test(value)) {
+        return '0x' + BigInt(value).toString(16);
+    }
+
+    let number;
+    try {
+        number = BigInt(value);
+    } catch (error) {
+        throw invalid(`${name} must be a non-negative integer, got ${value}`, value);
+    }
+    if (number < 0n || (typeof value === 'number' && !Number.isSafeInteger(value))) {
+        throw invalid(`${name} must be a non-negative integer, got ${value}`, value);
+    }
+    return '0x' + number.toString(16);
+}
+
+/**
+ * Validate a 20-byte address
+ * @returns {string} The address unchanged
+ */
+export function validateAddress(address, name = 'address') {
+    if (typeof address !== 'string' || !ADDRESS_PATTERN.test(address)) {
+        throw invalid(`${name} must be a 20-byte hex address, got ${address}`, address);
+    }
+    return address;
+}
+
+/**
+ * Validate a 32-byte hash
+ * @returns {string} The hash unchanged
+ */
+export function validateHash(hash, name = 'hash') {
+    if (typeof hash !== 'string' || !HASH_PATTERN.test(hash)) {
+        throw invalid(`${name} must be a 32-byte hex hash, got ${hash}`, hash);
+    }
+    return hash;
+}
+
+/**
+ * Validate hex-encoded bytes
+ * @returns {string} The data unchanged
+ */
+export function validateData(data, name = 'data') {
+    if (typeof data !== 'string' || !DATA_PATTERN.test(data)) {
+        throw invalid(`${name} must be 0x-prefixed hex bytes`, data);
+    }
+    return data;
+}
+
+/**
+ * Normalize a block tag: named tags, block numbers or `{ blockHash }` / `{ blockNumber }` (EIP-1898)
+ * @param {string|number|bigint|object} blockTag - Block reference
+ * @returns {string|object} Value to send to the node
+ */
+export function normalizeBlockTag(blockTag = 'latest') {
+    if (typeof blockTag === 'string' && BLOCK_TAGS.has(blockTag)) {
+        return blockTag;
+    }
+    if (blockTag !== null && typeof blockTag === 'object') {
+        if (blockTag.blockHash !== undefined) {
+            return { ...blockTag, blockHash: validateHash(blockTag.blockHash, 'blockHash') };
+        }
+        if (blockTag.blockNumber !== undefined) {
+            return { blockNumber: normalizeBlockTag(blockTag.blockNumber) };
+        }
+        throw invalid('block reference must contain blockHash or blockNumber', blockTag);
+    }
+    if (typeof blockTag === 'string' && /^0x/.test(blockTag) && !QUANTITY_PATTERN.test(blockTag)) {
+        throw invalid(`block number must be a hex quantity, got ${blockTag}`, blockTag);
+    }
+    return toQuantity(blockTag, 'block number');
+}
+
+/**
+ * Normalize a transaction/call request: addresses validated, numeric fields hex-encoded
+ * @param {object} transaction - Transaction request
+ * @returns {object} Request ready to send
+ */
+export function normalizeTransaction(transaction) {
+    if (transaction === null || typeof transaction !== 'object') {
+        throw invalid('transaction must be an object', transaction);
+    }
+
+    const normalized = { ...transaction };
+
+    for (const field of ['from', 'to']) {
+        if (normalized[field] !== undefined && normalized[field] !== null) {
+            validateAddress(normalized[field], field);
+        }
+    }
+    for (const field of ['data', 'input']) {
+        if (normalized[field] !== undefined) {
+            validateData(normalized[field], field);
+        }
+    }
+    for (const field of QUANTITY_FIELDS) {
+        if (normalized[field] !== undefined && normalized[field] !== null) {
+            normalized[field] = toQuantity(normalized[field], field);
+        }
+    }
+
+    return normalized;
+}
+
+/**
+ * Normalize a log filter: block bounds encoded, address(es) validated
+ * @param {object} filter - { fromBlock, toBlock, blockHash, address, topics }
+ * @returns {object} Filter ready to send
+ */
+export function normalizeFilter(filter = {}) {
+    const normalized = { ...filter };
+
+    if (normalized.blockHash !== undefined) {
+        if (normalized.fromBlock !== undefined || normalized.toBlock !== undefined) {
+            throw invalid('blockHash cannot be combined with fromBlock/toBlock', filter);
+        }
+        validateHash(normalized.blockHash, 'blockHash');
+    }
+    for (const field of ['fromBlock', 'toBlock']) {
+        if (normalized[field] !== undefined) {
+            normalized[field] = normalizeBlockTag(normalized[field]);
+        }
+    }
+    if (normalized.address !== undefined) {
+        const addresses = Array.isArray(normalized.address) ? normalized.address : [normalized.address];
+        addresses.forEach(address => validateAddress(address));
+    }
+    if (normalized.topics !== undefined) {
+        if (!Array.isArray(normalized.topics)) {
+            throw invalid('topics must be an array', filter);
+        }
+        for (const topic of normalized.topics.flat()) {
+            if (topic !== null) validateHash(topic, 'topic');
+        }
+    }
+
+    return normalized;
+}
@@ -0,0 +1,356 @@
+import http from 'http';
+import https from 'https';
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+
+// RFC 6455 constants
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const OPCODES = {
+    CONTINUATION: 0x0,
+    TEXT: 0x1,
+    BINARY: 0x2,
+    CLOSE: 0x8,
+    PING: 0x9,
+    PONG: 0xA
+};
+
+/**
+ * WebSocket transport (ws:// and wss://)
+ * Creates WebSocketConnection objects that behave like the IPC socket for the ConnectionManager
+ */
+export class WebSocketTransport {
+    constructor(url, options = {}) {
+        this.name = 'WebSocket';
+        this.target = url;
+        this.supportsSubscriptions = true;
+
+        this.headers = options.headers || {};
+        this.pingInterval = options.pingInterval || 30000;
+        this.pongTimeout = options.pongTimeout || 10000;
+        this.handshakeTimeout = options.handshakeTimeout || 10000;
+        this.maxPayload = options.maxPayload || 64 * 1024 * 1024;
+        this.writableHighWaterMark = options.writableHighWaterMark || 1024 * 1024;
+    }
+
+    /**
+     * Start a WebSocket handshake with the endpoint
+     * @returns {WebSocketConnection}
+     */
+    createConnection() {
+        return new WebSocketConnection(this.target, {
+            headers: this.headers,
+            pingInterval: this.pingInterval,
+            pongTimeout: this.pongTimeout,
+            handshakeTimeout: this.handshakeTimeout,
+            maxPayload: this.maxPayload,
+            writableHighWaterMark: this.writableHighWaterMark
+        });
+    }
+}
+
+/**
+ * Minimal RFC 6455 client connection
+ * Each complete text/binary message is emitted as 'data' followed by a newline, so the
+ * streaming JSON parser sees the same framing as on IPC.
+ */
+export class WebSocketConnection extends EventEmitter {
+    constructor(url, options = {}) {
+        super();
+        this.url = new URL(url);
+        this.options = options;
+        this.socket = null;
+        this.open = false;
+        this.closing = false;
+        this.destroyed = false;
+
+        // Incoming frame state
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.fragmentsLength = 0;
+
+        // Keepalive state
+        this.pingTimer = null;
+        this.pongTimer = null;
+
+        // Defer so callers can attach listeners first, like net.connect(); a connection
+        // destroyed before then never starts its handshake
+        process.nextTick(() => {
+            if (this.destroyed) return;
+            this.handshake();
+        });
+    }
+
+    handshake() {
+        const secure = this.url.protocol === 'wss:';
+        const key = crypto.randomBytes(16).toString('base64');
+        const request = (secure ? https : http).request({
+            hostname: this.url.hostname,
+            port: this.url.port || (secure ? 443 : 80),
+            path: this.url.pathname + this.url.search,
+            headers: {
+                ...this.options.headers,
+                Connection: 'Upgrade',
+                Upgrade: 'websocket',
+                'Sec-WebSocket-Key': key,
+                'Sec-WebSocket-Version': '13'
+            },
+            auth: this.url.username ? `${decodeURIComponent(this.url.username)}:${decodeURIComponent(this.url.password)}` : undefined,
+            writableHighWaterMark: this.options.writableHighWaterMark
+        });
+        this.request = request;
+
+        request.setTimeout(this.options.handshakeTimeout, () => {
+            request.destroy(new Error(`WebSocket handshake timeout after ${this.options.handshakeTimeout}ms`));
+        });
+
+        request.on('upgrade', (response, socket, head) => {
+            const expected = crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+            if (response.headers['sec-websocket-accept'] !== expected) {
+                socket.destroy();
+                this.fail(new Error('Invalid Sec-WebSocket-Accept header'));
+                return;
+            }
+
+            request.setTimeout(0);
+            this.attach(socket);
+            if (head && head.length > 0) {
+                this.receive(head);
+            }
+        });
+
+        request.on('response', (response) => {
+            response.resume();
+            this.fail(new Error(`Unexpected WebSocket handshake response: ${response.statusCode}`));
+        });
+
+        request.on('error', (error) => this.fail(error));
+        request.end();
+    }
+
+    attach(socket) {
+        this.socket = socket;
+        this.open = true;
+        socket.setNoDelay(true);
+
+        socket.on('data', (chunk) => this.receive(chunk));
+        socket.on('drain', () => this.emit('drain'));
+        socket.on('error', (error) => this.emit('error', error));
+        socket.on('end', () => this.emit('end'));
+        socket.on('close', () => {
+            this.open = false;
+            this.stopKeepAlive();
+            this.emit('close');
+        });
+
+        this.startKeepAlive();
+        this.emit('connect');
+    }
+
+    fail(error) {
+        if (this.socket) return;
+        this.emit('error', error);
+        this.emit('close');
+    }
+
+    /**
+     * Parse as many complete frames as the buffer holds
+     */
+    receive(chunk) {
+        this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, chunk]) : chunk;
+
+        while (this.buffer.length >= 2) {
+            const first = this.buffer[0];
+            const second = this.buffer[1];
+            const fin = (first & 0x80) !== 0;
+            const opcode = first & 0x0F;
+            const masked = (second & 0x80) !== 0;
+            let length = second & 0x7F;
+            let offset = 2;
+
+            if (length === 126) {
+                if (this.buffer.length < 4) return;
+                length = this.buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (this.buffer.length < 10) return;
+                length = Number(this.buffer.readBigUInt64BE(2));
+                offset = 10;
+            }
+
+            if (length > this.options.maxPayload) {
+                this.protocolError(1009, `WebSocket frame of ${length} bytes exceeds maxPayload`);
+                return;
+            }
+
+            const maskLength = masked ? 4 : 0;
+            if (this.buffer.length < offset + maskLength + length) return;
+
+            let payload = this.buffer.subarray(offset + maskLength, offset + maskLength + length);
+            if (masked) {
+                const mask = this.buffer.subarray(offset, offset + 4);
+                payload = Buffer.from(payload);
+                for (let i = 0; i < payload.length; i++) {
+                    payload[i] ^= mask[i & 3];
+                }
+            }
+            this.buffer = this.buffer.subarray(offset + maskLength + length);
+
+            this.handleFrame(fin, opcode, payload);
+            if (this.socket.destroyed) return;
+        }
+    }
+
+    handleFrame(fin, opcode, payload) {
+        switch (opcode) {
+            case OPCODES.TEXT:
+            case OPCODES.BINARY:
+            case OPCODES.CONTINUATION:
+                this.fragments.push(payload);
+                this.fragmentsLength += payload.length;
+                if (this.fragmentsLength > this.options.maxPayload) {
+                    this.protocolError(1009, 'WebSocket message exceeds maxPayload');
+                    return;
+                }
+                if (fin) {
+                    const message = Buffer.concat([...this.fragments, Buffer.from('\n')]);
+                    this.fragments = [];
+                    this.fragmentsLength = 0;
+                    this.emit('data', message);
+                }
+                break;
+
+            case OPCODES.PING:
+                this.sendFrame(OPCODES.PONG, payload);
+                break;
+
+            case OPCODES.PONG:
+                clearTimeout(this.pongTimer);
+                this.pongTimer = null;
+                break;
+
+            case OPCODES.CLOSE:
+                // Echo the close frame, then let the server close the TCP connection
+                if (!this.closing) {
+                    this.closing = true;
+                    this.sendFrame(OPCODES.CLOSE, payload.subarray(0, 2));
+                }
+                this.socket.end();
+                break;
+
+            default:
+                this.protocolError(1002, `Unknown WebSocket opcode ${opcode}`);
+        }
+    }
+
+    protocolError(code, reason) {
+        this.emit('error', new Error(reason));
+        this.close(code, reason);
+        this.socket.destroy();
+    }
+
+    /**
+     * Encode and send a single masked frame (clients must mask every frame)
+     */
+    sendFrame(opcode, payload = Buffer.alloc(0)) {
+        if (!this.socket || this.socket.destroyed) {
+            return false;
+        }
+
+        const length = payload.length;
+        const headerLength = length < 126 ? 2 : length < 65536 ? 4 : 10;
+        const frame = Buffer.alloc(headerLength + 4 + length);
+
+        frame[0] = 0x80 | opcode;
+        if (length < 126) {
+            frame[1] = 0x80 | length;
+        } else if (length < 65536) {
+            frame[1] = 0x80 | 126;
+            frame.writeUInt16BE(length, 2);
+        } else {
+            frame[1] = 0x80 | 127;
+            frame.writeBigUInt64BE(BigInt(length), 2);
+        }
+
+        const mask = crypto.randomBytes(4);
+        mask.copy(frame, headerLength);
+        for (let i = 0; i < length; i++) {
+            frame[headerLength + 4 + i] = payload[i] ^ mask[i & 3];
+        }
+
+        return this.socket.write(frame);
+    }
+
+    /**
+     * Bytes buffered in the underlying socket
+     */
+    get writableLength() {
+        return this.socket ? this.socket.writableLength : 0;
+    }
+
+    /**
+     * Send a text message
+     * @param {string|Buffer} data - JSON payload
+     * @returns {boolean} false when the socket buffer is full
+     */
+    write(data) {
+        if (!this.open) {
+            throw new Error('WebSocket not open');
+        }
+        return this.sendFrame(OPCODES.TEXT, Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf8'));
+    }
+
+    /**
+     * Ping the server periodically; a missing pong destroys the socket so the
+     * ConnectionManager reconnects
+     */
+    startKeepAlive() {
+        this.stopKeepAlive();
+        this.pingTimer = setInterval(() => {
+            if (this.pongTimer) return;
+            this.pongTimer = setTimeout(() => {
+                this.emit('error', new Error(`WebSocket pong not received within ${this.options.pongTimeout}ms`));
+                this.socket.destroy();
+            }, this.options.pongTimeout);
+            this.sendFrame(OPCODES.PING);
+        }, this.options.pingInterval);
+        this.pingTimer.unref();
+    }
+
+    stopKeepAlive() {
+        clearInterval(this.pingTimer);
+        clearTimeout(this.pongTimer);
+        this.pingTimer = null;
+        this.pongTimer = null;
+    }
+
+    /**
+     * Start the closing handshake
+     */
+    close(code = 1000, reason = '') {
+        if (this.closing || !this.open) return;
+        this.closing = true;
+
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+        payload.writeUInt16BE(code, 0);
+        payload.write(reason, 2);
+        this.sendFrame(OPCODES.CLOSE, payload);
+    }
+
+    /**
+     * Close immediately (sending a close frame when possible) and release the socket
+     */
+    destroy() {
+        this.destroyed = true;
+        this.stopKeepAlive();
+
+        if (this.socket) {
+            this.close(1000);
+            this.socket.destroy();
+        } else if (this.request) {
+            this.request.destroy();
+        }
+        this.open = false;
+    }
+}
+
+export default WebSocketTransport;
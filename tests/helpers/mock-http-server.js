@@ -0,0 +1,59 @@
+import http from 'http';
+import { MockIPCServer } from './mock-ipc-server.js';
+
+/**
+ * The MockIPCServer behind an HTTP endpoint. Each POST body is one JSON-RPC message or
+ * batch; set `status` (and `headers`) to answer with an HTTP error instead.
+ */
+export class MockHTTPServer extends MockIPCServer {
+    constructor(handlers = {}) {
+        super(null, handlers);
+        this.status = null;
+        this.headers = {};
+        this.posts = 0;
+        this.connections = 0;
+        this.server = http.createServer((request, response) => this.handleRequest(request, response));
+        this.server.on('connection', () => this.connections++);
+    }
+
+    get url() {
+        return `http://127.0.0.1:${this.port}`;
+    }
+
+    async start() {
+        await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+        this.port = this.server.address().port;
+        return this;
+    }
+
+    handleRequest(request, response) {
+        this.posts++;
+        this.sockets.add(request.socket);
+        request.socket.on('close', () => this.sockets.delete(request.socket));
+
+        const chunks = [];
+        request.on('data', chunk => chunks.push(chunk));
+        request.on('end', () => {
+            if (this.status) {
+                response.writeHead(this.status, this.headers).end('error');
+                return;
+            }
+            this.handleMessage(response, JSON.parse(Buffer.concat(chunks).toString('utf8')));
+        });
+    }
+
+    send(response, message) {
+        response.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify(message));
+    }
+
+    broadcast() {
+        throw new Error('HTTP has no server push');
+    }
+
+    async stop() {
+        this.server.closeAllConnections();
+        await new Promise(resolve => this.server.close(resolve));
+    }
+}
+
+export default MockHTTPServer;
@@ -0,0 +1,88 @@
+import net from 'net';
+import { existsSync, unlinkSync } from 'fs';
+
+/**
+ * Minimal newline-delimited JSON-RPC server on a Unix socket, standing in for Geth/Anvil.
+ * Handlers map method names to functions returning a result (or throwing an object
+ * with code/message/data to produce a JSON-RPC error).
+ */
+export class MockIPCServer {
+    constructor(ipcPath, handlers = {}) {
+        this.ipcPath = ipcPath;
+        this.handlers = handlers;
+        this.sockets = new Set();
+        this.received = [];
+        this.server = net.createServer(socket => this.handleConnection(socket));
+    }
+
+    async start() {
+        if (existsSync(this.ipcPath)) {
+            unlinkSync(this.ipcPath);
+        }
+        await new Promise(resolve => this.server.listen(this.ipcPath, resolve));
+        return this;
+    }
+
+    handleConnection(socket) {
+        this.sockets.add(socket);
+        socket.on('close', () => this.sockets.delete(socket));
+
+        let buffer = '';
+        socket.on('data', chunk => {
+            buffer += chunk.toString('utf8');
+            let newline;
+            while ((newline = buffer.indexOf('\n')) !== -1) {
+                const line = buffer.slice(0, newline).trim();
+                buffer = buffer.slice(newline + 1);
+                if (line) this.handleMessage(socket, JSON.parse(line));
+            }
+        });
+    }
+
+    async handleMessage(socket, message) {
+        this.received.push(message);
+        const response = Array.isArray(message)
+            ? await Promise.all(message.map(request => this.respond(socket, request)))
+            : await this.respond(socket, message);
+
+        if (!socket.destroyed) {
+            this.send(socket, response);
+        }
+    }
+
+    send(socket, message) {
+        socket.write(JSON.stringify(message) + '\n');
+    }
+
+    async respond(socket, request) {
+        const handler = this.handlers[request.method];
+        if (!handler) {
+            return { jsonrpc: '2.0', id: request.id, error: { code: -32601, message: `the method ${request.method} does not exist/is not available` } };
+        }
+
+        try {
+            const result = await handler(request.params, socket);
+            return { jsonrpc: '2.0', id: request.id, result };
+        } catch (error) {
+            return { jsonrpc: '2.0', id: request.id, error: { code: error.code ?? -32000, message: error.message, data: error.data } };
+        }
+    }
+
+    /**
+     * Push a raw message (e.g. a subscription notification) to every connected client
+     */
+    broadcast(message) {
+        for (const socket of this.sockets) {
+            this.send(socket, message);
+        }
+    }
+
+    async stop() {
+        for (const socket of this.sockets) {
+            socket.destroy();
+        }
+        await new Promise(resolve => this.server.close(resolve));
+    }
+}
+
+export default MockIPCServer;
@@ -0,0 +1,113 @@
+import http from 'http';
+import crypto from 'crypto';
+import { MockIPCServer } from './mock-ipc-server.js';
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+/**
+ * The MockIPCServer behind a WebSocket endpoint. Each text frame carries one JSON-RPC
+ * message; pings are answered unless `respondToPings` is turned off.
+ */
+export class MockWebSocketServer extends MockIPCServer {
+    constructor(handlers = {}) {
+        super(null, handlers);
+        this.respondToPings = true;
+        this.pings = 0;
+        this.server = http.createServer((request, response) => {
+            response.writeHead(426).end();
+        });
+        this.server.on('upgrade', (request, socket) => this.handleUpgrade(request, socket));
+    }
+
+    get url() {
+        return `ws://127.0.0.1:${this.port}`;
+    }
+
+    async start() {
+        await new Promise(resolve => this.server.listen(this.port || 0, '127.0.0.1', resolve));
+        this.port = this.server.address().port;
+        return this;
+    }
+
+    handleUpgrade(request, socket) {
+        const accept = crypto.createHash('sha1')
+            .update(request.headers['sec-websocket-key'] + HANDSHAKE_GUID)
+            .digest('base64');
+
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '', ''
+        ].join('\r\n'));
+
+        this.handleConnection(socket);
+    }
+
+    handleConnection(socket) {
+        this.sockets.add(socket);
+        socket.on('close', () => this.sockets.delete(socket));
+        socket.on('error', () => {});
+
+        let buffer = Buffer.alloc(0);
+        socket.on('data', chunk => {
+            buffer = Buffer.concat([buffer, chunk]);
+            while (buffer.length >= 2) {
+                const opcode = buffer[0] & 0x0F;
+                let length = buffer[1] & 0x7F;
+                let offset = 2;
+                if (length === 126) {
+                    if (buffer.length < 4) return;
+                    length = buffer.readUInt16BE(2);
+                    offset = 4;
+                } else if (length === 127) {
+                    if (buffer.length < 10) return;
+                    length = Number(buffer.readBigUInt64BE(2));
+                    offset = 10;
+                }
+                if (buffer.length < offset + 4 + length) return;
+
+                const mask = buffer.subarray(offset, offset + 4);
+                const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+                for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+                buffer = buffer.subarray(offset + 4 + length);
+
+                if (opcode === 0x1) {
+                    this.handleMessage(socket, JSON.parse(payload.toString('utf8')));
+                } else if (opcode === 0x9) {
+                    this.pings++;
+                    if (this.respondToPings) this.writeFrame(socket, 0xA, payload);
+                } else if (opcode === 0x8) {
+                    this.writeFrame(socket, 0x8, payload.subarray(0, 2));
+                    socket.end();
+                }
+            }
+        });
+    }
+
+    /**
+     * Server frames are unmasked
+     */
+    writeFrame(socket, opcode, payload) {
+        const length = payload.length;
+        const header = length < 126 ? Buffer.alloc(2) : length < 65536 ? Buffer.alloc(4) : Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        if (length < 126) {
+            header[1] = length;
+        } else if (length < 65536) {
+            header[1] = 126;
+            header.writeUInt16BE(length, 2);
+        } else {
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(length), 2);
+        }
+        socket.write(Buffer.concat([header, payload]));
+    }
+
+    send(socket, message) {
+        this.writeFrame(socket, 0x1, Buffer.from(JSON.stringify(message), 'utf8'));
+    }
+}
+
+export default MockWebSocketServer;
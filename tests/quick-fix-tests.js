@@ -1,4 +1,12 @@
-import { IPCProvider } from '../index.js';
+import { IPCProvider, FallbackProvider } from '../index.js';
+import { MockIPCServer } from './helpers/mock-ipc-server.js';
+import { MockWebSocketServer } from './helpers/mock-ws-server.js';
+import { MockHTTPServer } from './helpers/mock-http-server.js';
+import { WebSocketConnection } from '../src/websocket-transport.js';
+import { ExecutionRevertedError, NonceTooLowError, InsufficientFundsError, InvalidParamsError, RateLimitError, ServiceUnavailableError, QuorumError, AbortError, TimeoutError, ConnectionLostError, OfflineQueueFullError, WriteBufferFullError, CacheMissError, CircuitOpenError } from '../src/errors.js';
+import { keccak256 } from '../src/keccak.js';
+
+const quietLogger = { log() {}, warn() {}, error() {} };
 
 /**
  * Quick validation tests to ensure core functionality works
@@ -136,6 +144,1525 @@ async function runQuickValidation() {
         failed++;
     }
 
+    // Test 7: Request Batching
+    try {
+        const ipcPath = '/tmp/quick-batch.ipc';
+        const server = await new MockIPCServer(ipcPath, {
+            eth_blockNumber: () => '0x10',
+            eth_getBalance: ([address]) => address === '0x01' ? '0x1' : '0x2',
+            eth_hang: () => new Promise(() => {})
+        }).start();
+        const provider = new IPCProvider(ipcPath, {
+            cacheEnabled: false,
+            batchRequests: true,
+            batchTimeout: 5,
+            requestTimeout: 200,
+            logger: quietLogger
+        });
+        await provider.connect();
+
+        const results = await Promise.all([
+            provider.request('eth_blockNumber'),
+            provider.request('eth_getBalance', ['0x01', 'latest']),
+            provider.request('eth_getBalance', ['0x02', 'latest'])
+        ]);
+        const timedOut = await provider.request('eth_hang').then(() => false, error => /timeout/.test(error.message));
+        const userBatch = server.received.filter(Array.isArray)
+            .find(batch => batch.some(request => request.method === 'eth_blockNumber'));
+        const metrics = provider.metrics.getMetrics();
+
+        await provider.disconnect();
+        provider.cache.destroy();
+        await server.stop();
+
+        const userRequests = userBatch ? userBatch.filter(request => request.method !== 'eth_chainId') : [];
+        if (results.join() === '0x10,0x1,0x2' && userRequests.length === 3 && timedOut &&
+            metrics.methods.eth_getBalance.errors === 0 && metrics.requests.timeouts === 1) {
+            console.log('✅ Request batching: PASS');
+            passed++;
+        } else {
+            console.log('❌ Request batching: FAIL - Requests were not coalesced into a batch');
+            failed++;
+        }
+    } catch (error) {
+        console.log('❌ Request batching: FAIL -', error.message);
+        failed++;
+    }
+
+    // Test 8: Subscriptions
+    try {
+        const ipcPath = '/tmp/quick-subscribe.ipc';
+        const server = await new MockIPCServer(ipcPath, {
+            eth_subscribe: ([type]) => {
+                // Notifications follow the subscribe response on the same socket
+                setTimeout(() => {
+                    for (const number of ['0x1', '0x2', '0x3']) {
+                        server.broadcast({ jsonrpc: '2.0', method: 'eth_subscription', params: { subscription: `0x${type}`, result: { number } } });
+                    }
+                }, 10);
+                return `0x${type}`;
+            },
+            eth_unsubscribe: () => true
+        }).start();
+        const provider = new IPCProvider(ipcPath, { cacheEnabled: false, logger: quietLogger });
+        await provider.connect();
+
+        const subscription = await provider.subscribeNewHeads();
+        let emitted = 0;
+        subscription.on('data', () => emitted++);
+
+        const heads = [];
+        for await (const head of subscription) {
+            heads.push(head.number);
+            if (heads.length === 2) break;
+        }
+        const unsubscribed = server.received.some(message => message.method === 'eth_unsubscribe' ||
+            (Array.isArray(message) && message.some(item => item.method === 'eth_unsubscribe')));
+
+        await provider.disconnect();
+        provider.cache.destroy();
+        await server.stop();
+
+        if (heads.join() === '0x1,0x2' && emitted >= 2 && unsubscribed && !subscription.active &&
+            provider.subscriptions.size === 0) {
+            console.log('✅ Subscriptions: PASS');
+            passed++;
+        } else {
+            console.log('❌ Subscriptions: FAIL - Notifications were not dispatched');
+            failed++;
+        }
+    } catch (error) {
+        console.log('❌ Subscriptions: FAIL -', error.message);
+        failed++;
+    }
+
+    // Test 9: Reconnect Recovery
+    try {
+        const ipcPath = '/tmp/quick-reconnect.ipc';
+        let generation = 1;
+        const handlers = {
+            eth_subscribe: () => `0xs${generation}`,
+            eth_newFilter: () => `0xf${generation}`,
+            eth_getFilterChanges: ([id]) => [id],
+            eth_getBalance: () => generation === 1 ? new Promise(() => {}) : '0x5',
+            eth_sendRawTransaction: () => new Promise(() => {})
+        };
+        let server = await new MockIPCServer(ipcPath, handlers).start();
+        const provider = new IPCProvider(ipcPath, {
+            cacheEnabled: false,
+            retryDelay: 50,
+            requestTimeout: 3000,
+            logger: quietLogger
+        });
+        await provider.connect();
+
+        await provider.subscribeNewHeads();
+        const filterId = await provider.request('eth_newFilter', [{}]);
+        const balance = provider.request('eth_getBalance', ['0x01', 'latest']);
+        const sent = provider.request('eth_sendRawTransaction', ['0x00']).then(() => 'sent', error => error);
+        await new Promise(resolve => setTimeout(resolve, 30));
+
+        const resubscribed = new Promise(resolve => provider.once('resubscribed', resolve));
+        await server.stop();
+        generation = 2;
+        server = await new MockIPCServer(ipcPath, handlers).start();
+
+        const mapping = await resubscribed;
+        const [replayed, sentError, changes] = await Promise.all([
+            balance, sent, provider.request('eth_getFilterChanges', [filterId])
+        ]);
+
+        await provider.disconnect();
+        provider.cache.destroy();
+        await server.stop();
+
+        if (replayed === '0x5' && sentError instanceof ConnectionLostError && sentError.code === 'CONNECTION_LOST' &&
+            mapping.subscriptions['0xs1'] === '0xs2' && mapping.filters['0xf1'] === '0xf2' &&
+            changes[0] === '0xf2') {
+            console.log('✅ Reconnect recovery: PASS');
+            passed++;
+        } else {
+            console.log('❌ Reconnect recovery: FAIL - State was not restored after reconnect');
+            failed++;
+        }
+    } catch (error) {
+        console.log('❌ Reconnect recovery: FAIL -', error.message);
+        failed++;
+    }
+
+    // Test 10: Offline Queue
+    try {
+        const ipcPath = '/tmp/quick-offline.ipc';
+        const handlers = { eth_chainId: () => '0x1', net_version: () => '1' };
+        let server = await new MockIPCServer(ipcPath, handlers).start();
+        const provider = new IPCProvider(ipcPath, {
+            cacheEnabled: false,
+            batchRequests: false,
+            retryDelay: 100,
+            maxRetries: 2,
+            offlineQueueSize: 2,
+            logger: quietLogger
+        });
+        await provider.connect();
+
+        const reconnecting = new Promise(resolve => provider.connection.once('reconnecting', resolve));
+        await server.stop();
+        await reconnecting;
+
+        const queued = [provider.request('eth_chainId'), provider.request('net_version')];
+        const overflow = await provider.request('eth_chainId').then(() => '', error => error);
+        server = await new MockIPCServer(ipcPath, handlers).start();
+        const flushed = await Promise.all(queued);
+
+        const reconnectingAgain = new Promise(resolve => provider.connection.once('reconnecting', resolve));
+        await server.stop();
+        await reconnectingAgain;
+        const dropped = await provider.request('eth_chainId').then(() => '', error => error);
+
+        await provider.disconnect();
+        provider.cache.destroy();
+
+        if (flushed.join() === '0x1,1' && overflow instanceof OfflineQueueFullError && overflow.code === 'OFFLINE_QUEUE_FULL' &&
+            dropped instanceof ConnectionLostError && dropped.code === 'RECONNECT_FAILED') {
+            console.log('✅ Offline queue: PASS');
+            passed++;
+        } else {
+            console.log('❌ Offline queue: FAIL - Requests were not held while reconnecting');
+            failed++;
+        }
+    } catch (error) {
+        console.log('❌ Offline queue: FAIL -', error.message);
+        failed++;
+    }
+
+    // Test 11: EIP-1193 Events
+    try {
+        const ipcPath = '/tmp/quick-eip1193.ipc';
+        let chainId = '0x1';
+        const handlers = {
+            eth_chainId: () => chainId,
+            eth_accounts: () => chainId === '0x1' ? ['0xaa'] : ['0xbb'],
+            eth_subscribe: () => {
+                setTimeout(() => server.broadcast({ jsonrpc: '2.0', method: 'eth_subscription', params: { subscription: '0xabc', result: '0x1' } }), 10);
+                return '0xabc';
+            }
+        };
+        let server = await new MockIPCServer(ipcPath, handlers).start();
+        const provider = new IPCProvider(ipcPath, { cacheEnabled: false, retryDelay: 50, logger: quietLogger });
+        const events = [];
+        provider.on('connect', ({ chainId }) => events.push(`connect:${chainId}`));
+        provider.on('disconnect', (error) => events.push(`disconnect:${error.code}`));
+        provider.on('chainChanged', (id) => events.push(`chainChanged:${id}`));
+        provider.on('accountsChanged', (accounts) => events.push(`accountsChanged:${accounts}`));
+        const message = new Promise(resolve => provider.once('message', resolve));
+
+        await provider.request({ method: 'eth_subscribe', params: ['newHeads'] });
+        const { type, data } = await message;
+        const unsupported = await provider.request({ method: 'eth_foo' }).catch(error => error);
+
+        const reconnected = new Promise(resolve => provider.once('chainChanged', resolve));
+        await server.stop();
+        chainId = '0x2';
+        server = await new MockIPCServer(ipcPath, handlers).start();
+        await reconnected;
+        await new Promise(resolve => setTimeout(resolve, 20));
+
+        await provider.disconnect();
+        provider.cache.destroy();
+        await server.stop();
+
+        const expected = ['connect:0x1', 'disconnect:4900', 'connect:0x2', 'chainChanged:0x2', 'accountsChanged:0xbb', 'disconnect:4900'];
+        if (type === 'eth_subscription' && data.subscription === '0xabc' && unsupported.code === -32601 &&
+            events.join() === expected.join()) {
+            console.log('✅ EIP-1193 events: PASS');
+            passed++;
+        } else {
+            console.log('❌ EIP-1193 events: FAIL - Got', events.join());
+            failed++;
+        }
+    } catch (error) {
+        console.log('❌ EIP-1193 events: FAIL -', error.message);
+        failed++;
+    }
+
+    // Test 12: Typed RPC Errors
+    try {
+        const ipcPath = '/tmp/quick-errors.ipc';
+        const rpcError = (code, message, data) => Object.assign(new Error(message), { code, data });
+        const server = await new MockIPCServer(ipcPath, {
+            eth_call: () => { throw rpcError(3, 'execution reverted', '0xdeadbeef'); },
+            eth_sendRawTransaction: ([raw]) => {
+                throw rpcError(-32000, raw === '0x01' ? 'nonce too low' : 'insufficient funds for gas * price + value');
+            }
+        }).start();
+        const provider = new IPCProvider(ipcPath, { cacheEnabled: false, logger: quietLogger });
+        await provider.connect();
+
+        const reverted = await provider.request('eth_call', [{ to: '0x01' }, 'latest']).catch(error => error);
+        const nonce = await provider.request('eth_sendRawTransaction', ['0x01']).catch(error => error);
+        const funds = await provider.request('eth_sendRawTransaction', ['0x02']).catch(error => error);
+        const { errorCodes } = provider.metrics.getMetrics();
+
+        await provider.disconnect();
+        provider.cache.destroy();
+        await server.stop();
+
+        if (reverted instanceof ExecutionRevertedError && reverted.code === 3 && reverted.data === '0xdeadbeef' &&
+            reverted.method === 'eth_call' && reverted.params[1] === 'latest' && reverted.requestId &&
+            nonce instanceof NonceTooLowError && funds instanceof InsufficientFundsError &&
+            errorCodes['3'] === 1 && errorCodes['-32000'] === 2) {
+            console.log('✅ Typed RPC errors: PASS');
+            passed++;
+        } else {
+            console.log('❌ Typed RPC errors: FAIL - Error code/data were not preserved');
+            failed++;
+        }
+    } catch (error) {
+        console.log('❌ Typed RPC errors: FAIL -', error.message);
+        failed++;
+    }
+
+    // Test 13: Revert Decoding
+    try {
+        const ipcPath = '/tmp/quick-revert.ipc';
+        const word = value => BigInt(value).toString(16).padStart(64, '0');
+        const reasonHex = Buffer.from('Ownable: caller is not the owner').toString('hex');
+        const reverts = {
+            error: '0x08c379a0' + word(32) + word(reasonHex.length / 2) + reasonHex.padEnd(128, '0'),
+            panic: '0x4e487b71' + word(0x11),
+            custom: keccak256('InsufficientBalance(uint256,uint256)').slice(0, 10) + word(100) + word(42)
+        };
+        const revertError = data => Object.assign(new Error('execution reverted'), { code: 3, data });
+        const server = await new MockIPCServer(ipcPath, {
+            eth_call: ([call]) => { throw revertError(reverts[call.data]); },
+            eth_estimateGas: () => { throw revertError({ data: reverts.panic }); }
+        }).start();
+        const provider = new IPCProvider(ipcPath, {
+            cacheEnabled: false,
+            logger: quietLogger,
+            errorAbi: [{
+                type: 'error',
+                name: 'InsufficientBalance',
+                inputs: [{ name: 'needed', type: 'uint256' }, { name: 'available', type: 'uint256' }]
+            }]
+        });
+        await provider.connect();
+
+        const call = data => provider.request('eth_call', [{ to: '0x01', data }, 'latest']).catch(error => error);
+        const reason = await call('error');
+        const panic = await call('panic');
+        const custom = await call('custom');
+        const estimate = await provider.request('eth_estimateGas', [{ to: '0x01' }]).catch(error => error);
+
+        await provider.disconnect();
+        provider.cache.destroy();
+        await server.stop();
+
+        if (reason.reason === 'Ownable: caller is not the owner' &&
+            reason.message === 'execution reverted: Ownable: caller is not the owner' &&
+            panic.errorName === 'Panic' && panic.revert.panicCode === 0x11n && panic.reason === 'ARITHMETIC_OVERFLOW' &&
+            custom instanceof ExecutionRevertedError && custom.errorName === 'InsufficientBalance' &&
+            custom.errorArgs.needed === 100n &&
+            custom.message === 'execution reverted: InsufficientBalance(needed=100, available=42)' &&
+            estimate.reason === 'ARITHMETIC_OVERFLOW') {
+            console.log('✅ Revert decoding: PASS');
+            passed++;
+        } else {
+            console.log('❌ Revert decoding: FAIL - Revert data was not decoded');
+            failed++;
+        }
+    } catch (error) {
+        console.log('❌ Revert decoding: FAIL -', error.message);
+        failed++;
+    }
+
+    // Test 14: Typed Ethereum Methods
+    try {
+        const ipcPath = '/tmp/quick-typed.ipc';
+        const address = '0x742d35Cc6634C0532925a3b8D400E4C0C0C8C8C8';
+        const server = await new MockIPCServer(ipcPath, {
+            eth_blockNumber: () => '0x1b4',
+            eth_chainId: () => '0x7a69',
+            eth_getBalance: () => '0xde0b6b3a7640000',
+            eth_getTransactionCount: () => '0x7',
+            eth_estimateGas: () => '0x5208',
+            eth_call: ([call, blockTag]) => `${call.to}:${call.data}:${blockTag}`,
+            eth_feeHistory: (params) => ({ params }),
+            eth_getLogs: ([filter]) => [filter]
+        }).start();
+        const provider = new IPCProvider(ipcPath, { cacheEnabled: false, logger: quietLogger });
+        await provider.connect();
+
+        const blockNumber = await provider.getBlockNumber();
+        const chainId = await provider.chainId();
+        const balance = await provider.getBalance(address);
+        const nonce = await provider.getTransactionCount(address, 100);
+        const gas = await provider.estimateGas({ from: address, to: address, value: provider.toWei('0.1'), gas: '21000' });
+        const callResult = await provider.call(address, '0x70a08231', 'pending');
+        const fees = await provider.feeHistory(4, 'latest', [25, 75]);
+        const [mints] = await provider.getMint(address, 0);
+        const badAddress = await provider.getBalance('0x1234').catch(error => error);
+        const badPercentiles = await provider.feeHistory(4, 'latest', [75, 25]).catch(error => error);
+        const sent = server.received.flat();
+        const estimateRequest = sent.find(request => request.method === 'eth_estimateGas');
+        const sentBalances = sent.filter(request => request.method === 'eth_getBalance').length;
+
+        await provider.disconnect();
+        provider.cache.destroy();
+        await server.stop();
+
+        if (blockNumber === 436 && chainId === 31337 && balance === 10n ** 18n && nonce === 7 && gas === 21000n &&
+            estimateRequest.params[0].value === '0x16345785d8a0000' && estimateRequest.params[0].gas === '0x5208' &&
+            callResult === `${address}:0x70a08231:pending` &&
+            fees.params.join() === '0x4,latest,25,75' &&
+            mints.fromBlock === '0x0' && mints.topics[1] === '0x' + '0'.repeat(64) &&
+            badAddress instanceof InvalidParamsError && badPercentiles instanceof InvalidParamsError && sentBalances === 1 &&
+            provider.fromWei('1500000000', 'gwei') === '1.5' && provider.toWei('1.5', 'gwei') === '1500000000') {
+            console.log('✅ Typed Ethereum methods: PASS');
+            passed++;
+        } else {
+            console.log('❌ Typed Ethereum methods: FAIL - Parameters or results were not converted');
+            failed++;
+        }
+    } catch (error) {
+        console.log('❌ Typed Ethereum methods: FAIL -', error.message);
+        failed++;
+    }
+
+    // Test 15: Response Formatting
+    try {
+        const ipcPath = '/tmp/quick-format.ipc';
+        const receipt = {
+            transactionHash: '0x' + 'ab'.repeat(32),
+            blockNumber: '0x1b4',
+            transactionIndex: '0x2',
+            from: '0x5aaeb6053f3e94c9b9a09f33669435e7ef1beaed',
+            to: null,
+            contractAddress: '0xfb6916095ca1df60bb79ce92ce3ea74c37c5d359',
+            status: '0x1',
+            type: '0x3',
+            gasUsed: '0x5208',
+            effectiveGasPrice: '0x3b9aca00',
+            blobGasUsed: '0x20000',
+            logs: [{ address: '0xfb6916095ca1df60bb79ce92ce3ea74c37c5d359', logIndex: '0x0', blockNumber: '0x1b4', data: '0x01' }]
+        };
+        const server = await new MockIPCServer(ipcPath, {
+            eth_getTransactionReceipt: () => receipt,
+            eth_getBalance: () => '0x10'
+        }).start();
+        const provider = new IPCProvider(ipcPath, { cacheEnabled: false, logger: quietLogger });
+        const rawProvider = new IPCProvider(ipcPath, { cacheEnabled: false, formatResults: false, logger: quietLogger });
+        await Promise.all([provider.connect(), rawProvider.connect()]);
+
+        const formatted = await provider.getTransactionReceipt(receipt.transactionHash);
+        const raw = await rawProvider.getTransactionReceipt(receipt.transactionHash);
+        const rawBalance = await rawProvider.getBalance(receipt.from);
+
+        await Promise.all([provider.disconnect(), rawProvider.disconnect()]);
+        provider.cache.destroy();
+        rawProvider.cache.destroy();
+        await server.stop();
+
+        if (formatted.blockNumber === 436 && formatted.status === 1 && formatted.type === 3 &&
+            formatted.gasUsed === 21000n && formatted.effectiveGasPrice === 10n ** 9n && formatted.blobGasUsed === 131072n &&
+            formatted.from === '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed' && formatted.to === null &&
+            formatted.contractAddress === '0xfB6916095ca1df60bB79Ce92cE3Ea74c37c5d359' &&
+            formatted.logs[0].logIndex === 0 && formatted.logs[0].address === formatted.contractAddress &&
+            raw.gasUsed === '0x5208' && raw.from === receipt.from && rawBalance === '0x10') {
+            console.log('✅ Response formatting: PASS');
+            passed++;
+        } else {
+            console.log('❌ Response formatting: FAIL - Receipt fields were not normalized');
+            failed++;
+        }
+    } catch (error) {
+        console.log('❌ Response formatting: FAIL -', error.message);
+        failed++;
+    }
+
+    // Test 16: WebSocket Transport
+    try {
+        let generation = 1;
+        const server = await new MockWebSocketServer({
+            eth_blockNumber: () => '0x10',
+            eth_subscribe: () => {
+                setTimeout(() => server.broadcast({ jsonrpc: '2.0', method: 'eth_subscription', params: { subscription: `0xs${generation}`, result: { number: '0x11' } } }), 10);
+                return `0xs${generation}`;
+            },
+            eth_getBlockByNumber: () => ({ number: '0x10', extraData: 'x'.repeat(70000) })
+        }).start();
+        const provider = new IPCProvider(server.url, {
+            cacheEnabled: false,
+            retryDelay: 50,
+            pingInterval: 50,
+            pongTimeout: 50,
+            logger: quietLogger
+        });
+        await provider.connect();
+
+        const blockNumber = await provider.getBlockNumber();
+        const largeBlock = await provider.getBlockByNumber('latest');
+        const subscription = await provider.subscribeNewHeads();
+        const head = await new Promise(resolve => subscription.once('data', resolve));
+
+        // A server that stops answering pings is dropped and reconnected
+        await new Promise(resolve => setTimeout(resolve, 120));
+        const pongs = server.pings;
+        server.respondToPings = false;
+        generation = 2;
+        const resubscribed = new Promise(resolve => provider.once('resubscribed', resolve));
+        const mapping = await resubscribed;
+        server.respondToPings = true;
+        const afterReconnect = await provider.getBlockNumber();
+
+        // A connection destroyed before its handshake starts never reaches the server
+        let upgrades = 0;
+        server.server.on('upgrade', () => upgrades++);
+        new WebSocketConnection(server.url).destroy();
+        await new Promise(resolve => setTimeout(resolve, 30));
+
+        await provider.disconnect();
+        provider.cache.destroy();
+        await server.stop();
+
+        let unsupported = null;
+        try {
+            new IPCProvider('ftp://127.0.0.1', { logger: quietLogger });
+        } catch (error) {
+            unsupported = error;
+        }
+
+        if (provider.connection.transport.name === 'WebSocket' && blockNumber === 16 &&
+            largeBlock.extraData.length === 70000 && head.number === '0x11' && pongs >= 1 &&
+            mapping.subscriptions['0xs1'] === '0xs2' && afterReconnect === 16 && upgrades === 0 &&
+            /Unsupported transport scheme/.test(unsupported?.message)) {
+            console.log('✅ WebSocket transport: PASS');
+            passed++;
+        } else {
+            console.log('❌ WebSocket transport: FAIL - Requests or keepalive did not work over WebSocket');
+            failed++;
+        }
+    } catch (error) {
+        console.log('❌ WebSocket transport: FAIL -', error.message);
+        failed++;
+    }
+
+    // Test 17: HTTP Transport
+    try {
+        const blockHash = '0x' + 'cd'.repeat(32);
+        let changes = [blockHash];
+        const server = await new MockHTTPServer({
+            eth_chainId: () => '0x1',
+            eth_blockNumber: () => '0x20',
+            eth_getBalance: () => '0x5',
+            eth_newBlockFilter: () => '0xf1',
+            eth_getFilterChanges: () => {
+                const result = changes;
+                changes = [];
+                return result;
+            },
+            eth_getBlockByHash: ([hash]) => ({ hash, number: '0x21' }),
+            eth_uninstallFilter: () => true
+        }).start();
+        const provider = new IPCProvider(server.url, {
+            cacheEnabled: false,
+            pollingInterval: 20,
+            logger: quietLogger
+        });
+        await provider.connect();
+
+        const [blockNumber, balance] = await Promise.all([
+            provider.getBlockNumber(),
+            provider.getBalance('0x742d35Cc6634C0532925a3b8D400E4C0C0C8C8C8')
+        ]);
+        const batched = server.received.some(message => Array.isArray(message) && message.length >= 2);
+
+        const subscription = await provider.subscribeNewHeads();
+        const head = await new Promise(resolve => subscription.once('data', resolve));
+        await subscription.unsubscribe();
+        const uninstalled = server.received.flat().some(message => message.method === 'eth_uninstallFilter');
+
+        server.status = 429;
+        server.headers = { 'Retry-After': '2' };
+        const limited = await provider.request('eth_blockNumber').catch(error => error);
+        server.status = 503;
+        server.headers = {};
+        const unavailable = await provider.request('eth_blockNumber').catch(error => error);
+        const { posts, connections } = server;
+
+        await provider.disconnect();
+        provider.cache.destroy();
+        await server.stop();
+
+        if (provider.connection.transport.name === 'HTTP' && blockNumber === 32 && balance === 5n && batched &&
+            head.hash === blockHash && head.number === '0x21' && uninstalled && !subscription.active &&
+            limited instanceof RateLimitError && limited.data.retryAfter === 2 &&
+            unavailable instanceof ServiceUnavailableError && connections < posts) {
+            console.log('✅ HTTP transport: PASS');
+            passed++;
+        } else {
+            console.log('❌ HTTP transport: FAIL - Requests, polling or HTTP errors were not handled');
+            failed++;
+        }
+    } catch (error) {
+        console.log('❌ HTTP transport: FAIL -', error.message);
+        failed++;
+    }
+
+    // Test 18: Fallback Provider
+    try {
+        const laggingServer = await new MockIPCServer('/tmp/quick-fallback-a.ipc', {
+            eth_chainId: () => '0x1',
+            eth_blockNumber: () => '0x10',
+            eth_getBalance: () => '0xa'
+        }).start();
+        const headServer = await new MockIPCServer('/tmp/quick-fallback-b.ipc', {
+            eth_chainId: () => '0x1',
+            eth_blockNumber: () => '0x20',
+            eth_getBalance: () => '0xb',
+            eth_call: () => { throw { code: 3, message: 'execution reverted' }; }
+        }).start();
+        const provider = new FallbackProvider(['/tmp/quick-fallback-a.ipc', '/tmp/quick-fallback-b.ipc'], {
+            cacheEnabled: false,
+            maxRetries: 1,
+            retryDelay: 20,
+            healthCheckInterval: 60000,
+            logger: quietLogger
+        });
+        const failovers = [];
+        provider.on('failover', event => failovers.push(event));
+        const healthTimerKeepsAlive = provider.healthTimer.hasRef();
+        await provider.connect();
+
+        const initial = provider.getStatus();
+        const fromHead = await provider.request('eth_getBalance', ['0x01', 'latest']);
+        const reverted = await provider.request('eth_call', [{ to: '0x01' }, 'latest']).catch(error => error);
+
+        await headServer.stop();
+        await new Promise(resolve => setTimeout(resolve, 20));
+        const afterFailover = await provider.request('eth_getBalance', ['0x01', 'latest']);
+        const status = provider.getStatus();
+
+        await provider.disconnect();
+        await laggingServer.stop();
+
+        const [lagging, head] = initial.endpoints;
+        if (lagging.blockLag === 16 && !lagging.healthy && head.healthy && head.blockNumber === 32 && !healthTimerKeepsAlive &&
+            fromHead === '0xb' && reverted instanceof ExecutionRevertedError &&
+            afterFailover === '0xa' && status.active === '/tmp/quick-fallback-a.ipc' &&
+            !status.endpoints[1].healthy && status.endpoints[1].lastError &&
+            failovers.some(event => event.from === '/tmp/quick-fallback-b.ipc' && event.to === '/tmp/quick-fallback-a.ipc')) {
+            console.log('✅ Fallback provider: PASS');
+            passed++;
+        } else {
+            console.log('❌ Fallback provider: FAIL - Requests were not routed to the healthy endpoint');
+            failed++;
+        }
+    } catch (error) {
+        console.log('❌ Fallback provider: FAIL -', error.message);
+        failed++;
+    }
+
+    // Test 19: Quorum Reads
+    try {
+        const receipt = (status) => ({ status, logs: [{ logIndex: '0x0', data: '0x' }], blockNumber: '0x10' });
+        const servers = await Promise.all(['0x1', '0x1', '0x0'].map((status, i) => new MockIPCServer(`/tmp/quick-quorum-${i}.ipc`, {
+            eth_chainId: () => '0x1',
+            eth_blockNumber: () => '0x10',
+            // Same receipt with keys in a different order on the second node
+            eth_getTransactionReceipt: () => i === 1 ? { blockNumber: '0x10', logs: receipt(status).logs, status } : receipt(status),
+            eth_getBalance: () => `0x${i + 1}`
+        }).start()));
+        const provider = new FallbackProvider(servers.map(server => server.ipcPath), {
+            cacheEnabled: false,
+            quorumMethods: ['eth_getTransactionReceipt'],
+            healthCheckInterval: 60000,
+            logger: quietLogger
+        });
+        const divergences = [];
+        provider.on('divergence', event => divergences.push(event));
+        await provider.connect();
+
+        const agreed = await provider.request('eth_getTransactionReceipt', ['0x' + 'ab'.repeat(32)]);
+        await new Promise(resolve => setTimeout(resolve, 20));
+        const noQuorum = await provider.quorumRequest('eth_getBalance', ['0x01', '0x10']).catch(error => error);
+        const status = provider.getStatus();
+        const dissenter = provider.endpoints[2].provider.metrics.getMetrics().quorum;
+
+        await provider.disconnect();
+        await Promise.all(servers.map(server => server.stop()));
+
+        if (agreed.status === '0x1' && divergences.length === 1 && divergences[0].url === '/tmp/quick-quorum-2.ipc' &&
+            divergences[0].expected.status === '0x1' && status.endpoints[2].divergences === 1 && dissenter.divergences === 1 &&
+            noQuorum instanceof QuorumError && noQuorum.quorum === 2 && noQuorum.responses.length === 3 &&
+            noQuorum.responses.map(response => response.result).sort().join() === '0x1,0x2,0x3') {
+            console.log('✅ Quorum reads: PASS');
+            passed++;
+        } else {
+            console.log('❌ Quorum reads: FAIL - Results were not compared across endpoints');
+            failed++;
+        }
+    } catch (error) {
+        console.log('❌ Quorum reads: FAIL -', error.message);
+        failed++;
+    }
+
+    // Test 20: AbortSignal Cancellation
+    try {
+        const ipcPath = '/tmp/quick-abort.ipc';
+        const server = await new MockIPCServer(ipcPath, {
+            eth_chainId: () => '0x1',
+            eth_getCode: () => new Promise(resolve => setTimeout(() => resolve('0x60'), 50)),
+            eth_getStorageAt: () => '0x0'
+        }).start();
+        const single = new IPCProvider(ipcPath, { cacheEnabled: false, batchRequests: false, logger: quietLogger });
+        const batched = new IPCProvider(ipcPath, { cacheEnabled: false, batchTimeout: 50, logger: quietLogger });
+        await Promise.all([single.connect(), batched.connect()]);
+
+        // In flight: the pending entry goes away and the late response is ignored
+        const inflight = new AbortController();
+        const code = single.request('eth_getCode', ['0x01', 'latest'], { signal: inflight.signal }).catch(error => error);
+        setTimeout(() => inflight.abort(), 10);
+        const inflightError = await code;
+        const pendingAfterAbort = single.pendingRequests.size;
+        await new Promise(resolve => setTimeout(resolve, 80));
+
+        // Queued in the batch processor: dropped before it is sent
+        const queued = new AbortController();
+        const storage = batched.request({ method: 'eth_getStorageAt', params: ['0x01', '0x0', 'latest'] }, { signal: queued.signal }).catch(error => error);
+        queued.abort();
+        const queuedError = await storage;
+        await new Promise(resolve => setTimeout(resolve, 80));
+        const storageSent = server.received.flat().some(message => message.method === 'eth_getStorageAt');
+
+        const preAborted = await single.request('eth_getCode', ['0x02', 'latest'], { signal: AbortSignal.abort() }).catch(error => error);
+        const { requests: { aborted }, errorCodes } = single.metrics.getMetrics();
+
+        await Promise.all([single.disconnect(), batched.disconnect()]);
+        single.cache.destroy();
+        batched.cache.destroy();
+        await server.stop();
+
+        if (inflightError instanceof AbortError && inflightError.method === 'eth_getCode' && pendingAfterAbort === 0 &&
+            single.pendingRequests.size === 0 && queuedError instanceof AbortError && !storageSent &&
+            batched.batchProcessor.getTotalQueueSize() === 0 && preAborted instanceof AbortError &&
+            aborted === 1 && !('ABORTED' in errorCodes)) {
+            console.log('✅ AbortSignal cancellation: PASS');
+            passed++;
+        } else {
+            console.log('❌ AbortSignal cancellation: FAIL - Aborted requests were not cleaned up');
+            failed++;
+        }
+    } catch (error) {
+        console.log('❌ AbortSignal cancellation: FAIL -', error.message);
+        failed++;
+    }
+
+    // Test 21: Per-request Options
+    try {
+        const ipcPath = '/tmp/quick-options.ipc';
+        const server = await new MockIPCServer(ipcPath, {
+            eth_chainId: () => '0x1',
+            eth_blockNumber: () => '0x10',
+            eth_getBalance: () => '0x64',
+            eth_getLogs: () => [],
+            eth_getCode: () => new Promise(resolve => setTimeout(() => resolve('0x60'), 80)),
+            eth_getStorageAt: () => '0x0'
+        }).start();
+        const provider = new IPCProvider(ipcPath, { batchTimeout: 30, logger: quietLogger });
+        await provider.connect();
+        await new Promise(resolve => setTimeout(resolve, 50));
+        const sent = (method) => server.received.flat().filter(message => message.method === method);
+
+        const timeoutError = await provider.request('eth_getCode', ['0x01', 'latest'], { timeout: 20 }).catch(error => error);
+
+        // Queued in the same batch window: the high-priority item goes first
+        await Promise.all([
+            provider.request('eth_getStorageAt', ['0x01', '0x0', 'latest'], { priority: 'low' }),
+            provider.request('eth_getBalance', ['0x0000000000000000000000000000000000000001', 'latest'], { priority: 'high' })
+        ]);
+        const batch = server.received.find(message => Array.isArray(message) && message.some(item => item.method === 'eth_getStorageAt'));
+
+        // A high-priority duplicate of a queued low-priority request is not merged into it
+        const batchPriorities = [];
+        provider.batchProcessor.on('batchReady', ({ items }) => batchPriorities.push(
+            items.filter(item => item.method === 'eth_getBalance').map(item => item.priority)
+        ));
+        await Promise.all([
+            provider.request('eth_getBalance', ['0x0000000000000000000000000000000000000003', 'latest'], { priority: 'low' }),
+            provider.request('eth_getBalance', ['0x0000000000000000000000000000000000000003', 'latest'], { priority: 'high' })
+        ]);
+
+        const filter = { address: '0x0000000000000000000000000000000000000001' };
+        await provider.request('eth_getLogs', [filter], { cache: 60000 });
+        await provider.request('eth_getLogs', [filter], { cache: 60000 });
+        await provider.request('eth_blockNumber', [], { cache: false });
+        await provider.request('eth_blockNumber', [], { cache: false });
+        const cacheMiss = await provider.request('eth_gasPrice', [], { cache: 'only' }).catch(error => error);
+        const cached = await provider.request('eth_getLogs', [filter], { cache: 'only' });
+
+        await provider.request('eth_getBalance', ['0x0000000000000000000000000000000000000002'], { blockTag: 16 });
+        await provider.request('eth_getLogs', [{ ...filter, fromBlock: 'earliest' }], { blockTag: { blockHash: '0x' + 'ab'.repeat(32) } });
+        const pinError = await provider.request('eth_chainId', [], { blockTag: 'latest' }).catch(error => error);
+        const optionError = await provider.request('eth_chainId', [], { priority: 'urgent' }).catch(error => error);
+
+        const { requestOptions } = provider.metrics.getMetrics();
+        const pinnedBalance = sent('eth_getBalance').find(message => message.params[0].endsWith('2'));
+        const pinnedLogs = sent('eth_getLogs').find(message => message.params[0].blockHash);
+
+        await provider.disconnect();
+        provider.cache.destroy();
+        await server.stop();
+
+        if (timeoutError instanceof TimeoutError && timeoutError.timeout === 20 &&
+            batch && batch[0].method === 'eth_getBalance' && batchPriorities[0]?.join() === 'high,low' &&
+            sent('eth_getLogs').length === 2 && sent('eth_blockNumber').length === 2 &&
+            cacheMiss instanceof CacheMissError && sent('eth_gasPrice').length === 0 && Array.isArray(cached) &&
+            pinnedBalance?.params[1] === '0x10' && pinnedLogs && pinnedLogs.params[0].fromBlock === undefined &&
+            pinError instanceof InvalidParamsError && optionError instanceof InvalidParamsError && optionError.code === -32602 && /invalid priority/.test(optionError.message) &&
+            requestOptions.priority.high === 2 && requestOptions.priority.low === 2 && requestOptions.cacheTtl === 2 &&
+            requestOptions.cacheBypass === 2 && requestOptions.cacheOnly === 2 && requestOptions.blockTag === 2 &&
+            requestOptions.timeout === 1) {
+            console.log('✅ Per-request options: PASS');
+            passed++;
+        } else {
+            console.log('❌ Per-request options: FAIL - Options were not applied');
+            failed++;
+        }
+    } catch (error) {
+        console.log('❌ Per-request options: FAIL -', error.message);
+        failed++;
+    }
+
+    // Test 22: Retry Policy
+    try {
+        const ipcPath = '/tmp/quick-retry.ipc';
+        let balanceCalls = 0;
+        const server = await new MockIPCServer(ipcPath, {
+            eth_chainId: () => '0x1',
+            eth_getBalance: () => {
+                if (++balanceCalls < 3) throw { code: -32000, message: 'header not found' };
+                return '0x64';
+            },
+            eth_sendRawTransaction: () => { throw { code: -32000, message: 'header not found' }; },
+            eth_sendTransaction: () => { throw { code: -32000, message: 'header not found' }; },
+            eth_call: () => { throw { code: 3, message: 'execution reverted' }; }
+        }).start();
+        const provider = new IPCProvider(ipcPath, {
+            cacheEnabled: false,
+            batchRequests: false,
+            logger: quietLogger,
+            retry: { baseDelay: 5, methods: { eth_sendTransaction: { maxAttempts: 2, retryNonIdempotent: true } } }
+        });
+        await provider.connect();
+        const retryEvents = [];
+        provider.on('retry', event => retryEvents.push(event));
+        const sent = (method) => server.received.filter(message => message.method === method).length;
+
+        const balance = await provider.request('eth_getBalance', ['0x0000000000000000000000000000000000000001', 'latest']);
+        const rawError = await provider.request('eth_sendRawTransaction', ['0x02']).catch(error => error);
+        const sendError = await provider.request('eth_sendTransaction', [{}]).catch(error => error);
+        const revertError = await provider.request('eth_call', [{ to: '0x0000000000000000000000000000000000000001' }, 'latest']).catch(error => error);
+        const { requests: { retries } } = provider.metrics.getMetrics();
+
+        await provider.disconnect();
+        provider.cache.destroy();
+        await server.stop();
+
+        if (balance === '0x64' && sent('eth_getBalance') === 3 &&
+            /header not found/.test(rawError.message) && sent('eth_sendRawTransaction') === 1 &&
+            /header not found/.test(sendError.message) && sent('eth_sendTransaction') === 2 &&
+            revertError instanceof ExecutionRevertedError && sent('eth_call') === 1 &&
+            retries === 3 && retryEvents.length === 3 && retryEvents[1].attempt === 2) {
+            console.log('✅ Retry policy: PASS');
+            passed++;
+        } else {
+            console.log('❌ Retry policy: FAIL - Transient failures were not retried as configured');
+            failed++;
+        }
+    } catch (error) {
+        console.log('❌ Retry policy: FAIL -', error.message);
+        failed++;
+    }
+
+    // Test 23: Circuit Breaker
+    try {
+        const ipcPath = '/tmp/quick-circuit.ipc';
+        const server = await new MockIPCServer(ipcPath, {
+            eth_chainId: () => '0x1',
+            eth_blockNumber: () => '0x10',
+            eth_getCode: () => new Promise(() => {}), // wedged
+            web3_clientVersion: () => 'Geth/v1.14.0'
+        }).start();
+        const provider = new IPCProvider(ipcPath, {
+            cacheEnabled: false,
+            batchRequests: false,
+            retry: false,
+            circuitBreaker: { failureThreshold: 2, resetTimeout: 100 },
+            logger: quietLogger
+        });
+        await provider.connect();
+        const changes = [];
+        provider.on('circuitStateChange', change => changes.push(`${change.from}->${change.to}`));
+
+        const timeouts = await Promise.all([1, 2].map(i =>
+            provider.request('eth_getCode', [`0x0${i}`, 'latest'], { timeout: 20 }).catch(error => error)));
+        const openStatus = provider.connection.getStatus().circuit;
+        const fastFail = await provider.request('eth_blockNumber').catch(error => error);
+        const blockNumberSentWhileOpen = server.received.some(message => message.method === 'eth_blockNumber');
+
+        await new Promise(resolve => setTimeout(resolve, 200));
+        const probed = server.received.some(message => message.method === 'web3_clientVersion');
+        const blockNumber = await provider.request('eth_blockNumber');
+        const closedStatus = provider.connection.getStatus().circuit;
+
+        await provider.disconnect();
+        provider.cache.destroy();
+        await server.stop();
+
+        if (timeouts.every(error => error instanceof TimeoutError) && openStatus.state === 'open' &&
+            fastFail instanceof CircuitOpenError && fastFail.method === 'eth_blockNumber' && !blockNumberSentWhileOpen &&
+            probed && blockNumber === '0x10' && closedStatus.state === 'closed' && closedStatus.rejected === 1 &&
+            changes.join(',') === 'closed->open,open->half-open,half-open->closed') {
+            console.log('✅ Circuit breaker: PASS');
+            passed++;
+        } else {
+            console.log('❌ Circuit breaker: FAIL - Circuit did not open, fail fast and recover');
+            failed++;
+        }
+    } catch (error) {
+        console.log('❌ Circuit breaker: FAIL -', error.message);
+        failed++;
+    }
+
+    // Test 24: Rate Limiting and Concurrency Caps
+    try {
+        const ipcPath = '/tmp/quick-ratelimit.ipc';
+        let logsInFlight = 0;
+        let maxLogsInFlight = 0;
+        const server = await new MockIPCServer(ipcPath, {
+            eth_chainId: () => '0x1',
+            eth_blockNumber: () => '0x10',
+            eth_getLogs: async () => {
+                maxLogsInFlight = Math.max(maxLogsInFlight, ++logsInFlight);
+                await new Promise(resolve => setTimeout(resolve, 20));
+                logsInFlight--;
+                return [];
+            },
+            eth_getBalance: () => '0x1'
+        }).start();
+        const provider = new IPCProvider(ipcPath, {
+            cacheEnabled: false,
+            batchRequests: false,
+            logger: quietLogger,
+            rateLimit: { methods: { eth_getLogs: { maxConcurrent: 2 }, eth_getBalance: { requestsPerSecond: 20, burst: 1 } } }
+        });
+        await provider.connect();
+
+        // Six eth_getLogs through a cap of two; the high-priority one jumps the queue
+        const order = [];
+        const logs = [0, 1, 2, 3, 4].map(i => provider.request('eth_getLogs', [{ fromBlock: `0x${i}` }]).then(() => order.push(i)));
+        const urgent = provider.request('eth_getLogs', [{ fromBlock: '0x9' }], { priority: 'high' }).then(() => order.push(9));
+        const blockNumber = await provider.request('eth_blockNumber'); // not limited
+        await Promise.all([...logs, urgent]);
+
+        // One token per 50ms: the second balance waits, the third times out in the queue
+        const started = Date.now();
+        await provider.request('eth_getBalance', ['0x0000000000000000000000000000000000000001', 'latest']);
+        await provider.request('eth_getBalance', ['0x0000000000000000000000000000000000000002', 'latest']);
+        const throttled = Date.now() - started;
+        const queueTimeout = await provider.request('eth_getBalance', ['0x0000000000000000000000000000000000000003', 'latest'], { timeout: 10 }).catch(error => error);
+        const balancesSent = server.received.filter(message => message.method === 'eth_getBalance').length;
+
+        const { rateLimit } = provider.metrics.getMetrics();
+        await provider.disconnect();
+        provider.cache.destroy();
+        await server.stop();
+
+        if (blockNumber === '0x10' && maxLogsInFlight === 2 && order.indexOf(9) < order.indexOf(2) &&
+            throttled >= 40 && queueTimeout instanceof TimeoutError && queueTimeout.queued && balancesSent === 2 &&
+            rateLimit.maxQueueDepth >= 4 && rateLimit.queued >= 5 && rateLimit.maxWaitTime > 0 &&
+            rateLimit.queueTimeouts === 1 && rateLimit.queueDepth === 0) {
+            console.log('✅ Rate limiting and concurrency caps: PASS');
+            passed++;
+        } else {
+            console.log('❌ Rate limiting and concurrency caps: FAIL - Limits were not enforced');
+            failed++;
+        }
+    } catch (error) {
+        console.log('❌ Rate limiting and concurrency caps: FAIL -', error.message);
+        failed++;
+    }
+
+    // Test 25: Write Backpressure
+    try {
+        const ipcPath = '/tmp/quick-backpressure.ipc';
+        const server = await new MockIPCServer(ipcPath, {
+            eth_chainId: () => '0x1',
+            eth_call: () => '0x01'
+        }).start();
+        const provider = new IPCProvider(ipcPath, {
+            cacheEnabled: false,
+            batchRequests: false,
+            retry: false,
+            writableHighWaterMark: 16 * 1024,
+            maxBufferedBytes: 512 * 1024,
+            logger: quietLogger
+        });
+        await provider.connect();
+        await new Promise(resolve => setTimeout(resolve, 20));
+
+        // The node stops reading: 1.2MB of eth_call payloads back up on the client
+        for (const socket of server.sockets) socket.pause();
+        const data = '0x' + 'ab'.repeat(50 * 1024);
+        const calls = Array.from({ length: 12 }, (_, i) =>
+            provider.request('eth_call', [{ to: '0x0000000000000000000000000000000000000001', data, nonce: i }, 'latest']).catch(error => error));
+        await new Promise(resolve => setTimeout(resolve, 20));
+        const saturated = provider.connection.getStatus();
+
+        for (const socket of server.sockets) socket.resume();
+        const results = await Promise.all(calls);
+        const drained = provider.connection.getStatus();
+        const { connection } = provider.metrics.getMetrics();
+
+        await provider.disconnect();
+        provider.cache.destroy();
+        await server.stop();
+
+        const answered = results.filter(result => result === '0x01').length;
+        const refused = results.filter(result => result instanceof WriteBufferFullError && result.code === 'WRITE_BUFFER_FULL').length;
+        if (saturated.saturated && saturated.queuedWrites > 0 && saturated.bufferedBytes > 0 &&
+            saturated.bufferedBytes <= 512 * 1024 && refused > 0 && answered + refused === 12 &&
+            !drained.saturated && drained.queuedWrites === 0 &&
+            connection.backpressureEvents >= 1 && connection.peakBufferedBytes >= saturated.bufferedBytes) {
+            console.log('✅ Write backpressure: PASS');
+            passed++;
+        } else {
+            console.log('❌ Write backpressure: FAIL - Writes were not held back while the socket was saturated');
+            failed++;
+        }
+    } catch (error) {
+        console.log('❌ Write backpressure: FAIL -', error.message);
+        failed++;
+    }
+
+    // Test 26: Block-aware Cache Invalidation
+    try {
+        const ipcPath = '/tmp/quick-block-cache.ipc';
+        const blockHash = '0x' + 'cd'.repeat(32);
+        const server = await new MockIPCServer(ipcPath, {
+            eth_chainId: () => '0x1',
+            eth_subscribe: () => '0xheads',
+            eth_getBalance: () => '0x64',
+            eth_getBlockByHash: () => ({ number: '0x5', hash: blockHash }),
+            eth_getBlockByNumber: () => null
+        }).start();
+        const provider = new IPCProvider(ipcPath, { cacheTTL: 100, batchRequests: false, logger: quietLogger });
+        let messages = 0;
+        provider.on('message', () => messages++);
+        await provider.connect();
+        await new Promise(resolve => setTimeout(resolve, 20)); // tracker fetches the head and subscribes on connect
+        const sent = (method) => server.received.filter(message => message.method === method).length;
+        const account = '0x0000000000000000000000000000000000000001';
+        const newHead = (number) => server.broadcast({
+            jsonrpc: '2.0', method: 'eth_subscription',
+            params: { subscription: '0xheads', result: { number, hash: '0x' + number.slice(2).padStart(64, '0'), parentHash: '0x' + (Number(number) - 1).toString(16).padStart(64, '0') } }
+        });
+
+        await provider.request('eth_getBalance', [account, 'latest']);
+        await provider.request('eth_getBalance', [account, 'latest']);
+        const balanceBeforeHead = sent('eth_getBalance');
+
+        newHead('0x100');
+        await new Promise(resolve => setTimeout(resolve, 20));
+        await provider.request('eth_getBalance', [account, 'latest']);
+        const balanceAfterHead = sent('eth_getBalance');
+        const headFromTracker = await provider.request('eth_blockNumber', []);
+
+        // Pinned to a block hash or a final block number: kept past the TTL
+        await provider.request('eth_getBlockByHash', [blockHash, false]);
+        await provider.request('eth_getBalance', [account, '0x1']);
+        await provider.request('eth_getBlockByNumber', ['0x2', false]);
+        newHead('0x101');
+        await new Promise(resolve => setTimeout(resolve, 150));
+        await provider.request('eth_getBlockByHash', [blockHash, false]);
+        await provider.request('eth_getBalance', [account, '0x1']);
+        await provider.request('eth_getBlockByNumber', ['0x2', false]);
+
+        // The tracker's subscription is not one of the user's
+        const { blockTracker, cache, subscriptions } = provider.getStats();
+        await provider.disconnect();
+        provider.cache.destroy();
+        await server.stop();
+
+        if (balanceBeforeHead === 1 && balanceAfterHead === 2 && headFromTracker === '0x100' &&
+            sent('eth_blockNumber') === 0 && sent('eth_subscribe') === 1 &&
+            subscriptions === 0 && messages === 0 &&
+            sent('eth_getBlockByHash') === 1 && sent('eth_getBalance') === 3 &&
+            sent('eth_getBlockByNumber') === 3 && // the tracker's first head; null results are not kept
+            blockTracker.mode === 'subscription' && blockTracker.blockNumber === 0x101 && cache.invalidations >= 2) {
+            console.log('✅ Block-aware cache invalidation: PASS');
+            passed++;
+        } else {
+            console.log('❌ Block-aware cache invalidation: FAIL - Cache entries did not follow the chain head');
+            failed++;
+        }
+    } catch (error) {
+        console.log('❌ Block-aware cache invalidation: FAIL -', error.message);
+        failed++;
+    }
+
+    // Test 27: Per-method Cache Policies
+    try {
+        const ipcPath = '/tmp/quick-cache-policy.ipc';
+        let mined = false;
+        const server = await new MockIPCServer(ipcPath, {
+            eth_chainId: () => '0x1',
+            eth_getTransactionReceipt: () => (mined ? { status: '0x1', blockNumber: '0x10' } : null),
+            eth_call: () => '0x',
+            eth_getLogs: () => [],
+            eth_getBalance: () => '0x64'
+        }).start();
+        const provider = new IPCProvider(ipcPath, {
+            cacheTTL: 30,
+            batchRequests: false,
+            blockTracker: false,
+            cachePolicies: { eth_call: false, eth_getLogs: 'forever' },
+            logger: quietLogger
+        });
+        await provider.connect();
+        await new Promise(resolve => setTimeout(resolve, 20));
+        const sent = (method) => server.received.filter(message => message.method === method).length;
+        const txHash = '0x' + 'ab'.repeat(32);
+
+        // A null receipt (pending transaction) is asked for again, a mined one is kept
+        await provider.request('eth_getTransactionReceipt', [txHash]);
+        await provider.request('eth_getTransactionReceipt', [txHash]);
+        mined = true;
+        await provider.request('eth_getTransactionReceipt', [txHash]);
+        await provider.request('eth_getTransactionReceipt', [txHash]);
+
+        await provider.request('eth_call', [{ to: '0x0000000000000000000000000000000000000001' }, 'latest']);
+        await provider.request('eth_call', [{ to: '0x0000000000000000000000000000000000000001' }, 'latest']);
+        await provider.request('eth_getLogs', [{ fromBlock: '0x1', toBlock: '0x1' }]);
+        await provider.request('eth_getLogs', [{ fromBlock: '0x1', toBlock: '0x1' }]);
+
+        provider.cachePolicy.set('eth_getBalance', 'never');
+        await provider.request('eth_getBalance', ['0x0000000000000000000000000000000000000001', 'latest']);
+        await provider.request('eth_getBalance', ['0x0000000000000000000000000000000000000001', 'latest']);
+
+        // eth_chainId outlives cacheTTL for the connection's lifetime
+        await new Promise(resolve => setTimeout(resolve, 60));
+        const chainId = await provider.request('eth_chainId', []);
+
+        let invalidPolicy = null;
+        try {
+            provider.cachePolicy.set('eth_gasPrice', 'sometimes');
+        } catch (error) {
+            invalidPolicy = error;
+        }
+
+        await provider.disconnect();
+        provider.cache.destroy();
+        await server.stop();
+
+        if (sent('eth_getTransactionReceipt') === 3 && sent('eth_call') === 2 && sent('eth_getLogs') === 1 &&
+            sent('eth_getBalance') === 2 && chainId === '0x1' && sent('eth_chainId') === 1 &&
+            invalidPolicy instanceof TypeError && provider.cachePolicy.get('eth_gasPrice').strategy === 'block') {
+            console.log('✅ Cache policies: PASS');
+            passed++;
+        } else {
+            console.log('❌ Cache policies: FAIL - Results were not cached according to their policies');
+            failed++;
+        }
+    } catch (error) {
+        console.log('❌ Cache policies: FAIL -', error.message);
+        failed++;
+    }
+
+    // Test 28: Reorg-safe Caching
+    try {
+        const ipcPath = '/tmp/quick-reorg.ipc';
+        const hash = (label) => '0x' + label.repeat(32);
+        const [A, B, C, D, B2, C2, D2, E2] = ['a1', 'b1', 'c1', 'd1', 'b2', 'c2', 'd2', 'e2'].map(hash);
+        const blocks = {
+            [B2]: { number: '0x11', hash: B2, parentHash: A },
+            [C2]: { number: '0x12', hash: C2, parentHash: B2 },
+            [D2]: { number: '0x13', hash: D2, parentHash: C2 }
+        };
+        const server = await new MockIPCServer(ipcPath, {
+            eth_chainId: () => '0x1',
+            eth_subscribe: () => '0xheads',
+            eth_getBalance: () => '0x64',
+            eth_getTransactionReceipt: () => ({ status: '0x1', blockNumber: '0x11', blockHash: B }),
+            eth_feeHistory: () => ({ oldestBlock: '0x10', baseFeePerGas: ['0x1', '0x1', '0x1'], gasUsedRatio: [0.5, 0.5] }),
+            eth_getBlockByHash: ([blockHash]) => blocks[blockHash] ?? null
+        }).start();
+        const provider = new IPCProvider(ipcPath, { batchRequests: false, logger: quietLogger });
+        await provider.connect();
+        await new Promise(resolve => setTimeout(resolve, 20));
+        const sent = (method, param) => server.received.filter(message => message.method === method &&
+            (param === undefined || message.params.includes(param))).length;
+        const newHead = (number, hash, parentHash) => server.broadcast({
+            jsonrpc: '2.0', method: 'eth_subscription',
+            params: { subscription: '0xheads', result: { number, hash, parentHash } }
+        });
+        const account = '0x0000000000000000000000000000000000000001';
+        const reorgs = [];
+        provider.on('reorg', reorg => reorgs.push(reorg));
+
+        await provider.request('eth_getBalance', [account, 'latest']); // starts the tracker
+        await new Promise(resolve => setTimeout(resolve, 20));
+        newHead('0x10', A, hash('90'));
+        newHead('0x11', B, A);
+        newHead('0x12', C, B);
+        await new Promise(resolve => setTimeout(resolve, 20));
+
+        await provider.request('eth_getBalance', [account, '0x10']);
+        await provider.request('eth_getBalance', [account, '0x11']);
+        await provider.request('eth_getTransactionReceipt', [hash('ee')]);
+        await provider.request('eth_feeHistory', ['0x2', '0x11', []]);
+
+        // A regular head keeps entries pinned to known blocks; a fee history range is not pinned to one
+        newHead('0x13', D, C);
+        await new Promise(resolve => setTimeout(resolve, 20));
+        await provider.request('eth_getBalance', [account, '0x11']);
+        await provider.request('eth_feeHistory', ['0x2', '0x11', []]);
+        const pinnedAfterHead = sent('eth_getBalance', '0x11');
+        const rangeAfterHead = sent('eth_feeHistory');
+
+        // Blocks 0x11 to 0x13 are replaced by a longer chain
+        newHead('0x14', E2, D2);
+        await new Promise(resolve => setTimeout(resolve, 30));
+
+        await provider.request('eth_getBalance', [account, '0x10']);
+        await provider.request('eth_getBalance', [account, '0x11']);
+        await provider.request('eth_getTransactionReceipt', [hash('ee')]);
+
+        const { blockTracker } = provider.getStats();
+        await provider.disconnect();
+        provider.cache.destroy();
+        await server.stop();
+
+        const [reorg] = reorgs;
+        if (reorgs.length === 1 && reorg.depth === 3 && [B, C, D].every(orphan => reorg.orphanedHashes.includes(orphan)) &&
+            reorg.blockNumber === 0x14 && reorg.blockHash === E2 && pinnedAfterHead === 1 && rangeAfterHead === 2 &&
+            sent('eth_getBalance', '0x10') === 1 && sent('eth_getBalance', '0x11') === 2 &&
+            sent('eth_getTransactionReceipt') === 2 && sent('eth_getBlockByHash') === 3 &&
+            blockTracker.reorgs === 1 && blockTracker.blockHash === E2) {
+            console.log('✅ Reorg-safe caching: PASS');
+            passed++;
+        } else {
+            console.log('❌ Reorg-safe caching: FAIL - Entries from orphaned blocks were not evicted');
+            failed++;
+        }
+    } catch (error) {
+        console.log('❌ Reorg-safe caching: FAIL -', error.message);
+        failed++;
+    }
+
+    // Test 29: LRU Order and Byte Budget
+    try {
+        const { CacheManager } = await import('../src/cache-manager.js');
+        const cache = new CacheManager({ maxSize: 3, maxBytes: 400, logger: quietLogger });
+
+        // Count limit: reading 'a' makes 'b' the least recently used entry
+        const value = (digit) => '0x' + digit.repeat(40);
+        cache.set('a', value('1'));
+        cache.set('b', value('2'));
+        cache.set('c', value('3'));
+        cache.get('a');
+        cache.set('d', value('4'));
+        const countEvicted = !cache.has('b') && cache.has('a') && cache.has('c') && cache.has('d');
+
+        // Replacing an entry neither evicts another one nor counts its old bytes
+        cache.set('d', value('5'));
+        const replaced = cache.getStats().size === 3 && cache.getStats().evictions === 1;
+
+        // Byte limit: a large block pushes out the oldest entries, an oversized one is refused
+        const block = { hash: '0x' + 'ab'.repeat(32), transactions: ['0x' + 'cd'.repeat(32)] };
+        cache.set('block', block);
+        const byteEvicted = cache.get('block') === block && cache.getStats().size < 3;
+        cache.set('huge', 'x'.repeat(400));
+
+        const stats = cache.getStats();
+        const usage = cache.getMemoryUsage();
+        cache.destroy();
+
+        if (countEvicted && replaced && byteEvicted && !cache.has('huge') && stats.oversized === 1 &&
+            stats.evictions >= 2 && stats.evictedBytes > 0 && usage.totalBytes <= 400 &&
+            usage.totalBytes === usage.keyBytes + usage.valueBytes && usage.entriesCount === stats.size) {
+            console.log('✅ LRU order and byte budget: PASS');
+            passed++;
+        } else {
+            console.log('❌ LRU order and byte budget: FAIL - Eviction did not follow recency and size limits');
+            failed++;
+        }
+    } catch (error) {
+        console.log('❌ LRU order and byte budget: FAIL -', error.message);
+        failed++;
+    }
+
+    // Test 30: Persistent Cache
+    try {
+        const { mkdtemp, readFile, writeFile, appendFile, readdir, rm } = await import('fs/promises');
+        const { tmpdir } = await import('os');
+        const { join } = await import('path');
+        const { DiskCache } = await import('../src/disk-cache.js');
+        const directory = await mkdtemp(join(tmpdir(), 'eth-provider-cache-'));
+
+        const ipcPath = '/tmp/quick-persistent-cache.ipc';
+        const blockHash = '0x' + 'ab'.repeat(32);
+        const server = await new MockIPCServer(ipcPath, {
+            eth_chainId: () => '0x1',
+            eth_subscribe: () => '0xheads',
+            eth_getBlockByNumber: ([tag]) => (tag === 'latest'
+                ? { number: '0x100', hash: '0x' + '01'.repeat(32), parentHash: '0x' + '02'.repeat(32) }
+                : { number: tag, hash: '0x' + tag.slice(2).padStart(64, '0'), transactions: [] }),
+            eth_getBlockByHash: ([hash]) => ({ number: '0x5', hash, transactions: [] }),
+            eth_getBalance: () => '0x64'
+        }).start();
+        const sent = (method, param) => server.received.filter(message => message.method === method && message.params.includes(param)).length;
+        const account = '0x0000000000000000000000000000000000000001';
+        const openAtConnect = [];
+        const run = async (onConnect = async () => {}) => {
+            const provider = new IPCProvider(ipcPath, { batchRequests: false, persistentCache: { directory }, logger: quietLogger });
+            let connected;
+            provider.once('connect', () => {
+                openAtConnect.push(provider.cache.persistent.chainId);
+                connected = onConnect(provider);
+            });
+            await provider.connect();
+            await new Promise(resolve => setTimeout(resolve, 30));
+            await connected;
+            await provider.request('eth_getBlockByHash', [blockHash, false]);
+            await provider.request('eth_getBlockByNumber', ['0x10', false]); // 240 blocks below the head
+            await provider.request('eth_getBalance', [account, 'latest']);
+            const stats = provider.getStats().cache.persistent;
+            await provider.disconnect();
+            await provider.cache.destroy();
+            return stats;
+        };
+
+        const first = await run();
+        const chainDirectories = await readdir(directory);
+
+        // Restart: immutable results come from disk, the latest balance from the node
+        // 'connect' does not wait for the file; warm() does
+        let warmed = 0;
+        const second = await run(async provider => {
+            warmed = await provider.cache.warm({ methods: ['eth_getBlockByHash'] });
+        });
+        const afterRestart = [sent('eth_getBlockByHash', blockHash), sent('eth_getBlockByNumber', '0x10'), sent('eth_getBalance', 'latest')];
+
+        // A damaged record and a truncated write are skipped when the file is opened
+        const file = join(directory, '1', 'cache.log');
+        const lines = (await readFile(file, 'utf8')).split('\n');
+        const blockLine = lines.findIndex(line => line.includes('eth_getBlockByNumber'));
+        lines[blockLine] = lines[blockLine].replace('"0x10"', '"0x11"');
+        await writeFile(file, lines.join('\n'));
+        await appendFile(file, 'deadbeef\teth_getBlockByHash:["0x');
+        const third = await run();
+        const afterCorruption = [sent('eth_getBlockByHash', blockHash), sent('eth_getBlockByNumber', '0x10')];
+        await server.stop();
+
+        // Size cap: compaction keeps the newest entries
+        const small = new DiskCache({ directory, maxBytes: 2000, logger: quietLogger });
+        await small.open('0x5');
+        for (let i = 0; i < 40; i++) {
+            await small.set(`eth_getBlockByNumber:["0x${i.toString(16)}",false]`, { number: i, padding: 'x'.repeat(40) });
+        }
+        // A read started before a compaction still answers from the old file
+        const compactions = small.compactions;
+        let during;
+        while (small.compactions === compactions) {
+            [during] = await Promise.all([
+                small.get('eth_getBlockByNumber:["0x27",false]'),
+                small.set(`eth_getBlockByNumber:["0x${small.writes.toString(16)}",true]`, { padding: 'x'.repeat(40) })
+            ]);
+        }
+        const capped = small.getStats();
+        const newest = await small.get('eth_getBlockByNumber:["0x27",false]');
+        const oldest = await small.get('eth_getBlockByNumber:["0x0",false]');
+        await small.close();
+
+        // A restarted dev chain keeps its chain id under a new genesis block: the old entries are dropped
+        const devChain = new DiskCache({ directory, logger: quietLogger });
+        const devKey = 'eth_getBlockByNumber:["0x1",false]';
+        await devChain.open('0x7a69', { genesisHash: '0x' + 'aa'.repeat(32) });
+        await devChain.set(devKey, { number: 1 });
+        await devChain.open('0x7a69', { genesisHash: '0x' + 'bb'.repeat(32) });
+        const afterDevRestart = await devChain.get(devKey);
+        await devChain.set(devKey, { number: 2 });
+        await devChain.close();
+        await devChain.open('0x7a69', { genesisHash: '0x' + 'bb'.repeat(32) });
+        const sameGenesis = await devChain.get(devKey);
+        await devChain.close();
+        await rm(directory, { recursive: true, force: true });
+
+        // Only requests that could have been persisted go to disk: the latest balance never does
+        if (first.chainId === '1' && first.genesisHash === '0x' + '0'.repeat(64) && first.writes === 2 && first.misses === 2 && chainDirectories.includes('1') &&
+            openAtConnect.join() === ',,' && warmed === 1 && second.hits === 2 && second.misses === 0 && afterRestart.join() === '1,1,2' &&
+            third.corrupted === 2 && afterCorruption.join() === '1,2' &&
+            capped.bytes <= 2000 && capped.compactions > 0 && during?.number === 39 && newest?.number === 39 && oldest === null &&
+            afterDevRestart === null && sameGenesis?.number === 2) {
+            console.log('✅ Persistent cache: PASS');
+            passed++;
+        } else {
+            console.log('❌ Persistent cache: FAIL - Immutable results were not served from disk');
+            failed++;
+        }
+    } catch (error) {
+        console.log('❌ Persistent cache: FAIL -', error.message);
+        failed++;
+    }
+
+    // Test 31: Reorg Detection While Polling
+    try {
+        const ipcPath = '/tmp/quick-reorg-polling.ipc';
+        const hash = (label) => '0x' + label.repeat(32);
+        const [A, A2, B2, C2] = ['a1', 'a2', 'b2', 'c2'].map(hash);
+        const blocks = {
+            [A2]: { number: '0x10', hash: A2, parentHash: hash('90') },
+            [B2]: { number: '0x11', hash: B2, parentHash: A2 },
+            [C2]: { number: '0x12', hash: C2, parentHash: B2 }
+        };
+        let latest = { number: '0x10', hash: A, parentHash: hash('90') };
+        // No eth_subscribe: the tracker polls the latest block
+        const server = await new MockIPCServer(ipcPath, {
+            eth_chainId: () => '0x1',
+            eth_getBalance: () => '0x64',
+            eth_getBlockByNumber: () => latest,
+            eth_getBlockByHash: ([blockHash]) => blocks[blockHash] ?? null
+        }).start();
+        const provider = new IPCProvider(ipcPath, { batchRequests: false, blockTracker: { pollingInterval: 20 }, logger: quietLogger });
+        const reorgs = [];
+        provider.on('reorg', reorg => reorgs.push(reorg));
+        await provider.connect();
+        await new Promise(resolve => setTimeout(resolve, 50));
+        const sent = (method) => server.received.filter(message => message.method === method).length;
+        const account = '0x0000000000000000000000000000000000000001';
+
+        await provider.request('eth_getBalance', [account, '0x10']);
+        await provider.request('eth_getBalance', [account, '0x10']);
+        const balanceBeforeReorg = sent('eth_getBalance');
+
+        // Block 0x10 is replaced and the next poll skips 0x11
+        latest = blocks[C2];
+        await new Promise(resolve => setTimeout(resolve, 100));
+        await provider.request('eth_getBalance', [account, '0x10']);
+
+        const { blockTracker } = provider.getStats();
+        const backfilled = provider.blockTracker.getBlockHash(0x11);
+        // The tracker's own requests stay out of the user's metrics
+        const trackerMetrics = ['eth_getBlockByNumber', 'eth_getBlockByHash'].filter(method => provider.metrics.methodMetrics.has(method));
+        await provider.disconnect();
+        provider.cache.destroy();
+        await server.stop();
+
+        const [reorg] = reorgs;
+        if (blockTracker.mode === 'polling' && reorgs.length === 1 && reorg.depth === 1 &&
+            reorg.orphanedHashes[0] === A && reorg.blockNumber === 0x12 && backfilled === B2 &&
+            balanceBeforeReorg === 1 && sent('eth_getBalance') === 2 && trackerMetrics.length === 0 &&
+            sent('eth_getBlockByNumber') > 1) {
+            console.log('✅ Reorg detection while polling: PASS');
+            passed++;
+        } else {
+            console.log('❌ Reorg detection while polling: FAIL - A reorg across a skipped block went unnoticed');
+            failed++;
+        }
+    } catch (error) {
+        console.log('❌ Reorg detection while polling: FAIL -', error.message);
+        failed++;
+    }
+
+    // Test 32: Fallback Failure Classification
+    try {
+        const handlers = (name) => ({
+            eth_chainId: () => '0x1',
+            eth_blockNumber: () => '0x10',
+            eth_sendRawTransaction: () => `0x${name.repeat(32)}`
+        });
+        const saturatedServer = await new MockIPCServer('/tmp/quick-classify-a.ipc', handlers('aa')).start();
+        const spareServer = await new MockIPCServer('/tmp/quick-classify-b.ipc', handlers('bb')).start();
+        const provider = new FallbackProvider([
+            { url: '/tmp/quick-classify-a.ipc', options: { maxBufferedBytes: 300 } },
+            '/tmp/quick-classify-b.ipc'
+        ], {
+            cacheEnabled: false,
+            batchRequests: false,
+            healthCheckInterval: 60000,
+            logger: quietLogger
+        });
+        const failovers = [];
+        provider.on('failover', event => failovers.push(event));
+        await provider.connect();
+
+        // A write the first endpoint refuses never reached it, so even a transaction fails over
+        const txHash = await provider.request('eth_sendRawTransaction', ['0x' + 'ab'.repeat(200)]);
+        const reachedSaturated = saturatedServer.received.some(message => message.method === 'eth_sendRawTransaction');
+
+        await provider.disconnect();
+        await saturatedServer.stop();
+        await spareServer.stop();
+
+        if (txHash === '0x' + 'bb'.repeat(32) && !reachedSaturated &&
+            failovers.some(event => event.from === '/tmp/quick-classify-a.ipc' && event.to === '/tmp/quick-classify-b.ipc')) {
+            console.log('✅ Fallback failure classification: PASS');
+            passed++;
+        } else {
+            console.log('❌ Fallback failure classification: FAIL - An unsent request did not fail over');
+            failed++;
+        }
+    } catch (error) {
+        console.log('❌ Fallback failure classification: FAIL -', error.message);
+        failed++;
+    }
+
+    // Test 33: Fallback Latency Window
+    try {
+        let delay = 80;
+        const slowServer = await new MockIPCServer('/tmp/quick-latency-a.ipc', {
+            eth_chainId: () => '0x1',
+            eth_blockNumber: () => new Promise(resolve => setTimeout(() => resolve('0x10'), delay))
+        }).start();
+        const fastServer = await new MockIPCServer('/tmp/quick-latency-b.ipc', {
+            eth_chainId: () => '0x1',
+            eth_blockNumber: () => '0x10'
+        }).start();
+        const provider = new FallbackProvider(['/tmp/quick-latency-a.ipc', '/tmp/quick-latency-b.ipc'], {
+            cacheEnabled: false,
+            batchRequests: false,
+            healthCheckInterval: 60000,
+            maxLatency: 10000,
+            logger: quietLogger
+        });
+        await provider.connect();
+
+        // A long slow spell, then the node recovers: its latency follows the recent checks
+        const slowProvider = provider.endpoints[0].provider;
+        for (let i = 0; i < 10; i++) await slowProvider.request('eth_blockNumber', []);
+        const whileSlow = provider.getStatus().endpoints[0].latency;
+        delay = 0;
+        for (let i = 0; i < 6; i++) await provider.checkHealth();
+        const recovered = provider.getStatus().endpoints[0].latency;
+
+        await provider.disconnect();
+        await slowServer.stop();
+        await fastServer.stop();
+
+        if (whileSlow >= 60 && recovered < 30) {
+            console.log('✅ Fallback latency window: PASS');
+            passed++;
+        } else {
+            console.log(`❌ Fallback latency window: FAIL - Latency stayed at the lifetime average (${whileSlow}ms -> ${recovered}ms)`);
+            failed++;
+        }
+    } catch (error) {
+        console.log('❌ Fallback latency window: FAIL -', error.message);
+        failed++;
+    }
+
     // Summary
     console.log('\n📊 Quick Validation Summary:');
     console.log('============================');